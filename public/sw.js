@@ -0,0 +1,171 @@
+/**
+ * Offline support for CX as Code Explorer.
+ *
+ * - The app shell and the latest data set listed in offline-precache.json (written
+ *   by the build) are cached on install.
+ * - Provider version files (`1.85.0.json`, `v1.85.0.md`) do not change within a
+ *   build, so they are served from the cache first. The data cache is keyed by
+ *   build id like the shell, so a deploy that regenerates them starts clean.
+ * - Everything else (`latest.json`, `index.json`, overrides, dated site updates,
+ *   which are appended to during the day) is revalidated on each request and only
+ *   served from the cache when the network fails or stalls.
+ * - Provider versions pinned from the Offline data dialog live in their own cache,
+ *   filled by the page (src/offlineData.js).
+ *
+ * Paths and the pinned cache name mirror scripts/lib/offline-data-paths.mjs;
+ * this file is copied as-is and cannot import it.
+ */
+
+// Replaced with the precache manifest build id by vite.config.js.
+const BUILD_ID = "__OFFLINE_BUILD_ID__";
+
+const SHELL_CACHE = `cxac-shell-${BUILD_ID}`;
+const DATA_CACHE = `cxac-data-${BUILD_ID}`;
+const PINNED_CACHE = "cxac-pinned";
+const KNOWN_CACHES = new Set([SHELL_CACHE, DATA_CACHE, PINNED_CACHE]);
+const CACHE_PREFIX = "cxac-";
+
+const PRECACHE_MANIFEST = "offline-precache.json";
+
+/** How long a revalidation may take before a cached copy is served instead. */
+const NETWORK_TIMEOUT_MS = 4000;
+
+const SCOPE = new URL(self.registration.scope);
+const VERSIONED_FILE_RE = /\/v?\d+\.\d+\.\d+\.(?:json|md)$/i;
+const DATA_FILE_RE = /\.(?:json|md)$/i;
+
+function scopedUrl(file) {
+  return new URL(file, SCOPE).href;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function precache() {
+  const manifestRes = await fetch(scopedUrl(PRECACHE_MANIFEST), { cache: "no-store" });
+  if (!manifestRes.ok) {
+    throw new Error(`Failed to fetch precache manifest: ${manifestRes.status} ${manifestRes.statusText}`);
+  }
+  const manifest = await manifestRes.json();
+
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.addAll(
+    (manifest.shell || []).map((file) => new Request(scopedUrl(file), { cache: "reload" }))
+  );
+
+  // Data files are best effort: a missing generated file must not block install.
+  const data = await caches.open(DATA_CACHE);
+  await Promise.all(
+    (manifest.data || []).map(async (file) => {
+      try {
+        const res = await fetch(scopedUrl(file), { cache: "no-store" });
+        if (res.ok) await data.put(scopedUrl(file), res);
+      } catch {
+        // Picked up at runtime instead.
+      }
+    })
+  );
+}
+
+/** Drops shells from previous builds and caches this worker no longer uses. */
+async function pruneCaches() {
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(CACHE_PREFIX) && !KNOWN_CACHES.has(name))
+      .map((name) => caches.delete(name))
+  );
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  const network = fetch(request).then(async (response) => {
+    if (!response.ok) return cached || response;
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    return response;
+  });
+
+  if (!cached) return network;
+  // A late failure after the cached copy was served is not an error.
+  network.catch(() => undefined);
+  return Promise.race([network, delay(NETWORK_TIMEOUT_MS).then(() => cached)]).catch(
+    () => cached
+  );
+}
+
+async function navigate(request) {
+  const cachedShell = await caches.match(scopedUrl("index.html"));
+  const network = fetch(request);
+  if (!cachedShell) return network;
+  network.catch(() => undefined);
+
+  // Deep links (resource permalinks, dialogs) are all served by index.html.
+  return Promise.race([network, delay(NETWORK_TIMEOUT_MS).then(() => cachedShell)]).catch(
+    () => cachedShell
+  );
+}
+
+async function networkWithFallback(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(pruneCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== SCOPE.origin || !url.pathname.startsWith(SCOPE.pathname)) return;
+  if (url.href === scopedUrl(PRECACHE_MANIFEST)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(request));
+    return;
+  }
+
+  if (url.pathname.startsWith(`${SCOPE.pathname}assets/`)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  if (VERSIONED_FILE_RE.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, DATA_CACHE));
+    return;
+  }
+
+  if (DATA_FILE_RE.test(url.pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  // Icons and the web manifest come from the shell cache when offline;
+  // downloads (.xlsx, .zip, .tf) are left to the network.
+  event.respondWith(networkWithFallback(request));
+});
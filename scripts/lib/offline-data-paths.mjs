@@ -0,0 +1,81 @@
+import {
+  DATA_SOURCE_TYPES_DIR,
+  DEPENDENCY_TREE_DIR,
+  RESOURCE_CLASSIFICATION_DIR,
+  SCHEMA_FORCE_NEW_DIR,
+  TF_EXPORT_RESOURCE_NAMES_DIR,
+  TF_EXPORT_SINGLETONS_DIR,
+} from "./public-data-path-constants.mjs";
+
+/**
+ * Files the service worker (public/sw.js) keeps for offline use. Paths are
+ * relative to the site base URL.
+ */
+
+export const OFFLINE_SERVICE_WORKER = "sw.js";
+
+/** Written to dist/ by the build; lists the app shell and the latest data set. */
+export const OFFLINE_PRECACHE_MANIFEST = "offline-precache.json";
+
+/**
+ * Stamped into dist/sw.js with the manifest build id, so each deploy changes the
+ * worker's bytes and browsers install the new shell.
+ */
+export const OFFLINE_BUILD_ID_PLACEHOLDER = "__OFFLINE_BUILD_ID__";
+
+/** Cache the page fills with pinned provider versions; public/sw.js keeps it. */
+export const OFFLINE_PINNED_CACHE = "cxac-pinned";
+
+/** Un-versioned documents the app loads on startup or from its dialogs. */
+export const OFFLINE_LATEST_DATA_FILES = [
+  "overrides.json",
+  "provider-env-vars.json",
+  "tf-export-block-label-history.json",
+  `${DEPENDENCY_TREE_DIR}/index.json`,
+  `${DEPENDENCY_TREE_DIR}/latest.json`,
+  `${TF_EXPORT_RESOURCE_NAMES_DIR}/latest.json`,
+  `${TF_EXPORT_SINGLETONS_DIR}/latest.json`,
+  `${SCHEMA_FORCE_NEW_DIR}/latest.json`,
+  `${RESOURCE_CLASSIFICATION_DIR}/latest.json`,
+  `${DATA_SOURCE_TYPES_DIR}/latest.json`,
+  "release-notes-data/index.json",
+  "release-notes-data/latest.json",
+  "release-notes-data/latest.md",
+  "release-notes-data/resource-attribute-index.json",
+  "release-notes-data/search-index.json",
+  "release-notes-data/tf-export/index.json",
+  "release-notes-data/tf-export/latest.json",
+  "release-notes-data/tf-export/latest.md",
+  "release-notes-data/tf-export/resource-attribute-index.json",
+  "site-updates-data/index.json",
+  "site-updates-data/latest.md",
+];
+
+/**
+ * Per-version documents for one provider release. Older releases lack some of
+ * them (singleton flags start at 1.78.0), so callers skip the ones that 404.
+ */
+export function offlineVersionDataFiles(version) {
+  const bare = String(version || "").trim().replace(/^v/i, "");
+  if (!bare || bare === "latest") return [];
+
+  return [
+    `${DEPENDENCY_TREE_DIR}/${bare}.json`,
+    `${TF_EXPORT_RESOURCE_NAMES_DIR}/${bare}.json`,
+    `${TF_EXPORT_SINGLETONS_DIR}/${bare}.json`,
+    `${SCHEMA_FORCE_NEW_DIR}/${bare}.json`,
+    `${RESOURCE_CLASSIFICATION_DIR}/${bare}.json`,
+    `${DATA_SOURCE_TYPES_DIR}/${bare}.json`,
+    `release-notes-data/changes/v${bare}.json`,
+    `release-notes-data/versions/v${bare}.md`,
+    `release-notes-data/tf-export/versions/v${bare}.md`,
+  ];
+}
+
+/** Provider version encoded in a dependency tree URL, or "" for anything else. */
+export function offlineVersionFromDataPath(pathname) {
+  const match = new RegExp(`(?:^|/)${DEPENDENCY_TREE_DIR}/v?(\\d+\\.\\d+\\.\\d+)\\.json$`).exec(
+    String(pathname || "")
+  );
+  return match ? match[1] : "";
+}
@@ -5,6 +5,7 @@ import { readPackageGoFiles } from "./provider-schema-scan.mjs";
 
 const TYPE_CONST_PATTERN = /const\s+(\w*ResourceType)\s*=\s*"([^"]+)"/g;
 const REGISTER_RESOURCE_PATTERN = /RegisterResource\(\s*(\w+)\s*,/g;
+const REGISTER_DATA_SOURCE_PATTERN = /RegisterDataSource\(\s*(\w+)\s*,/g;
 const REGISTER_EXPORTER_PATTERN = /RegisterExporter\(\s*(\w+)\s*,/g;
 const GET_RESOURCES_FUNC_PATTERN = /GetResourcesFunc\s*:/;
 
@@ -35,6 +36,7 @@ function resolveRegisteredTypes(content, pattern, constants) {
 function scanPackageExporterSupport(files) {
   const constants = buildPackageTypeConstants(files);
   const resources = new Set();
+  const dataSources = new Set();
   const exporters = new Set();
   const exportersWithoutGetResources = new Set();
 
@@ -47,6 +49,14 @@ function scanPackageExporterSupport(files) {
       resources.add(type);
     }
 
+    for (const type of resolveRegisteredTypes(
+      file.content,
+      REGISTER_DATA_SOURCE_PATTERN,
+      constants
+    )) {
+      dataSources.add(type);
+    }
+
     for (const type of resolveRegisteredTypes(
       file.content,
       REGISTER_EXPORTER_PATTERN,
@@ -68,12 +78,13 @@ function scanPackageExporterSupport(files) {
     }
   }
 
-  return { resources, exporters, exportersWithoutGetResources };
+  return { resources, dataSources, exporters, exportersWithoutGetResources };
 }
 
-/** Managed resource and exporter registration from provider SetRegistrar blocks. */
+/** Managed resource, data source and exporter registration from provider SetRegistrar blocks. */
 export function scanProviderRegistrations(providerRoot) {
   const resources = new Set();
+  const dataSources = new Set();
   const exporters = new Set();
   const exportersWithoutGetResources = new Set();
 
@@ -88,6 +99,7 @@ export function scanProviderRegistrations(providerRoot) {
 
     const scanned = scanPackageExporterSupport(files);
     for (const type of scanned.resources) resources.add(type);
+    for (const type of scanned.dataSources) dataSources.add(type);
     for (const type of scanned.exporters) exporters.add(type);
     for (const type of scanned.exportersWithoutGetResources) {
       exportersWithoutGetResources.add(type);
@@ -96,6 +108,7 @@ export function scanProviderRegistrations(providerRoot) {
 
   return {
     resources: [...resources].sort((a, b) => a.localeCompare(b)),
+    dataSources: [...dataSources].sort((a, b) => a.localeCompare(b)),
     exporters: [...exporters].sort((a, b) => a.localeCompare(b)),
     exportersWithoutGetResources: [...exportersWithoutGetResources].sort((a, b) =>
       a.localeCompare(b)
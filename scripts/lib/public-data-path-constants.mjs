@@ -18,7 +18,11 @@ export const TF_EXPORT_RESOURCE_NAMES_DIR = "tf-export-resource-names";
 export const TF_EXPORT_SINGLETONS_DIR = "tf-export-singletons";
 export const SCHEMA_FORCE_NEW_DIR = "schema-force-new";
 export const RESOURCE_CLASSIFICATION_DIR = "resource-classification";
+/** Types with a provider data source, for replace_with_datasource suggestions. */
+export const DATA_SOURCE_TYPES_DIR = "data-source-types";
 export const LAB_PACKAGES_DIR = "lab-packages";
+/** Atom and JSON feeds for release notes and site updates (written by the build). */
+export const FEEDS_DIR = "feeds";
 
 /** Oldest provider release with dependency_tree.json on GitHub releases. */
 export const MIN_DEPENDENCY_TREE_VERSION = "1.60.0";
@@ -81,5 +85,7 @@ export const GENERATED_PUBLIC_DATA_DIRS = [
   TF_EXPORT_SINGLETONS_DIR,
   SCHEMA_FORCE_NEW_DIR,
   RESOURCE_CLASSIFICATION_DIR,
+  DATA_SOURCE_TYPES_DIR,
   LAB_PACKAGES_DIR,
+  FEEDS_DIR,
 ];
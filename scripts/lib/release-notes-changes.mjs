@@ -0,0 +1,65 @@
+/**
+ * Helpers for release-notes-data/changes/*.json payloads shared by the app
+ * (src/releaseNotes.js) and build scripts. Browser-safe: no Node imports.
+ */
+
+/** Display order for change kinds; unknown kinds sort after these. */
+export const RELEASE_CHANGE_KIND_ORDER = [
+  "provider_configuration",
+  "resource",
+  "resource_attribute",
+  "attribute",
+  "resource_behavior",
+  "state_behavior",
+  "import_behavior",
+  "export_behavior",
+  "data_source",
+  "data_source_attribute",
+  "data_source_behavior",
+];
+
+export const RELEASE_CHANGE_TYPES = ["added", "updated", "removed"];
+
+export function filterChangesForResource(changesPayload, resourceType) {
+  const type = (resourceType || "").trim();
+  if (!type || !changesPayload?.changes) return [];
+
+  return changesPayload.changes.filter((entry) => entry?.resource === type);
+}
+
+function rankIn(order, value) {
+  const rank = order.indexOf(value);
+  return rank < 0 ? order.length : rank;
+}
+
+/**
+ * Filter values present in a payload: kinds in display order, change types
+ * in added/updated/removed order, resource types alphabetically.
+ */
+export function releaseChangeFacets(changesPayload) {
+  const changes = (changesPayload?.changes || []).filter(Boolean);
+  const distinct = (key) => [...new Set(changes.map((entry) => entry[key]).filter(Boolean))];
+
+  return {
+    kinds: distinct("kind").sort(
+      (a, b) =>
+        rankIn(RELEASE_CHANGE_KIND_ORDER, a) - rankIn(RELEASE_CHANGE_KIND_ORDER, b) ||
+        a.localeCompare(b)
+    ),
+    changes: distinct("change").sort(
+      (a, b) => rankIn(RELEASE_CHANGE_TYPES, a) - rankIn(RELEASE_CHANGE_TYPES, b) || a.localeCompare(b)
+    ),
+    resources: distinct("resource").sort(),
+  };
+}
+
+/** Entries matching every non-empty filter, in payload order. */
+export function filterReleaseChanges(changesPayload, { kind = "", change = "", resource = "" } = {}) {
+  return (changesPayload?.changes || []).filter(
+    (entry) =>
+      entry &&
+      (!kind || entry.kind === kind) &&
+      (!change || entry.change === change) &&
+      (!resource || entry.resource === resource)
+  );
+}
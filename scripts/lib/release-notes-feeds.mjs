@@ -0,0 +1,104 @@
+/**
+ * Atom and JSON Feed documents for release notes and site updates. A feed is
+ * `{ id, title, siteUrl, feedUrl, entries }`; entries carry `{ id, title, url,
+ * date, html?, text?, relatedUrl? }` with `date` an ISO 8601 timestamp and are
+ * listed newest first.
+ */
+
+export const FEED_ATOM_EXTENSION = "atom";
+export const FEED_JSON_EXTENSION = "json";
+
+/** Keep feeds small enough for chat integrations that poll them. */
+export const FEED_MAX_ENTRIES = 50;
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function newestDate(entries) {
+  return entries.reduce((latest, entry) => (entry.date > latest ? entry.date : latest), "");
+}
+
+function limitEntries(entries) {
+  return [...entries].sort((a, b) => b.date.localeCompare(a.date)).slice(0, FEED_MAX_ENTRIES);
+}
+
+/**
+ * HTML list for release-notes change entries. `withResource` prefixes each
+ * line with the resource type (global feeds); per-type feeds leave it out.
+ */
+export function formatChangesHtml(changes, { withResource = true } = {}) {
+  const items = (changes || [])
+    .filter((entry) => entry?.summary)
+    .map((entry) => {
+      const names = [withResource ? entry.resource : "", entry.attribute]
+        .filter(Boolean)
+        .join(".");
+      const label = entry.change ? `${entry.change}: ` : "";
+      return `<li>${names ? `<code>${escapeXml(names)}</code> — ` : ""}${escapeXml(
+        label
+      )}${escapeXml(entry.summary)}</li>`;
+    });
+  return items.length ? `<ul>${items.join("")}</ul>` : "";
+}
+
+export function buildAtomFeed({ id, title, siteUrl, feedUrl, entries }) {
+  const listed = limitEntries(entries);
+  const updated = newestDate(listed) || new Date(0).toISOString();
+
+  const entryXml = listed.map((entry) => {
+    const content = entry.html
+      ? `    <content type="html">${escapeXml(entry.html)}</content>`
+      : `    <content type="text">${escapeXml(entry.text || "")}</content>`;
+    return [
+      "  <entry>",
+      `    <id>${escapeXml(entry.id)}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(entry.url)}" />`,
+      ...(entry.relatedUrl
+        ? [`    <link rel="related" href="${escapeXml(entry.relatedUrl)}" />`]
+        : []),
+      `    <updated>${escapeXml(entry.date)}</updated>`,
+      content,
+      "  </entry>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="alternate" href="${escapeXml(siteUrl)}" />`,
+    `  <link rel="self" href="${escapeXml(feedUrl)}" />`,
+    `  <updated>${escapeXml(updated)}</updated>`,
+    "  <author><name>CX as Code Explorer</name></author>",
+    ...entryXml,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/** JSON Feed 1.1 (https://jsonfeed.org/version/1.1). */
+export function buildJsonFeed({ title, siteUrl, feedUrl, entries }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title,
+    home_page_url: siteUrl,
+    feed_url: feedUrl,
+    items: limitEntries(entries).map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      ...(entry.relatedUrl ? { external_url: entry.relatedUrl } : {}),
+      title: entry.title,
+      ...(entry.html ? { content_html: entry.html } : { content_text: entry.text || "" }),
+      date_published: entry.date,
+    })),
+  };
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
@@ -0,0 +1,215 @@
+/**
+ * Full-text search over every provider and export release note. The build
+ * flattens release-notes-data (markdown and structured changes JSON) into one
+ * document list; the Release notes dialog loads it once and filters in the
+ * browser. Browser-safe: no Node imports.
+ */
+
+/** Written next to release-notes-data/index.json. */
+export const RELEASE_NOTES_SEARCH_INDEX_FILE = "search-index.json";
+export const RELEASE_NOTES_SEARCH_INDEX_FORMAT = 1;
+
+export const SEARCH_SOURCE_NOTES = "notes";
+export const SEARCH_SOURCE_CHANGES = "changes";
+
+/** Queries shorter than this match too much to be useful. */
+export const RELEASE_NOTES_SEARCH_MIN_QUERY = 2;
+
+const RESOURCE_TYPE_RE = /^genesyscloud_[a-z0-9_]+$/;
+const LEADING_CODE_RE = /^`([^`]+)`\s*(?:\+\s*`[^`]+`\s*)*[—–-]\s*/;
+const SKIPPED_LINES = /^(?:none detected\.?|---+|_generated by .*_|\[view release changelog\].*)$/i;
+
+function stripInlineMarkdown(text) {
+  return String(text || "")
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function compactDocument(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([, value]) => value));
+}
+
+/**
+ * One document per bullet or paragraph line. `####` headings naming a
+ * resource type set the resource for the lines under them; a bullet that
+ * opens with a backticked name sets the attribute (or the resource, in the
+ * "Resources added" style lists). `defaultResource` covers export notes,
+ * which are all about genesyscloud_tf_export.
+ */
+export function releaseNotesSearchDocumentsFromMarkdown(
+  markdown,
+  { scope, version, defaultResource = "" }
+) {
+  const documents = [];
+  let section = "";
+  let resource = defaultResource;
+
+  for (const rawLine of String(markdown || "").split("\n")) {
+    const line = rawLine.trim();
+    if (!line || SKIPPED_LINES.test(line)) continue;
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const title = stripInlineMarkdown(heading[2]);
+      if (level <= 2) continue;
+      if (level === 3) {
+        section = title;
+        resource = defaultResource;
+      } else if (RESOURCE_TYPE_RE.test(title)) {
+        resource = title;
+      }
+      continue;
+    }
+    if (/^[A-Z][A-Za-z ]*:$/.test(line)) continue;
+
+    const body = line.replace(/^[-*]\s+/, "");
+    if (SKIPPED_LINES.test(body)) continue;
+    const code = LEADING_CODE_RE.exec(body)?.[1] || "";
+    const names =
+      RESOURCE_TYPE_RE.test(code) && resource === defaultResource
+        ? { resource: code, attribute: "" }
+        : { resource, attribute: code };
+
+    documents.push(
+      compactDocument({
+        source: SEARCH_SOURCE_NOTES,
+        scope,
+        version,
+        ...names,
+        heading: section,
+        text: stripInlineMarkdown(body),
+      })
+    );
+  }
+
+  return documents;
+}
+
+/** One document per entry of a release-notes changes payload. */
+export function releaseNotesSearchDocumentsFromChanges(payload, { scope, version }) {
+  const changes = Array.isArray(payload?.changes) ? payload.changes : [];
+  return changes
+    .filter((entry) => entry?.summary)
+    .map((entry) =>
+      compactDocument({
+        source: SEARCH_SOURCE_CHANGES,
+        scope,
+        version,
+        resource: entry.resource || "",
+        attribute: entry.attribute || "",
+        kind: entry.kind || "",
+        change: entry.change || "",
+        text: stripInlineMarkdown(entry.summary),
+      })
+    );
+}
+
+function queryTerms(query) {
+  return [
+    ...new Set(
+      String(query || "")
+        .toLowerCase()
+        .replace(/["']/g, " ")
+        .split(/\s+/)
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function compareVersionsDesc(a, b) {
+  return String(b).localeCompare(String(a), undefined, { numeric: true, sensitivity: "base" });
+}
+
+/** Text around the first match of the phrase, else of the first term that occurs in it. */
+function buildSnippet(text, phrase, terms, radius = 80) {
+  const lower = text.toLowerCase();
+  let start = lower.indexOf(phrase);
+  let length = phrase.length;
+  if (start < 0) {
+    for (const term of terms) {
+      start = lower.indexOf(term);
+      if (start >= 0) {
+        length = term.length;
+        break;
+      }
+    }
+  }
+  if (start < 0) {
+    const head = text.length > radius * 2 ? `${text.slice(0, radius * 2)}…` : text;
+    return { before: "", match: "", after: head };
+  }
+
+  const from = Math.max(0, start - radius);
+  const to = Math.min(text.length, start + length + radius);
+  return {
+    before: `${from > 0 ? "…" : ""}${text.slice(from, start)}`,
+    match: text.slice(start, start + length),
+    after: `${text.slice(start + length, to)}${to < text.length ? "…" : ""}`,
+  };
+}
+
+/**
+ * Documents containing every term of `query` (case-insensitive substrings of
+ * the text, resource, attribute or section heading), best first: exact
+ * phrase, then terms naming the resource or attribute, then newer releases.
+ * A notes line and a changes entry that describe the same thing in the same
+ * release (same attribute, or one text containing the other) count once.
+ *
+ * @returns {{ hits: Array<{ doc: object, snippet: { before: string, match: string, after: string } }>, total: number }}
+ */
+export function searchReleaseNotes(documents, query, { limit = 50 } = {}) {
+  const phrase = String(query || "").trim().toLowerCase();
+  const terms = queryTerms(query);
+  if (phrase.length < RELEASE_NOTES_SEARCH_MIN_QUERY || !terms.length) {
+    return { hits: [], total: 0 };
+  }
+
+  const scored = [];
+  for (const doc of Array.isArray(documents) ? documents : []) {
+    const text = String(doc?.text || "").toLowerCase();
+    const names = `${doc.resource || ""} ${doc.attribute || ""}`.toLowerCase();
+    const haystack = `${names} ${String(doc.heading || "").toLowerCase()} ${text}`;
+    if (!terms.every((term) => haystack.includes(term))) continue;
+
+    let score = text.includes(phrase) ? 10 : 0;
+    for (const term of terms) {
+      if (names.includes(term)) score += 3;
+      if (text.includes(term)) score += 1;
+    }
+    scored.push({ doc, score });
+  }
+
+  scored.sort(
+    (a, b) =>
+      b.score - a.score ||
+      compareVersionsDesc(a.doc.version, b.doc.version) ||
+      (a.doc.source === SEARCH_SOURCE_NOTES ? -1 : 0) - (b.doc.source === SEARCH_SOURCE_NOTES ? -1 : 0)
+  );
+
+  const kept = new Map();
+  const unique = scored.filter(({ doc }) => {
+    const key = `${doc.scope}|${doc.version}|${doc.resource || ""}`;
+    const text = String(doc.text || "").toLowerCase();
+    const siblings = kept.get(key) || [];
+    const duplicate = siblings.some((other) =>
+      doc.attribute
+        ? other.attribute === doc.attribute
+        : !other.attribute && (other.text.includes(text) || text.includes(other.text))
+    );
+    if (duplicate) return false;
+    kept.set(key, [...siblings, { attribute: doc.attribute || "", text }]);
+    return true;
+  });
+
+  return {
+    total: unique.length,
+    hits: unique.slice(0, limit).map(({ doc }) => ({
+      doc,
+      snippet: buildSnippet(String(doc.text || ""), phrase, terms),
+    })),
+  };
+}
@@ -161,6 +161,7 @@ export const BUILD_DATA_ONLY_PATHS = [
   /^public\/tf-export-resource-names\//,
   /^public\/tf-export-singletons\//,
   /^public\/schema-force-new\//,
+  /^public\/data-source-types\//,
   /^scripts\/lib\/priority-group-keywords\.mjs$/,
   /^src\/artifactDownloads\.js$/,
   /^public\/overrides\.json$/,
@@ -0,0 +1,252 @@
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathExists } from "./lib/provider-source.mjs";
+import { FEEDS_DIR, PUBLIC_DIR_NAME, resolvePublicDataDir } from "./lib/public-data-paths.mjs";
+import { filterChangesForResource } from "./lib/release-notes-changes.mjs";
+import {
+  buildAtomFeed,
+  buildJsonFeed,
+  FEED_ATOM_EXTENSION,
+  FEED_JSON_EXTENSION,
+  formatChangesHtml,
+} from "./lib/release-notes-feeds.mjs";
+
+const SITE_ORIGIN = "https://cxascode.github.io";
+const REPO_ROOT = path.resolve(import.meta.dirname, "..");
+const PUBLIC_DIR = path.join(REPO_ROOT, PUBLIC_DIR_NAME);
+const RELEASE_NOTES_DIR = path.join(PUBLIC_DIR, "release-notes-data");
+const SITE_UPDATES_DIR = path.join(PUBLIC_DIR, "site-updates-data");
+const OUTPUT_DIR = resolvePublicDataDir(REPO_ROOT, FEEDS_DIR);
+const RESOURCES_OUTPUT_DIR = path.join(OUTPUT_DIR, "resources");
+
+const SCOPES = [
+  { scope: "provider", dir: RELEASE_NOTES_DIR, title: "Genesys Cloud provider releases" },
+  {
+    scope: "export",
+    dir: path.join(RELEASE_NOTES_DIR, "tf-export"),
+    title: "Genesys Cloud provider export (tf_export) releases",
+  },
+];
+
+async function readIfExists(filePath) {
+  return (await pathExists(filePath)) ? fs.readFile(filePath, "utf8") : "";
+}
+
+async function readJsonIfExists(filePath, fallback) {
+  const raw = await readIfExists(filePath);
+  return raw ? JSON.parse(raw) : fallback;
+}
+
+/**
+ * Release notes carry no dates, so an entry is dated by the commit that first
+ * added its markdown file (the sync job commits each release as it ships).
+ * One `git log` covers every file; files git does not know about fall back to
+ * their modification time.
+ */
+function gitAddedDates(dirs) {
+  const dates = new Map();
+  try {
+    const output = execFileSync(
+      "git",
+      ["log", "--diff-filter=A", "--name-only", "--format=%cI", "--", ...dirs],
+      { cwd: REPO_ROOT, encoding: "utf8", maxBuffer: 64 * 1024 * 1024 }
+    );
+    let date = "";
+    for (const line of output.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      if (/^\d{4}-\d{2}-\d{2}T/.test(trimmed)) {
+        date = new Date(trimmed).toISOString();
+      } else {
+        // Newest first: the last commit seen for a file is the one that added it.
+        dates.set(path.join(REPO_ROOT, trimmed), date);
+      }
+    }
+  } catch (e) {
+    console.warn(`git log unavailable, dating feed entries by file time: ${e.message}`);
+  }
+  return dates;
+}
+
+async function fileDate(filePath, dates) {
+  if (dates.get(filePath)) return dates.get(filePath);
+  const stat = await fs.stat(filePath).catch(() => null);
+  return (stat?.mtime || new Date()).toISOString();
+}
+
+async function loadReleases({ scope, dir }, dates) {
+  const index = await readJsonIfExists(path.join(dir, "index.json"), []);
+  if (!Array.isArray(index)) return [];
+
+  const releases = [];
+  for (const entry of index) {
+    if (typeof entry?.version !== "string") continue;
+    const changes = await readJsonIfExists(
+      path.join(dir, "changes", `${entry.version}.json`),
+      null
+    );
+    releases.push({
+      scope,
+      entry,
+      changes,
+      date: await fileDate(path.join(dir, "versions", `${entry.version}.md`), dates),
+    });
+  }
+  return releases;
+}
+
+function releaseUrl(version, scope = "provider") {
+  const url = `${SITE_ORIGIN}/release-notes/${encodeURIComponent(version)}`;
+  return scope === "export" ? `${url}?scope=export` : url;
+}
+
+/**
+ * Export entries link the release-notes permalink with `?scope=export`, which
+ * opens the dialog on the export notes. Provider and export entries share a
+ * version, so the scope also goes in the id to keep ids unique across feeds.
+ */
+function releaseEntry({ scope, entry, changes, date }) {
+  return {
+    id: `${releaseUrl(entry.version)}#${scope}`,
+    title: entry.title || entry.version,
+    url: releaseUrl(entry.version, scope),
+    relatedUrl: entry.release_url || "",
+    date,
+    html:
+      formatChangesHtml(changes?.changes) ||
+      `<p>No structured changes recorded; see the release notes.</p>`,
+  };
+}
+
+function resourceEntries(type, releases) {
+  return releases.flatMap(({ entry, changes, date }) => {
+    const matching = filterChangesForResource(changes, type);
+    if (!matching.length) return [];
+    return [
+      {
+        id: `${releaseUrl(entry.version)}#${type}`,
+        title: `${type} in ${entry.version}`,
+        url: `${SITE_ORIGIN}/${encodeURIComponent(type)}/${encodeURIComponent(entry.version)}`,
+        relatedUrl: entry.release_url || "",
+        date,
+        html: formatChangesHtml(matching, { withResource: false }),
+      },
+    ];
+  });
+}
+
+/** Site-update markdown without the generator marker and the dated heading. */
+function siteUpdateText(markdown) {
+  return String(markdown || "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/^##\s+Site updates\b.*$/m, "")
+    .replace(/^#{1,6}\s+/gm, "")
+    .trim();
+}
+
+async function loadSiteUpdateEntries() {
+  const index = await readJsonIfExists(path.join(SITE_UPDATES_DIR, "index.json"), []);
+  if (!Array.isArray(index)) return [];
+
+  const entries = [];
+  for (const entry of index) {
+    const version = entry?.version;
+    if (typeof version !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(version)) continue;
+    const markdown = await readIfExists(path.join(SITE_UPDATES_DIR, "versions", `${version}.md`));
+    const url = `${SITE_ORIGIN}/site-updates/${version}`;
+    entries.push({
+      id: url,
+      title: entry.title || `Site updates — ${version}`,
+      url,
+      date: `${version}T00:00:00.000Z`,
+      text: siteUpdateText(markdown),
+    });
+  }
+  return entries;
+}
+
+/** Resource types with a page on the site: every type in the changes plus the latest tree. */
+async function listResourceTypes(releases) {
+  const overrides = await readJsonIfExists(path.join(PUBLIC_DIR, "overrides.json"), {});
+  const hidden = new Set(
+    Array.isArray(overrides.hiddenResourceTypes) ? overrides.hiddenResourceTypes : []
+  );
+  const latest = await readJsonIfExists(
+    path.join(PUBLIC_DIR, "dependency-tree-json/latest.json"),
+    {}
+  );
+
+  const types = new Set((latest.resources || []).map((resource) => resource?.type));
+  for (const { changes } of releases) {
+    for (const change of changes?.changes || []) types.add(change?.resource);
+  }
+  return [...types]
+    .filter((type) => typeof type === "string" && /^genesyscloud_[a-z0-9_]+$/.test(type))
+    .filter((type) => !hidden.has(type))
+    .sort();
+}
+
+async function writeFeed(dir, name, { title, siteUrl, entries }) {
+  const relative = path.relative(OUTPUT_DIR, path.join(dir, name)).split(path.sep).join("/");
+  const feedUrl = (extension) => `${SITE_ORIGIN}/${FEEDS_DIR}/${relative}.${extension}`;
+  const feed = { id: feedUrl(FEED_ATOM_EXTENSION), title, siteUrl, entries };
+
+  await Promise.all([
+    fs.writeFile(
+      path.join(dir, `${name}.${FEED_ATOM_EXTENSION}`),
+      buildAtomFeed({ ...feed, feedUrl: feedUrl(FEED_ATOM_EXTENSION) }),
+      "utf8"
+    ),
+    fs.writeFile(
+      path.join(dir, `${name}.${FEED_JSON_EXTENSION}`),
+      buildJsonFeed({ ...feed, feedUrl: feedUrl(FEED_JSON_EXTENSION) }),
+      "utf8"
+    ),
+  ]);
+}
+
+async function write() {
+  const dates = gitAddedDates([
+    path.join(RELEASE_NOTES_DIR, "versions"),
+    path.join(RELEASE_NOTES_DIR, "tf-export", "versions"),
+  ]);
+  const [providerReleases, exportReleases] = await Promise.all(
+    SCOPES.map((scope) => loadReleases(scope, dates))
+  );
+
+  await fs.rm(OUTPUT_DIR, { recursive: true, force: true });
+  await fs.mkdir(RESOURCES_OUTPUT_DIR, { recursive: true });
+
+  await writeFeed(OUTPUT_DIR, "provider", {
+    title: SCOPES[0].title,
+    siteUrl: `${SITE_ORIGIN}/release-notes`,
+    entries: providerReleases.map(releaseEntry),
+  });
+  await writeFeed(OUTPUT_DIR, "export", {
+    title: SCOPES[1].title,
+    siteUrl: `${SITE_ORIGIN}/release-notes`,
+    entries: exportReleases.map(releaseEntry),
+  });
+  await writeFeed(OUTPUT_DIR, "site-updates", {
+    title: "CX as Code Explorer site updates",
+    siteUrl: `${SITE_ORIGIN}/site-updates`,
+    entries: await loadSiteUpdateEntries(),
+  });
+
+  // genesyscloud_tf_export is hidden from the site; export.atom is its feed.
+  const types = await listResourceTypes(providerReleases);
+  for (const type of types) {
+    await writeFeed(RESOURCES_OUTPUT_DIR, type, {
+      title: `${type} changes`,
+      siteUrl: `${SITE_ORIGIN}/${encodeURIComponent(type)}`,
+      entries: resourceEntries(type, providerReleases),
+    });
+  }
+
+  console.log(
+    `Wrote release notes feeds (provider ${providerReleases.length}, export ${exportReleases.length}, ${types.length} resource types) -> ${OUTPUT_DIR}`
+  );
+}
+
+write();
@@ -0,0 +1,74 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathExists } from "./lib/provider-source.mjs";
+import { PUBLIC_DIR_NAME } from "./lib/public-data-path-constants.mjs";
+import {
+  RELEASE_NOTES_SEARCH_INDEX_FILE,
+  RELEASE_NOTES_SEARCH_INDEX_FORMAT,
+  releaseNotesSearchDocumentsFromChanges,
+  releaseNotesSearchDocumentsFromMarkdown,
+} from "./lib/release-notes-search.mjs";
+
+const REPO_ROOT = path.resolve(import.meta.dirname, "..");
+const RELEASE_NOTES_DIR = path.join(REPO_ROOT, PUBLIC_DIR_NAME, "release-notes-data");
+const OUTPUT_PATH = path.join(RELEASE_NOTES_DIR, RELEASE_NOTES_SEARCH_INDEX_FILE);
+
+const SCOPES = [
+  { scope: "provider", dir: RELEASE_NOTES_DIR, defaultResource: "" },
+  {
+    scope: "export",
+    dir: path.join(RELEASE_NOTES_DIR, "tf-export"),
+    defaultResource: "genesyscloud_tf_export",
+  },
+];
+
+async function readIfExists(filePath) {
+  return (await pathExists(filePath)) ? fs.readFile(filePath, "utf8") : "";
+}
+
+async function listVersions(dir) {
+  const raw = await readIfExists(path.join(dir, "index.json"));
+  const index = raw ? JSON.parse(raw) : [];
+  return Array.isArray(index)
+    ? index.map((entry) => entry?.version).filter((version) => typeof version === "string")
+    : [];
+}
+
+async function collectScope({ scope, dir, defaultResource }) {
+  const documents = [];
+  const versions = await listVersions(dir);
+
+  for (const version of versions) {
+    const markdown = await readIfExists(path.join(dir, "versions", `${version}.md`));
+    documents.push(
+      ...releaseNotesSearchDocumentsFromMarkdown(markdown, { scope, version, defaultResource })
+    );
+
+    const changes = await readIfExists(path.join(dir, "changes", `${version}.json`));
+    if (changes) {
+      documents.push(
+        ...releaseNotesSearchDocumentsFromChanges(JSON.parse(changes), { scope, version })
+      );
+    }
+  }
+
+  return { versions: versions.length, documents };
+}
+
+async function write() {
+  const results = await Promise.all(SCOPES.map(collectScope));
+  const documents = results.flatMap((result) => result.documents);
+
+  await fs.writeFile(
+    OUTPUT_PATH,
+    `${JSON.stringify({ format: RELEASE_NOTES_SEARCH_INDEX_FORMAT, documents })}\n`,
+    "utf8"
+  );
+
+  const summary = SCOPES.map(({ scope }, i) => `${scope} ${results[i].versions}`).join(", ");
+  console.log(
+    `Wrote release notes search index (${documents.length} documents; versions: ${summary}) -> ${OUTPUT_PATH}`
+  );
+}
+
+write();
@@ -2,21 +2,48 @@ import React, { useCallback, useEffect, useMemo, useRef, useState } from "react"
 import PageTitle from "./PageTitle.jsx";
 import DependencyNote from "./DependencyNote.jsx";
 import OrderOfOperationsDialog from "./OrderOfOperationsDialog.jsx";
+import ProviderConfigDialog from "./ProviderConfigDialog.jsx";
 import ProviderEnvVarsDialog from "./ProviderEnvVarsDialog.jsx";
 import AttributeIndexDialog from "./AttributeIndexDialog.jsx";
 import ReleaseNotesDialog from "./ReleaseNotesDialog.jsx";
 import SiteUpdatesDialog from "./SiteUpdatesDialog.jsx";
 import ResourceReleaseChanges from "./ResourceReleaseChanges.jsx";
+import ResourceAttributeTimeline from "./ResourceAttributeTimeline.jsx";
 import DependencyTagList from "./DependencyTagList.jsx";
+import DependencyGraphDialog from "./DependencyGraphDialog.jsx";
+import CombinedExportPanel from "./CombinedExportPanel.jsx";
+import VersionDiffDialog from "./VersionDiffDialog.jsx";
+import UpgradeImpactDialog from "./UpgradeImpactDialog.jsx";
+import ResourceCompareDialog from "./ResourceCompareDialog.jsx";
+import OfflineDataDialog from "./OfflineDataDialog.jsx";
+import ImportBlocksDialog from "./ImportBlocksDialog.jsx";
+import TfExportLintDialog from "./TfExportLintDialog.jsx";
+import TfExportScopeDialog from "./TfExportScopeDialog.jsx";
+import TfExportTemplateDiff from "./TfExportTemplateDiff.jsx";
+import TfExportOptionsForm from "./TfExportOptionsForm.jsx";
+import { buildTfExportProjectZip, tfExportProjectFilename } from "./tfExportProject.js";
 import {
+  buildCombinedTfExportTemplate,
   buildTfExportTemplate,
+  mergeProviderEnvVars,
+  resolveCombinedReplaceWithDatasourceTypes,
+  resolveCombinedTfExportNote,
   resolveProviderEnvVars,
+  resolveTfExportExcludeAttributesEntry,
   resolveTfExportNote,
   resolveTfExportResourceName,
+  tfExportTemplateHint,
   RESOURCE_NAME_PLACEHOLDER,
   TF_EXPORT_MODE_EXPORT,
   TF_EXPORT_MODE_EXPORT_STATE,
 } from "./tfExportTemplate.js";
+import {
+  countEditedTfExportOptions,
+  EMPTY_TF_EXPORT_OPTIONS,
+  resolveTfExportOptions,
+  sharedTfExportOptions,
+  tfExportOptionsForType,
+} from "./tfExportOptions.js";
 import {
   normalizeGuiMenuPathsDocument,
   resolveGuiMenuPath,
@@ -41,6 +68,7 @@ import {
   DIVISION_FILTER_AWARE,
   DIVISION_FILTER_NOT_AWARE,
   isDivisionAwareByDependencies,
+  isDivisionAwareResourceType,
   matchesDivisionFilter,
 } from "./divisionAware.js";
 import {
@@ -53,9 +81,12 @@ import {
   ARTIFACT_SUPPORTED_RESOURCES,
   artifactDownloadFilename,
   downloadUrlArtifact,
+  resolveArtifactDownloadVersionLabel,
+  triggerBlobDownload,
 } from "./artifactDownloads.js";
 import {
   artifactDownloadVersionLabel,
+  fromReleaseNotesVersion,
   newestListedReleaseFromIndex,
   toReleaseNotesVersion,
 } from "./releaseNotes.js";
@@ -69,9 +100,13 @@ import {
   migrateLegacySiteUpdatesEntryUrl,
   readAttributeIndexFilterFromLocation,
   readCreationOrderFilterFromLocation,
+  readCreationOrderTypesFromLocation,
   readDialogFromLocation,
   readSiteUpdatesEntryFromLocation,
+  readResourceFacetFiltersFromLocation,
+  readResourceQueryFromLocation,
   readResourceTypeFromLocation,
+  readTfExportOptionsFromLocation,
   readLabFilesDownloadFromLocation,
   readRoleDownloadFromLocation,
   readSpreadsheetDownloadFromLocation,
@@ -87,9 +122,34 @@ import {
   replaceDialogInUrl,
   replaceSiteUpdatesInUrl,
   replaceResourceInUrl,
+  replaceResourceFacetFiltersInUrl,
+  replaceResourceQueryInUrl,
+  replaceTfExportOptionsInUrl,
 } from "./appPermalinks.js";
 import { applyPageSeo, resolvePageSeo } from "./pageSeo.js";
 import { resolveClassificationTypeSets } from "./resourceClassification.js";
+import {
+  buildResourceFacetSets,
+  countActiveFacetFilters,
+  countResourceFacets,
+  EMPTY_FACET_FILTERS,
+  matchesFacetFilters,
+  RESOURCE_FACETS,
+} from "./resourceFacets.js";
+import TriStateFilter from "./TriStateFilter.jsx";
+import {
+  describeResourceForComparison,
+  RESOURCE_COMPARISON_MAX_TYPES,
+  RESOURCE_COMPARISON_MIN_TYPES,
+  togglePinnedComparisonType,
+} from "./resourceComparison.js";
+import {
+  createResourceQueryMatcher,
+  parseResourceQuery,
+  RESOURCE_QUERY_KEYS,
+} from "./resourceQuery.js";
+import { buildDepsMaps } from "./dependencyTree.js";
+import { resolveTfExportDependencyPlan } from "./tfExportDependencies.js";
 import {
   DEPENDENCY_TREE_DIR,
   MIN_DEPENDENCY_TREE_VERSION,
@@ -383,35 +443,6 @@ function getHiddenResourceTypes(overrides) {
   );
 }
 
-function buildDepsMaps(raw) {
-  const depsMap = new Map();
-  const reverseMap = new Map();
-
-  if (!raw || !Array.isArray(raw.resources)) {
-    return { depsMap, reverseMap };
-  }
-
-  for (const r of raw.resources) {
-    if (!r || typeof r.type !== "string") continue;
-
-    const from = r.type;
-    const deps = Array.isArray(r.dependencies) ? r.dependencies : [];
-
-    if (!depsMap.has(from)) depsMap.set(from, new Set());
-
-    for (const d of deps) {
-      if (typeof d !== "string") continue;
-      depsMap.get(from).add(d);
-      if (!reverseMap.has(d)) reverseMap.set(d, new Set());
-      reverseMap.get(d).add(from);
-    }
-
-    if (!reverseMap.has(from)) reverseMap.set(from, new Set());
-  }
-
-  return { depsMap, reverseMap };
-}
-
 export default function App() {
   const [availableVersions, setAvailableVersions] = useState([]);
   const [selectedVersion, setSelectedVersion] = useState("latest");
@@ -428,9 +459,13 @@ export default function App() {
   const [forceNewCatalog, setForceNewCatalog] = useState(() => ({}));
   const [resourceClassification, setResourceClassification] = useState(null);
 
-  const [query, setQuery] = useState("");
+  const [query, setQuery] = useState(() => readResourceQueryFromLocation());
   const [listViewMode, setListViewMode] = useState(LIST_VIEW_TYPE);
   const [divisionFilter, setDivisionFilter] = useState(DIVISION_FILTER_ALL);
+  const [facetFilters, setFacetFilters] = useState(() => readResourceFacetFiltersFromLocation());
+  const [facetFiltersOpen, setFacetFiltersOpen] = useState(
+    () => countActiveFacetFilters(readResourceFacetFiltersFromLocation()) > 0
+  );
   const [selectedType, setSelectedType] = useState("");
 
   const [loadingIndex, setLoadingIndex] = useState(true);
@@ -778,28 +813,88 @@ export default function App() {
     return counts;
   }, [divisionFilteredTypes, overrides, generatedGuiMenuPaths]);
 
+  const useSingletonExporterFlag = useMemo(() => {
+    if (selectedVersion === "latest") return true;
+    return compareVersions(selectedVersion, MIN_SINGLETON_FLAG_VERSION) >= 0;
+  }, [selectedVersion]);
+
+  const isSingletonType = useCallback(
+    (t) =>
+      isSingletonTfExportResource(
+        t,
+        tfExportSingletonTypes,
+        resolveTfExportResourceName(t, overrides, tfExportResourceNames),
+        useSingletonExporterFlag
+      ),
+    [tfExportSingletonTypes, overrides, tfExportResourceNames, useSingletonExporterFlag]
+  );
+
+  const facetSets = useMemo(
+    () =>
+      buildResourceFacetSets(allTypes, {
+        classificationSets,
+        isSingleton: isSingletonType,
+        forceNewCatalog,
+        hasOverrideNote: (t) => Boolean(resolveDependencyNote(t, overrides)),
+      }),
+    [allTypes, classificationSets, isSingletonType, forceNewCatalog, overrides]
+  );
+
+  const facetFilteredTypes = useMemo(
+    () => divisionFilteredTypes.filter((t) => matchesFacetFilters(t, facetSets, facetFilters)),
+    [divisionFilteredTypes, facetSets, facetFilters]
+  );
+
+  const facetCounts = useMemo(
+    () => countResourceFacets(divisionFilteredTypes, facetSets, facetFilters),
+    [divisionFilteredTypes, facetSets, facetFilters]
+  );
+
+  const activeFacetCount = countActiveFacetFilters(facetFilters);
+
+  const parsedQuery = useMemo(() => parseResourceQuery(normalizeType(query)), [query]);
+
   const filteredTypes = useMemo(() => {
-    const q = normalizeType(query).toLowerCase();
-    const matched = q
-      ? divisionFilteredTypes.filter((t) => {
-          if (isMenuPathListView) {
-            const path = resolveGuiMenuPath(t, overrides, generatedGuiMenuPaths).toLowerCase();
-            return path.includes(q);
-          }
-          return t.toLowerCase().includes(q);
-        })
-      : divisionFilteredTypes;
+    const matched =
+      parsedQuery.terms.length || parsedQuery.text.length
+        ? facetFilteredTypes.filter(
+            createResourceQueryMatcher(parsedQuery, {
+              depsMap,
+              reverseMap,
+              classificationSets,
+              knownTypes: new Set(allTypes),
+              forceNewCatalog,
+              menuPath: (t) => resolveGuiMenuPath(t, overrides, generatedGuiMenuPaths),
+              isSingleton: isSingletonType,
+              matchMenuPath: isMenuPathListView,
+            })
+          )
+        : facetFilteredTypes;
 
     return sortTypesForListView(matched, listViewMode, overrides, generatedGuiMenuPaths);
   }, [
-    divisionFilteredTypes,
-    query,
+    facetFilteredTypes,
+    parsedQuery,
+    depsMap,
+    reverseMap,
+    classificationSets,
+    allTypes,
+    forceNewCatalog,
+    isSingletonType,
     listViewMode,
     overrides,
     generatedGuiMenuPaths,
     isMenuPathListView,
   ]);
 
+  useEffect(() => {
+    replaceResourceQueryInUrl(query);
+  }, [query]);
+
+  useEffect(() => {
+    replaceResourceFacetFiltersInUrl(facetFilters);
+  }, [facetFilters]);
+
   const activeType = useMemo(() => {
     if (!selectedType) return "";
     return allTypes.includes(selectedType) ? selectedType : "";
@@ -911,11 +1006,6 @@ export default function App() {
     [activeType, overrides, tfExportResourceNames]
   );
 
-  const useSingletonExporterFlag = useMemo(() => {
-    if (selectedVersion === "latest") return true;
-    return compareVersions(selectedVersion, MIN_SINGLETON_FLAG_VERSION) >= 0;
-  }, [selectedVersion]);
-
   const isSingleton = useMemo(
     () =>
       isSingletonTfExportResource(
@@ -932,34 +1022,231 @@ export default function App() {
     [activeType, forceNewCatalog]
   );
 
+  const [tfExportMode, setTfExportMode] = useState(TF_EXPORT_MODE_EXPORT);
+  const [tfExportOptions, setTfExportOptions] = useState(() => readTfExportOptionsFromLocation());
+  const [tfExportOptionsOpen, setTfExportOptionsOpen] = useState(
+    () => countEditedTfExportOptions(readTfExportOptionsFromLocation()) > 0
+  );
+
+  const activeTfExportOptions = useMemo(
+    () => tfExportOptionsForType(tfExportOptions, activeType),
+    [tfExportOptions, activeType]
+  );
+
+  const suggestedTfExportExcludeAttributes = useMemo(
+    () =>
+      tfExportMode === TF_EXPORT_MODE_EXPORT
+        ? (resolveTfExportExcludeAttributesEntry(activeType, overrides)?.excludeAttributes ?? [])
+        : [],
+    [activeType, overrides, tfExportMode]
+  );
+
+  const resolvedTfExportOptions = useMemo(
+    () =>
+      resolveTfExportOptions(activeTfExportOptions, {
+        suggestedExcludeAttributes: suggestedTfExportExcludeAttributes,
+      }),
+    [activeTfExportOptions, suggestedTfExportExcludeAttributes]
+  );
+
   const tfExportNote = useMemo(
     () =>
       overrides && activeType
-        ? resolveTfExportNote(activeType, overrides, tfExportResourceName)
+        ? resolveTfExportNote(activeType, overrides, tfExportResourceName, {
+            exportFormat: resolvedTfExportOptions.exportFormat,
+          })
         : "",
-    [activeType, overrides, tfExportResourceName]
+    [activeType, overrides, tfExportResourceName, resolvedTfExportOptions.exportFormat]
   );
 
-  const providerEnvVars = useMemo(
+  const editedTfExportOptionCount = countEditedTfExportOptions(
+    activeTfExportOptions,
+    suggestedTfExportExcludeAttributes
+  );
+
+  const handleTfExportOptionsChange = useCallback(
+    (patch) => {
+      setTfExportOptions((current) => ({ ...tfExportOptionsForType(current, activeType), ...patch }));
+    },
+    [activeType]
+  );
+
+  useEffect(() => {
+    replaceTfExportOptionsInUrl(activeTfExportOptions);
+  }, [activeTfExportOptions]);
+
+  const tfExportDependencyPlan = useMemo(
     () =>
+      activeType
+        ? resolveTfExportDependencyPlan(activeType, depsMap, resolvedTfExportOptions, {
+            nonExportableTypes,
+          })
+        : null,
+    [activeType, depsMap, resolvedTfExportOptions, nonExportableTypes]
+  );
+
+  // Exported dependencies land in the same block, so their env vars apply too.
+  const resolveExportEnvVars = useCallback(
+    (dependencyPlan) =>
       providerEnvVarCatalog
-        ? resolveProviderEnvVars(activeType, providerEnvVarCatalog.providerEnvVars)
+        ? mergeProviderEnvVars(
+            [activeType, ...(dependencyPlan?.includeTypes || [])].map((type) =>
+              resolveProviderEnvVars(type, providerEnvVarCatalog.providerEnvVars)
+            )
+          )
         : [],
     [activeType, providerEnvVarCatalog]
   );
 
-  const [tfExportMode, setTfExportMode] = useState(TF_EXPORT_MODE_EXPORT);
+  const activeTfExportDependencyPlan = resolvedTfExportOptions.dependencyStrategy
+    ? tfExportDependencyPlan
+    : null;
+
+  const providerEnvVars = useMemo(
+    () => resolveExportEnvVars(activeTfExportDependencyPlan),
+    [resolveExportEnvVars, activeTfExportDependencyPlan]
+  );
 
   const tfExportTemplate = useMemo(
     () =>
       activeType
         ? buildTfExportTemplate(activeType, dependsOn, tfExportResourceName, providerEnvVars, {
             mode: tfExportMode,
+            exportOptions: resolvedTfExportOptions,
+            dependencyPlan: activeTfExportDependencyPlan,
           })
         : "",
-    [activeType, dependsOn, tfExportResourceName, providerEnvVars, tfExportMode]
+    [
+      activeType,
+      dependsOn,
+      tfExportResourceName,
+      providerEnvVars,
+      tfExportMode,
+      resolvedTfExportOptions,
+      activeTfExportDependencyPlan,
+    ]
   );
 
+  const buildTfExportTemplateFor = useCallback(
+    (dependencies, resourceName, versionDepsMap) => {
+      const dependencyPlan = resolvedTfExportOptions.dependencyStrategy
+        ? resolveTfExportDependencyPlan(activeType, versionDepsMap, resolvedTfExportOptions, {
+            nonExportableTypes,
+          })
+        : null;
+      return buildTfExportTemplate(
+        activeType,
+        dependencies,
+        resourceName,
+        resolveExportEnvVars(dependencyPlan),
+        {
+          mode: tfExportMode,
+          exportOptions: resolvedTfExportOptions,
+          dependencyPlan,
+        }
+      );
+    },
+    [activeType, resolveExportEnvVars, tfExportMode, resolvedTfExportOptions, nonExportableTypes]
+  );
+
+  const [tfExportCompareVersion, setTfExportCompareVersion] = useState("");
+
+  const [exportSelection, setExportSelection] = useState([]);
+
+  const combinedExportResources = useMemo(
+    () =>
+      overrides
+        ? exportSelection
+            .filter((type) => allTypes.includes(type))
+            .map((type) => ({
+              type,
+              dependencies: sortAlpha([...(depsMap.get(type) || [])]),
+              resourceName: resolveTfExportResourceName(type, overrides, tfExportResourceNames),
+            }))
+        : [],
+    [exportSelection, allTypes, depsMap, overrides, tfExportResourceNames]
+  );
+
+  const combinedExportEnvVars = useMemo(
+    () =>
+      providerEnvVarCatalog
+        ? mergeProviderEnvVars(
+            combinedExportResources.map(({ type }) =>
+              resolveProviderEnvVars(type, providerEnvVarCatalog.providerEnvVars)
+            )
+          )
+        : [],
+    [combinedExportResources, providerEnvVarCatalog]
+  );
+
+  const combinedExportOptions = useMemo(
+    () => resolveTfExportOptions(sharedTfExportOptions(tfExportOptions)),
+    [tfExportOptions]
+  );
+
+  const combinedExportTemplate = useMemo(() => {
+    if (!combinedExportResources.length) return "";
+    return buildCombinedTfExportTemplate(combinedExportResources, combinedExportEnvVars, {
+      mode: tfExportMode,
+      exportOptions: combinedExportOptions,
+    });
+  }, [combinedExportResources, combinedExportEnvVars, tfExportMode, combinedExportOptions]);
+
+  const combinedExportNote = useMemo(
+    () =>
+      tfExportMode === TF_EXPORT_MODE_EXPORT
+        ? resolveCombinedTfExportNote(combinedExportResources, overrides, {
+            exportFormat: combinedExportOptions.exportFormat,
+          })
+        : "",
+    [combinedExportResources, overrides, tfExportMode, combinedExportOptions.exportFormat]
+  );
+
+  const combinedReplaceTypeCount = useMemo(
+    () =>
+      tfExportMode === TF_EXPORT_MODE_EXPORT
+        ? resolveCombinedReplaceWithDatasourceTypes(combinedExportResources).length
+        : 0,
+    [combinedExportResources, tfExportMode]
+  );
+
+  const versionTypes = useMemo(
+    () => [...new Set([...depsMap.keys(), ...reverseMap.keys()])],
+    [depsMap, reverseMap]
+  );
+
+  const tfExportLintContext = useMemo(
+    () =>
+      raw && overrides && providerEnvVarCatalog
+        ? {
+            allTypes: versionTypes,
+            depsMap,
+            nonExportableTypes,
+            overrides,
+            tfExportResourceNames,
+            providerEnvVars: providerEnvVarCatalog.providerEnvVars,
+          }
+        : null,
+    [
+      raw,
+      overrides,
+      providerEnvVarCatalog,
+      versionTypes,
+      depsMap,
+      nonExportableTypes,
+      tfExportResourceNames,
+    ]
+  );
+
+  const isActiveTypeInExportSelection = activeType ? exportSelection.includes(activeType) : false;
+
+  const toggleExportSelection = useCallback((type) => {
+    if (!type) return;
+    setExportSelection((current) =>
+      current.includes(type) ? current.filter((t) => t !== type) : [...current, type]
+    );
+  }, []);
+
   const terraformRegistryDocsUrl = useMemo(
     () =>
       detailType
@@ -979,6 +1266,16 @@ export default function App() {
   const [siteUpdatesDialogOpen, setSiteUpdatesDialogOpen] = useState(false);
   const [attributeIndexDialogOpen, setAttributeIndexDialogOpen] = useState(false);
   const [envVarsDialogOpen, setEnvVarsDialogOpen] = useState(false);
+  const [dependencyGraphOpen, setDependencyGraphOpen] = useState(false);
+  const [versionDiffOpen, setVersionDiffOpen] = useState(false);
+  const [upgradeImpactOpen, setUpgradeImpactOpen] = useState(false);
+  const [compareTypes, setCompareTypes] = useState([]);
+  const [compareDialogOpen, setCompareDialogOpen] = useState(false);
+  const [offlineDataOpen, setOfflineDataOpen] = useState(false);
+  const [importBlocksOpen, setImportBlocksOpen] = useState(false);
+  const [tfExportLintOpen, setTfExportLintOpen] = useState(false);
+  const [tfExportScopeOpen, setTfExportScopeOpen] = useState(false);
+  const [providerConfigOpen, setProviderConfigOpen] = useState(false);
   const spreadsheetPermalinkRef = useRef("");
   const supportedResourcesPermalinkRef = useRef("");
   const labFilesPermalinkRef = useRef("");
@@ -990,6 +1287,9 @@ export default function App() {
   const [creationOrderQuery, setCreationOrderQuery] = useState(() =>
     readCreationOrderFilterFromLocation()
   );
+  const [creationOrderTypes, setCreationOrderTypes] = useState(() =>
+    readCreationOrderTypesFromLocation()
+  );
   const [siteUpdatesEntry, setSiteUpdatesEntry] = useState(() => {
     const fromUrl = readSiteUpdatesEntryFromLocation();
     return fromUrl || "latest";
@@ -1006,6 +1306,7 @@ export default function App() {
 
   const syncCreationOrderFromUrl = useCallback(() => {
     setCreationOrderQuery(readCreationOrderFilterFromLocation());
+    setCreationOrderTypes(readCreationOrderTypesFromLocation());
   }, []);
 
   const syncSiteUpdatesFromUrl = useCallback(() => {
@@ -1022,6 +1323,21 @@ export default function App() {
     newestListedReleaseRef.current = newestListedRelease;
   }, [newestListedRelease]);
 
+  const selectedProviderDescription =
+    selectedVersion === "latest"
+      ? newestListedRelease
+        ? `the latest provider (${toReleaseNotesVersion(newestListedRelease)})`
+        : "the latest provider"
+      : toReleaseNotesVersion(selectedVersion);
+
+  const tfExportCompareVersions = useMemo(
+    () =>
+      availableVersions.filter(
+        (v) => v !== (selectedVersion === "latest" ? newestListedRelease : selectedVersion)
+      ),
+    [availableVersions, selectedVersion, newestListedRelease]
+  );
+
   const openDialog = useCallback((dialogId) => {
     setOrderDialogOpen(dialogId === DIALOG_CREATION_ORDER);
     setReleaseNotesDialogOpen(dialogId === DIALOG_RELEASE_NOTES);
@@ -1033,6 +1349,7 @@ export default function App() {
     }
     if (dialogId === DIALOG_CREATION_ORDER) {
       setCreationOrderQuery("");
+      setCreationOrderTypes([]);
     }
     if (dialogId === DIALOG_SITE_UPDATES) {
       setSiteUpdatesEntry("latest");
@@ -1053,6 +1370,14 @@ export default function App() {
     replaceCreationOrderInUrl(nextQuery, selectedVersionRef.current);
   }, []);
 
+  const handleCreationOrderTypesChange = useCallback(
+    (nextTypes) => {
+      setCreationOrderTypes(nextTypes);
+      replaceCreationOrderInUrl(creationOrderQuery, selectedVersionRef.current, nextTypes);
+    },
+    [creationOrderQuery]
+  );
+
   const handleAttributeIndexQueryChange = useCallback((nextQuery) => {
     setAttributeIndexQuery(nextQuery);
     const versionInUrl = readVersionFromLocation();
@@ -1091,6 +1416,7 @@ export default function App() {
       setEnvVarsDialogOpen(false);
       setAttributeIndexQuery("");
       setCreationOrderQuery("");
+      setCreationOrderTypes([]);
       setSiteUpdatesEntry("latest");
 
       const resource =
@@ -1306,6 +1632,9 @@ export default function App() {
       syncAttributeIndexFromUrl();
       syncCreationOrderFromUrl();
       syncSiteUpdatesFromUrl();
+      setQuery(readResourceQueryFromLocation());
+      setFacetFilters(readResourceFacetFiltersFromLocation());
+      setTfExportOptions(readTfExportOptionsFromLocation());
 
       const versionFromUrl = readVersionFromLocation();
       skipNextUrlSyncRef.current = true;
@@ -1382,6 +1711,54 @@ export default function App() {
   const effectiveVersion =
     selectedVersion === "latest" ? newestListedRelease : selectedVersion;
 
+  const pinnedCompareTypes = useMemo(
+    () => compareTypes.filter((type) => allTypes.includes(type)),
+    [compareTypes, allTypes]
+  );
+
+  const compareColumns = useMemo(
+    () =>
+      pinnedCompareTypes.map((type) =>
+        describeResourceForComparison(type, {
+          depsMap,
+          reverseMap,
+          hiddenTypes,
+          menuPath: (t) => resolveGuiMenuPath(t, overrides, generatedGuiMenuPaths),
+          forceNewAttributes: (t) => getForceNewAttributes(t, forceNewCatalog),
+          badges: (t) =>
+            [
+              isDivisionAwareResourceType(t, depsMap) && "Division aware",
+              isSingletonType(t) && "Singleton",
+              deprecatedTypes.has(t) && "Deprecated",
+              nonExportableTypes.has(t) && "Cannot be exported",
+              cannotBeDestroyedTypes.has(t) && "Cannot be destroyed",
+            ].filter(Boolean),
+          exportResourceName: (t) => resolveTfExportResourceName(t, overrides, tfExportResourceNames),
+          envVars: (t) =>
+            providerEnvVarCatalog
+              ? resolveProviderEnvVars(t, providerEnvVarCatalog.providerEnvVars)
+              : [],
+        })
+      ),
+    [
+      pinnedCompareTypes,
+      depsMap,
+      reverseMap,
+      hiddenTypes,
+      overrides,
+      generatedGuiMenuPaths,
+      forceNewCatalog,
+      isSingletonType,
+      deprecatedTypes,
+      nonExportableTypes,
+      cannotBeDestroyedTypes,
+      tfExportResourceNames,
+      providerEnvVarCatalog,
+    ]
+  );
+
+  const isActiveTypePinned = activeType ? pinnedCompareTypes.includes(activeType) : false;
+
   const roleDownloadsSupported = isRoleDownloadSupported(effectiveVersion);
 
   const roleDownloadVersionLabel = useMemo(
@@ -1438,6 +1815,12 @@ export default function App() {
   const clearSearch = () => {
     setQuery("");
     setDivisionFilter(DIVISION_FILTER_ALL);
+    setFacetFilters(EMPTY_FACET_FILTERS);
+    setSelectedType("");
+  };
+
+  const setFacetFilter = (facetId, value) => {
+    setFacetFilters((prev) => ({ ...prev, [facetId]: value }));
     setSelectedType("");
   };
 
@@ -1472,6 +1855,28 @@ export default function App() {
     setCopyState("idle");
   }, [activeType, tfExportTemplate, tfExportMode]);
 
+  const downloadTfExportProject = async ({ types, template, envVars, note, directory }) => {
+    const versionLabel = await resolveArtifactDownloadVersionLabel(
+      selectedVersion,
+      newestListedRelease
+    );
+    const providerVersion = versionLabel === "unknown" ? "" : fromReleaseNotesVersion(versionLabel);
+    triggerBlobDownload({
+      blob: buildTfExportProjectZip({
+        types,
+        template,
+        envVars,
+        note: tfExportMode === TF_EXPORT_MODE_EXPORT ? note : "",
+        providerVersion,
+        versionLabel,
+        mode: tfExportMode,
+        directory,
+      }),
+      filename: tfExportProjectFilename(types, versionLabel),
+      mimeType: "application/zip",
+    });
+  };
+
   const copyTfExportTemplate = async () => {
     if (!tfExportTemplate) return;
 
@@ -1533,15 +1938,16 @@ export default function App() {
     if (showDependencyLoading) return "Loading resource types…";
 
     const total = allTypes.length;
-    const pool = divisionFilteredTypes.length;
+    const pool = facetFilteredTypes.length;
     const filtered = filteredTypes.length;
     const hasSearch = Boolean(normalizeType(query));
-    const hasDivisionFilter = Boolean(divisionFilter);
+    const hasDivisionFilter = Boolean(divisionFilter) || activeFacetCount > 0;
 
     if (!total) return "No resource types";
 
-    const poolLabel =
-      divisionFilter === DIVISION_FILTER_AWARE
+    const poolLabel = activeFacetCount
+      ? "filtered resource types"
+      : divisionFilter === DIVISION_FILTER_AWARE
         ? "division-aware resource types"
         : divisionFilter === DIVISION_FILTER_NOT_AWARE
           ? "non-division-aware resource types"
@@ -1582,10 +1988,11 @@ export default function App() {
     error,
     showDependencyLoading,
     allTypes.length,
-    divisionFilteredTypes.length,
+    facetFilteredTypes.length,
     filteredTypes.length,
     query,
     divisionFilter,
+    activeFacetCount,
     isMenuPathListView,
   ]);
 
@@ -1622,6 +2029,64 @@ export default function App() {
               Creation order
             </button>
 
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setVersionDiffOpen(true)}
+              disabled={loadingIndex || !overrides || availableVersions.length < 2}
+              title="Dependency and classification changes between two provider versions"
+            >
+              Compare versions
+            </button>
+
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setUpgradeImpactOpen(true)}
+              disabled={!overrides}
+              title="Every provider change between two releases, with breaking changes flagged"
+            >
+              Upgrade report
+            </button>
+
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setTfExportLintOpen(true)}
+              disabled={!overrides}
+              title="Check a pasted genesyscloud_tf_export block against the selected provider version"
+            >
+              Lint export config
+            </button>
+
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setTfExportScopeOpen(true)}
+              disabled={!raw || !overrides || !providerEnvVarCatalog}
+              title="Full-org export block that keeps the chosen types and excludes the rest"
+            >
+              Export all except…
+            </button>
+
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setProviderConfigOpen(true)}
+              title="providers.tf and credentials snippet for the genesyscloud provider"
+            >
+              Provider config
+            </button>
+
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setOfflineDataOpen(true)}
+              title="Keep provider versions available when this site is unreachable"
+            >
+              Offline data
+            </button>
+
             <a
               href={EXPORT_BUILDER_BASE_URL}
               className="gcHeaderLink"
@@ -1734,6 +2199,7 @@ export default function App() {
                   placeholder={
                     isMenuPathListView ? "Search GUI menu paths" : "Search resource types"
                   }
+                  title={`Filters: ${RESOURCE_QUERY_KEYS.map(({ example }) => example).join(", ")}`}
                   value={query}
                   onInput={(e) => {
                     setQuery(e.target.value);
@@ -1749,12 +2215,17 @@ export default function App() {
                   disabled={
                     showDependencyLoading ||
                     !!error ||
-                    (!query && !selectedType && !divisionFilter)
+                    (!query && !selectedType && !divisionFilter && !activeFacetCount)
                   }
                 >
                   Clear
                 </button>
               </div>
+              {parsedQuery.errors.length ? (
+                <p className="gcSearchHint" role="status">
+                  {parsedQuery.errors.join(" · ")}
+                </p>
+              ) : null}
             </div>
 
             <div
@@ -1781,7 +2252,9 @@ export default function App() {
                     <button
                       key={t}
                       data-resource-type={t}
-                      className={`gcTr ${t === selectedType ? "isActive" : ""}`}
+                      className={`gcTr ${t === selectedType ? "isActive" : ""}${
+                        exportSelection.includes(t) ? " isInExportSelection" : ""
+                      }`}
                       onClick={() => {
                         setSelectedType(t);
                         listBodyRef.current?.focus();
@@ -1823,6 +2296,28 @@ export default function App() {
               ) : null}
             </div>
 
+            {!error && facetFiltersOpen ? (
+              <div id="resource-facet-filters" className="gcFacetFilters">
+                {RESOURCE_FACETS.map((facet) => (
+                  <div key={facet.id} className="gcFacetFilters__item">
+                    <span className="gcDivisionFilterLabel" id={`facet-filter-${facet.id}`}>
+                      {facet.label}
+                    </span>
+                    <gux-badge>{facetCounts[facet.id]}</gux-badge>
+                    <TriStateFilter
+                      labelId={`facet-filter-${facet.id}`}
+                      title={`${facetCounts[facet.id]} ${facet.label.toLowerCase()} resource types with the other filters applied`}
+                      value={facetFilters[facet.id]}
+                      disabled={showDependencyLoading}
+                      noLabel={`Hide ${facet.label.toLowerCase()}`}
+                      yesLabel={`${facet.label} only`}
+                      onChange={(value) => setFacetFilter(facet.id, value)}
+                    />
+                  </div>
+                ))}
+              </div>
+            ) : null}
+
             {!error ? (
               <div className="gcListFooter">
                 {resourceListCountLabel ? (
@@ -1832,89 +2327,32 @@ export default function App() {
                 ) : (
                   <span className="gcListCount" aria-hidden="true" />
                 )}
-                <div className="gcDivisionFilterBlock">
-                  <span className="gcDivisionFilterLabel" id="division-filter-label">
-                    Show Division-aware
-                  </span>
-                  <div
-                    className="gcSegmentedControl"
-                    role="radiogroup"
-                    aria-labelledby="division-filter-label"
-                    title="Filter by division-aware heuristic (genesyscloud_auth_division in Depends on)"
+                <div className="gcListFooter__filters">
+                  <button
+                    type="button"
+                    className="gcHeaderLink"
+                    aria-expanded={facetFiltersOpen}
+                    aria-controls="resource-facet-filters"
+                    onClick={() => setFacetFiltersOpen((prev) => !prev)}
                   >
-                    <button
-                      type="button"
-                      className="gcSegmentedControl__option"
-                      role="radio"
-                      aria-checked={divisionFilter === DIVISION_FILTER_NOT_AWARE}
-                      disabled={showDependencyLoading || !!error}
-                      title="Non-division-aware only"
-                      onClick={() => {
-                        setDivisionFilter(DIVISION_FILTER_NOT_AWARE);
-                        setSelectedType("");
-                      }}
-                    >
-                      <svg
-                        className="gcSegmentedControl__icon"
-                        viewBox="0 0 16 16"
-                        width="14"
-                        height="14"
-                        aria-hidden="true"
-                      >
-                        <path
-                          d="M4.2 4.2 11.8 11.8M11.8 4.2 4.2 11.8"
-                          fill="none"
-                          stroke="currentColor"
-                          strokeWidth="1.6"
-                          strokeLinecap="round"
-                        />
-                      </svg>
-                      <span className="gcVisuallyHidden">Non-division-aware only</span>
-                    </button>
-                    <button
-                      type="button"
-                      className="gcSegmentedControl__option"
-                      role="radio"
-                      aria-checked={divisionFilter === DIVISION_FILTER_ALL}
+                    Filters{activeFacetCount ? ` (${activeFacetCount})` : ""}
+                  </button>
+                  <div className="gcDivisionFilterBlock">
+                    <span className="gcDivisionFilterLabel" id="division-filter-label">
+                      Show Division-aware
+                    </span>
+                    <TriStateFilter
+                      labelId="division-filter-label"
+                      title="Filter by division-aware heuristic (genesyscloud_auth_division in Depends on)"
+                      value={divisionFilter}
                       disabled={showDependencyLoading || !!error}
-                      title="All resource types"
-                      onClick={() => {
-                        setDivisionFilter(DIVISION_FILTER_ALL);
-                        setSelectedType("");
-                      }}
-                    >
-                      <span className="gcVisuallyHidden">All resource types</span>
-                    </button>
-                    <button
-                      type="button"
-                      className="gcSegmentedControl__option"
-                      role="radio"
-                      aria-checked={divisionFilter === DIVISION_FILTER_AWARE}
-                      disabled={showDependencyLoading || !!error}
-                      title="Division-aware only"
-                      onClick={() => {
-                        setDivisionFilter(DIVISION_FILTER_AWARE);
+                      noLabel="Non-division-aware only"
+                      yesLabel="Division-aware only"
+                      onChange={(value) => {
+                        setDivisionFilter(value);
                         setSelectedType("");
                       }}
-                    >
-                      <svg
-                        className="gcSegmentedControl__icon"
-                        viewBox="0 0 16 16"
-                        width="14"
-                        height="14"
-                        aria-hidden="true"
-                      >
-                        <path
-                          d="M3.5 8.2 6.6 11.3 12.5 5.4"
-                          fill="none"
-                          stroke="currentColor"
-                          strokeWidth="1.6"
-                          strokeLinecap="round"
-                          strokeLinejoin="round"
-                        />
-                      </svg>
-                      <span className="gcVisuallyHidden">Division-aware only</span>
-                    </button>
+                    />
                   </div>
                 </div>
               </div>
@@ -1928,6 +2366,37 @@ export default function App() {
                   {isMenuPathListView ? "GUI Menu Path Details" : "Resource Type Details"}
                 </h2>
                 <div className="gcCard__titleActions">
+                  {activeType ? (
+                    <button
+                      type="button"
+                      className="gcHeaderLink"
+                      onClick={() =>
+                        setCompareTypes((prev) => togglePinnedComparisonType(prev, activeType))
+                      }
+                      disabled={
+                        !isActiveTypePinned &&
+                        pinnedCompareTypes.length >= RESOURCE_COMPARISON_MAX_TYPES
+                      }
+                      title={
+                        isActiveTypePinned
+                          ? "Remove from the comparison"
+                          : `Pin up to ${RESOURCE_COMPARISON_MAX_TYPES} types to compare side by side`
+                      }
+                    >
+                      {isActiveTypePinned ? "Unpin" : "Pin to compare"}
+                    </button>
+                  ) : null}
+                  {pinnedCompareTypes.length ? (
+                    <button
+                      type="button"
+                      className="gcHeaderLink"
+                      onClick={() => setCompareDialogOpen(true)}
+                      disabled={pinnedCompareTypes.length < RESOURCE_COMPARISON_MIN_TYPES}
+                      title={pinnedCompareTypes.join(", ")}
+                    >
+                      Compare ({pinnedCompareTypes.length})
+                    </button>
+                  ) : null}
                   {terraformRegistryDocsUrl ? (
                     <a
                       className="gcHeaderLink"
@@ -2029,11 +2498,32 @@ export default function App() {
               />
             ) : null}
 
+            {activeType ? (
+              <ResourceAttributeTimeline
+                key={activeType}
+                resourceType={activeType}
+                version={effectiveVersion}
+                forceNewAttributes={forceNewAttributes}
+              />
+            ) : null}
+
             <div className="gcDetailsGrid">
               <div className="gcPanel">
                 <div className="gcPanel__header">
-                  <div className="gcPanel__title">Depends on</div>
-                  <gux-badge>{dependsOn.length}</gux-badge>
+                  <div className="gcPanel__headerStart">
+                    <div className="gcPanel__title">Depends on</div>
+                    <gux-badge>{dependsOn.length}</gux-badge>
+                  </div>
+                  {activeType && (dependsOn.length || dependencyFor.length) ? (
+                    <button
+                      type="button"
+                      className="gcHeaderLink"
+                      onClick={() => setDependencyGraphOpen(true)}
+                      title={`Dependency graph for ${activeType}`}
+                    >
+                      Graph
+                    </button>
+                  ) : null}
                 </div>
                 <div className="gcPanel__body">
                   {activeType ? (
@@ -2072,22 +2562,39 @@ export default function App() {
                 <div className="gcPanel__header">
                   <div className="gcPanel__title">genesyscloud_tf_export template</div>
                   {activeType ? (
-                    <a
-                      href={exportBuilderUrl}
-                      className="gcHeaderLink"
-                      title={`Open builder for ${activeType}`}
-                    >
-                      Open builder
-                    </a>
+                    <div className="gcHeaderLinks">
+                      <button
+                        type="button"
+                        className="gcHeaderLink"
+                        aria-pressed={isActiveTypeInExportSelection}
+                        onClick={() => toggleExportSelection(activeType)}
+                        title="Build one export block for several resource types"
+                      >
+                        {isActiveTypeInExportSelection ? "Remove from combined" : "Add to combined"}
+                      </button>
+                      <button
+                        type="button"
+                        className="gcHeaderLink"
+                        onClick={() => setImportBlocksOpen(true)}
+                        title="Terraform import blocks for existing objects of this type"
+                      >
+                        Import blocks
+                      </button>
+                      <a
+                        href={exportBuilderUrl}
+                        className="gcHeaderLink"
+                        title={`Open builder for ${activeType}`}
+                      >
+                        Open builder
+                      </a>
+                    </div>
                   ) : null}
                 </div>
                 <div className="gcPanel__body">
                   {activeType && tfExportTemplate ? (
                     <>
                       <p className="gcMuted gcExportTemplate__hint">
-                        {tfExportMode === TF_EXPORT_MODE_EXPORT_STATE
-                          ? "Generate a Terraform state file for existing resources — brownfield adoption and import workflows."
-                          : "Generate HCL configuration for this resource, with dependency types exported as data sources."}
+                        {tfExportTemplateHint(tfExportMode, resolvedTfExportOptions.exportFormat)}
                       </p>
                       <div className="gcExportTemplate__toolbar">
                         <div
@@ -2114,6 +2621,47 @@ export default function App() {
                             Export state
                           </button>
                         </div>
+                        <button
+                          type="button"
+                          className="gcHeaderLink gcExportTemplate__customize"
+                          aria-expanded={tfExportOptionsOpen}
+                          aria-controls="tf-export-options"
+                          onClick={() => setTfExportOptionsOpen((open) => !open)}
+                        >
+                          {editedTfExportOptionCount
+                            ? `Customize (${editedTfExportOptionCount})`
+                            : "Customize"}
+                        </button>
+                        <button
+                          type="button"
+                          className="gcHeaderLink"
+                          title="Zip with terraform.tf, providers.tf, variables.tf, terraform.tfvars, this block as main.tf and a README"
+                          onClick={() =>
+                            downloadTfExportProject({
+                              types: [activeType],
+                              template: tfExportTemplate,
+                              envVars: providerEnvVars,
+                              note: tfExportNote,
+                              directory: resolvedTfExportOptions.directory,
+                            })
+                          }
+                        >
+                          Download project
+                        </button>
+                        <select
+                          className="gcSelectInput"
+                          value={tfExportCompareVersion}
+                          onChange={(event) => setTfExportCompareVersion(event.target.value)}
+                          aria-label="Compare template with provider version"
+                          disabled={!tfExportCompareVersions.length}
+                        >
+                          <option value="">Compare with…</option>
+                          {tfExportCompareVersions.map((v) => (
+                            <option key={v} value={v}>
+                              {toReleaseNotesVersion(v)}
+                            </option>
+                          ))}
+                        </select>
                         <button
                           type="button"
                           className="gcCopyButton"
@@ -2127,7 +2675,39 @@ export default function App() {
                               : "Copy"}
                         </button>
                       </div>
-                      <pre className="gcExportTemplate__code gcMono">{tfExportTemplate}</pre>
+                      {tfExportOptionsOpen ? (
+                        <div id="tf-export-options">
+                          <TfExportOptionsForm
+                            resourceType={activeType}
+                            options={activeTfExportOptions}
+                            resolvedOptions={resolvedTfExportOptions}
+                            suggestedExcludeAttributes={suggestedTfExportExcludeAttributes}
+                            defaultNamePattern={`^${tfExportResourceName}$`}
+                            blockLabelPlaceholder={tfExportResourceName}
+                            providerVersion={selectedVersion}
+                            dependencyPlan={tfExportDependencyPlan}
+                            onChange={handleTfExportOptionsChange}
+                            onReset={() =>
+                              setTfExportOptions({ ...EMPTY_TF_EXPORT_OPTIONS, type: activeType })
+                            }
+                            editedCount={editedTfExportOptionCount}
+                          />
+                        </div>
+                      ) : null}
+                      {tfExportCompareVersion ? (
+                        <TfExportTemplateDiff
+                          resourceType={activeType}
+                          compareVersion={tfExportCompareVersion}
+                          selectedVersion={selectedVersion}
+                          overrides={overrides}
+                          currentTemplate={tfExportTemplate}
+                          currentDependencies={dependsOn}
+                          currentResourceName={tfExportResourceName}
+                          buildTemplate={buildTfExportTemplateFor}
+                        />
+                      ) : (
+                        <pre className="gcExportTemplate__code gcMono">{tfExportTemplate}</pre>
+                      )}
                     </>
                   ) : (
                     <div className="gcMuted">
@@ -2143,6 +2723,25 @@ export default function App() {
               </div>
             </div>
 
+            <CombinedExportPanel
+              types={combinedExportResources.map(({ type }) => type)}
+              template={combinedExportTemplate}
+              note={combinedExportNote}
+              replaceTypeCount={combinedReplaceTypeCount}
+              onSelectType={setSelectedType}
+              onRemoveType={toggleExportSelection}
+              onClear={() => setExportSelection([])}
+              onDownloadProject={() =>
+                downloadTfExportProject({
+                  types: combinedExportResources.map(({ type }) => type),
+                  template: combinedExportTemplate,
+                  envVars: combinedExportEnvVars,
+                  note: combinedExportNote,
+                  directory: combinedExportOptions.directory,
+                })
+              }
+            />
+
             {activeType && dependencyNote ? (
               <div className="gcDependencyNote">
                 <div className="gcPanel">
@@ -2223,14 +2822,125 @@ export default function App() {
         loadingData={loadingData}
         query={creationOrderQuery}
         onQueryChange={handleCreationOrderQueryChange}
+        subsetTypes={creationOrderTypes}
+        onSubsetTypesChange={handleCreationOrderTypesChange}
+        allTypes={allTypes}
+        exportSelection={exportSelection}
+        overrides={overrides}
         onSelectType={(type) => {
           setSelectedType(type);
           setCreationOrderQuery("");
+          setCreationOrderTypes([]);
+          setQuery("");
+          setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
+        }}
+      />
+
+      <DependencyGraphDialog
+        open={dependencyGraphOpen && !!activeType}
+        onClose={() => setDependencyGraphOpen(false)}
+        rootType={activeType}
+        depsMap={depsMap}
+        reverseMap={reverseMap}
+        hiddenTypes={hiddenTypes}
+        onSelectType={(type) => {
+          setSelectedType(type);
+          setQuery("");
+          setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
+        }}
+      />
+
+      <ResourceCompareDialog
+        open={compareDialogOpen}
+        onClose={() => setCompareDialogOpen(false)}
+        columns={compareColumns}
+        version={effectiveVersion}
+        onRemoveType={(type) => setCompareTypes((prev) => prev.filter((t) => t !== type))}
+        onClear={() => {
+          setCompareTypes([]);
+          setCompareDialogOpen(false);
+        }}
+        onSelectType={(type) => {
+          setSelectedType(type);
+          setQuery("");
+          setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
+        }}
+      />
+
+      <VersionDiffDialog
+        open={versionDiffOpen}
+        onClose={() => setVersionDiffOpen(false)}
+        availableVersions={availableVersions}
+        selectedVersion={selectedVersion}
+        overrides={overrides}
+        knownTypes={new Set(allTypes)}
+        onSelectType={(type) => {
+          setSelectedType(type);
+          setQuery("");
+          setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
+        }}
+      />
+
+      <UpgradeImpactDialog
+        open={upgradeImpactOpen}
+        onClose={() => setUpgradeImpactOpen(false)}
+        selectedVersion={selectedVersion}
+        overrides={overrides}
+        knownTypes={new Set(allTypes)}
+        onSelectType={(type) => {
+          setSelectedType(type);
           setQuery("");
           setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
         }}
       />
 
+      {activeType ? (
+        <ImportBlocksDialog
+          key={activeType}
+          open={importBlocksOpen}
+          onClose={() => setImportBlocksOpen(false)}
+          resourceType={activeType}
+          blockLabelPlaceholder={tfExportResourceName}
+        />
+      ) : null}
+
+      <TfExportLintDialog
+        open={tfExportLintOpen}
+        onClose={() => setTfExportLintOpen(false)}
+        versionLabel={selectedProviderDescription}
+        lintContext={tfExportLintContext}
+        currentTemplate={tfExportTemplate}
+      />
+
+      {raw && overrides ? (
+        <TfExportScopeDialog
+          key={selectedVersion}
+          open={tfExportScopeOpen}
+          onClose={() => setTfExportScopeOpen(false)}
+          versionLabel={selectedProviderDescription}
+          types={allTypes}
+          scopeTypes={versionTypes}
+          depsMap={depsMap}
+          nonExportableTypes={nonExportableTypes}
+          overrides={overrides}
+          generatedGuiMenuPaths={generatedGuiMenuPaths}
+          providerEnvVars={providerEnvVarCatalog?.providerEnvVars}
+          exportOptions={combinedExportOptions}
+        />
+      ) : null}
+
+      <OfflineDataDialog
+        open={offlineDataOpen}
+        onClose={() => setOfflineDataOpen(false)}
+        availableVersions={availableVersions}
+        newestListedRelease={newestListedRelease}
+      />
+
       <ReleaseNotesDialog
         open={releaseNotesDialogOpen}
         onClose={closeDialogs}
@@ -2239,6 +2949,13 @@ export default function App() {
         availableVersions={availableVersions}
         newestListedRelease={newestListedRelease}
         loadingIndex={loadingIndex}
+        knownTypes={new Set(allTypes)}
+        onSelectType={(type) => {
+          setSelectedType(type);
+          setQuery("");
+          setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
+        }}
       />
 
       <SiteUpdatesDialog
@@ -2260,9 +2977,16 @@ export default function App() {
           setSelectedType(type);
           setQuery("");
           setDivisionFilter(DIVISION_FILTER_ALL);
+          setFacetFilters(EMPTY_FACET_FILTERS);
         }}
       />
 
+      <ProviderConfigDialog
+        open={providerConfigOpen}
+        onClose={() => setProviderConfigOpen(false)}
+        catalog={providerEnvVarCatalog}
+      />
+
       <ProviderEnvVarsDialog
         open={envVarsDialogOpen}
         onClose={closeDialogs}
@@ -0,0 +1,39 @@
+import React, { useEffect, useState } from "react";
+
+function CopyButton({ text }) {
+  const [copyState, setCopyState] = useState("idle");
+
+  useEffect(() => {
+    if (copyState === "idle") return undefined;
+    const timer = window.setTimeout(() => setCopyState("idle"), 1600);
+    return () => window.clearTimeout(timer);
+  }, [copyState]);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyState("copied");
+    } catch {
+      setCopyState("failed");
+    }
+  };
+
+  return (
+    <button type="button" className="gcCopyButton" onClick={copy} disabled={!text}>
+      {copyState === "copied" ? "Copied" : copyState === "failed" ? "Copy failed" : "Copy"}
+    </button>
+  );
+}
+
+/** Dialog section with a file name (or other title), a copy button and a code block. */
+export default function CodeOutputSection({ title, text }) {
+  return (
+    <section className="gcOrderDialog__tier">
+      <div className="gcOrderDialog__tierHeader">
+        <h3 className="gcOrderDialog__tierTitle">{title}</h3>
+        <CopyButton text={text} />
+      </div>
+      <pre className="gcExportTemplate__code gcMono">{text}</pre>
+    </section>
+  );
+}
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from "react";
+import DependencyNote from "./DependencyNote.jsx";
+import TypeChipList from "./TypeChipList.jsx";
+
+export default function CombinedExportPanel({
+  types,
+  template,
+  note,
+  replaceTypeCount = 0,
+  onSelectType,
+  onRemoveType,
+  onClear,
+  onDownloadProject,
+}) {
+  const [copyState, setCopyState] = useState("idle");
+
+  useEffect(() => {
+    if (copyState === "idle") return undefined;
+    const timer = window.setTimeout(() => setCopyState("idle"), 1600);
+    return () => window.clearTimeout(timer);
+  }, [copyState]);
+
+  if (!types.length) return null;
+
+  const copyTemplate = async () => {
+    if (!template) return;
+
+    try {
+      await navigator.clipboard.writeText(template);
+      setCopyState("copied");
+    } catch {
+      setCopyState("failed");
+    }
+  };
+
+  return (
+    <div className="gcExportTemplate gcCombinedExport">
+      <div className="gcPanel">
+        <div className="gcPanel__header">
+          <div className="gcPanel__headerStart">
+            <div className="gcPanel__title">Combined genesyscloud_tf_export template</div>
+            <gux-badge>{types.length}</gux-badge>
+          </div>
+          <button type="button" className="gcHeaderLink" onClick={onClear}>
+            Clear
+          </button>
+        </div>
+        <div className="gcPanel__body">
+          <p className="gcMuted gcExportTemplate__hint">
+            One export block for every type below. Dependencies shared between the selected types
+            are exported as resources; the remaining {replaceTypeCount} dependency type
+            {replaceTypeCount === 1 ? " is" : "s are"} replaced with data sources.
+          </p>
+          <TypeChipList
+            types={types}
+            onSelect={onSelectType}
+            onRemove={onRemoveType}
+            removeLabel="Remove from combined export"
+          />
+          <div className="gcExportTemplate__toolbar gcCombinedExport__toolbar">
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={onDownloadProject}
+              disabled={!template}
+            >
+              Download project
+            </button>
+            <button
+              type="button"
+              className="gcCopyButton"
+              onClick={copyTemplate}
+              disabled={!template}
+            >
+              {copyState === "copied"
+                ? "Copied"
+                : copyState === "failed"
+                  ? "Copy failed"
+                  : "Copy"}
+            </button>
+          </div>
+          <pre className="gcExportTemplate__code gcMono">{template}</pre>
+          {note ? (
+            <div className="gcExportTemplate__note">
+              <DependencyNote content={note} />
+            </div>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
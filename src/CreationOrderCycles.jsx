@@ -0,0 +1,176 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { buildDepsMaps } from "./dependencyTree.js";
+import {
+  EDGE_SOURCE_ADDED,
+  EDGE_SOURCE_REPLACED,
+  EDGE_SOURCE_UPSTREAM,
+  explainCyclicComponents,
+} from "./dependencyCycles.js";
+import { fetchDataSourceTypes, fetchDependencyTree } from "./versionedData.js";
+
+const upstreamDepsCache = new Map();
+
+function loadUpstreamDepsMap(version) {
+  if (!upstreamDepsCache.has(version)) {
+    const pending = fetchDependencyTree(version).then((tree) => buildDepsMaps(tree).depsMap);
+    pending.catch(() => upstreamDepsCache.delete(version));
+    upstreamDepsCache.set(version, pending);
+  }
+  return upstreamDepsCache.get(version);
+}
+
+function EdgeSourceTag({ edge }) {
+  if (edge.source === EDGE_SOURCE_ADDED) {
+    return (
+      <span className="gcOrderDialog__edgeSource isOverride" title="overrides.json addDependencies">
+        addDependencies
+      </span>
+    );
+  }
+  if (edge.source === EDGE_SOURCE_REPLACED) {
+    return (
+      <span
+        className="gcOrderDialog__edgeSource isOverride"
+        title={`overrides.json replaceDependencies (upstream: ${edge.replacedFrom})`}
+      >
+        replaceDependencies
+      </span>
+    );
+  }
+  if (edge.source === EDGE_SOURCE_UPSTREAM) {
+    return <span className="gcOrderDialog__edgeSource">Upstream</span>;
+  }
+  return null;
+}
+
+function suggestionText({ edge, remainingCyclicTypes }) {
+  const rest = remainingCyclicTypes
+    ? ` ${remainingCyclicTypes} type${remainingCyclicTypes === 1 ? "" : "s"} would still be cyclic.`
+    : " This breaks the cycle.";
+
+  if (edge.source === EDGE_SOURCE_ADDED) {
+    return `Drop ${edge.dependency} from addDependencies for ${edge.type} in overrides.json.${rest}`;
+  }
+  if (edge.source === EDGE_SOURCE_REPLACED) {
+    return `Revisit the replaceDependencies mapping ${edge.replacedFrom} → ${edge.dependency} for ${edge.type}.${rest}`;
+  }
+  if (edge.hasDataSource) {
+    return `Export ${edge.dependency} as a data source for ${edge.type} (replace_with_datasource).${rest}`;
+  }
+  return `Create ${edge.type} without its ${edge.dependency} reference and add it in a second apply.${rest}`;
+}
+
+/**
+ * Per-component breakdown of the mutual dependencies in the creation order.
+ * Loads the pre-override tree for `selectedVersion` to tell override edges
+ * apart from upstream ones, and the version's data source catalog so
+ * replace_with_datasource is only suggested where the provider has one.
+ */
+export default function CreationOrderCycles({
+  cyclicComponents,
+  depsMap,
+  selectedVersion,
+  overrides,
+  onSelectType,
+}) {
+  const [sources, setSources] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const [upstreamDepsMap, dataSourceTypes] = await Promise.all([
+          loadUpstreamDepsMap(selectedVersion),
+          fetchDataSourceTypes(selectedVersion),
+        ]);
+        if (!cancelled) {
+          setSources({ version: selectedVersion, upstreamDepsMap, dataSourceTypes });
+          setError("");
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedVersion]);
+
+  const loaded = sources?.version === selectedVersion;
+
+  const explanations = useMemo(
+    () =>
+      explainCyclicComponents(cyclicComponents, depsMap, {
+        upstreamDepsMap: loaded ? sources.upstreamDepsMap : null,
+        overrides,
+        dataSourceTypes: loaded ? sources.dataSourceTypes : new Set(),
+      }),
+    [cyclicComponents, depsMap, overrides, loaded, sources]
+  );
+
+  if (!explanations.length) return null;
+
+  return (
+    <div className="gcOrderDialog__cycles">
+      {error ? (
+        <div className="gcAlert" role="alert">
+          {error}
+        </div>
+      ) : null}
+      {explanations.map(({ members, edges, overrideEdgeCount, suggestion }) => (
+        <section key={members.join(",")} className="gcOrderDialog__tier gcOrderDialog__cycle">
+          <div className="gcOrderDialog__tierHeader">
+            <h3 className="gcOrderDialog__tierTitle">
+              Mutual dependency — {members.length} types
+            </h3>
+            <gux-badge>{edges.length}</gux-badge>
+            {loaded ? (
+              <span className="gcMuted gcOrderDialog__cycleOrigin">
+                {overrideEdgeCount
+                  ? `${overrideEdgeCount} edge${overrideEdgeCount === 1 ? "" : "s"} from overrides.json`
+                  : "All edges from upstream"}
+              </span>
+            ) : null}
+          </div>
+          <ul className="gcOrderDialog__cycleEdges">
+            {edges.map((edge) => (
+              <li
+                key={`${edge.type}->${edge.dependency}`}
+                className={`gcOrderDialog__cycleEdge${suggestion?.edge === edge ? " isSuggested" : ""}`}
+              >
+                <button
+                  type="button"
+                  className="gcOrderDialog__typeButton gcMono"
+                  onClick={() => onSelectType(edge.type)}
+                >
+                  {edge.type}
+                </button>
+                <span className="gcOrderDialog__cycleArrow" aria-label="depends on">
+                  →
+                </span>
+                <button
+                  type="button"
+                  className="gcOrderDialog__typeButton gcMono"
+                  onClick={() => onSelectType(edge.dependency)}
+                >
+                  {edge.dependency}
+                </button>
+                <EdgeSourceTag edge={edge} />
+              </li>
+            ))}
+          </ul>
+          {suggestion && loaded ? (
+            <p className="gcOrderDialog__cycleSuggestion">
+              <strong>Suggested break:</strong> {suggestionText(suggestion)}
+            </p>
+          ) : !loaded && !error ? (
+            <p className="gcMuted">Loading upstream dependencies…</p>
+          ) : null}
+        </section>
+      ))}
+    </div>
+  );
+}
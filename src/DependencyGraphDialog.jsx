@@ -0,0 +1,348 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  buildDependencyGraph,
+  GRAPH_DIRECTION_BOTH,
+  GRAPH_DIRECTION_DOWNSTREAM,
+  GRAPH_DIRECTION_UPSTREAM,
+} from "./dependencyGraph.js";
+
+const NODE_WIDTH = 250;
+const NODE_HEIGHT = 24;
+const COLUMN_GAP = 70;
+const ROW_GAP = 10;
+const PADDING = 16;
+const HEADER_HEIGHT = 22;
+const LABEL_MAX_CHARS = 36;
+const TYPE_PREFIX = "genesyscloud_";
+
+const DEPTH_ALL = "all";
+const DEPTH_OPTIONS = [1, 2, 3, 4, 5];
+
+const DIRECTION_OPTIONS = [
+  { value: GRAPH_DIRECTION_BOTH, label: "Both" },
+  { value: GRAPH_DIRECTION_UPSTREAM, label: "Depends on" },
+  { value: GRAPH_DIRECTION_DOWNSTREAM, label: "Dependency for" },
+];
+
+function nodeLabel(type) {
+  const short = type.startsWith(TYPE_PREFIX) ? type.slice(TYPE_PREFIX.length) : type;
+  return short.length > LABEL_MAX_CHARS ? `${short.slice(0, LABEL_MAX_CHARS - 1)}…` : short;
+}
+
+function columnLabel(level) {
+  if (level === 0) return "Selected";
+  const hops = Math.abs(level);
+  return level < 0
+    ? `Depends on${hops > 1 ? ` (${hops} hops)` : ""}`
+    : `Dependency for${hops > 1 ? ` (${hops} hops)` : ""}`;
+}
+
+/**
+ * Lay nodes out in one column per level, left (upstream) to right (downstream).
+ */
+function layoutGraph(nodes) {
+  const columns = new Map();
+  for (const node of nodes) {
+    if (!columns.has(node.level)) columns.set(node.level, []);
+    columns.get(node.level).push(node.type);
+  }
+
+  const levels = [...columns.keys()].sort((a, b) => a - b);
+  const positions = new Map();
+  let maxRows = 0;
+
+  levels.forEach((level, columnIndex) => {
+    const types = columns.get(level);
+    maxRows = Math.max(maxRows, types.length);
+    types.forEach((type, rowIndex) => {
+      positions.set(type, {
+        x: PADDING + columnIndex * (NODE_WIDTH + COLUMN_GAP),
+        y: PADDING + HEADER_HEIGHT + rowIndex * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  const columnHeaders = levels.map((level, columnIndex) => ({
+    level,
+    x: PADDING + columnIndex * (NODE_WIDTH + COLUMN_GAP),
+  }));
+
+  return {
+    positions,
+    columnHeaders,
+    width: PADDING * 2 + levels.length * NODE_WIDTH + Math.max(0, levels.length - 1) * COLUMN_GAP,
+    height: PADDING * 2 + HEADER_HEIGHT + maxRows * (NODE_HEIGHT + ROW_GAP),
+  };
+}
+
+function edgePath(from, to) {
+  const startX = from.x + NODE_WIDTH;
+  const startY = from.y + NODE_HEIGHT / 2;
+  const endY = to.y + NODE_HEIGHT / 2;
+
+  if (from.x === to.x) {
+    const bulge = startX + COLUMN_GAP / 2;
+    return `M ${startX} ${startY} C ${bulge} ${startY}, ${bulge} ${endY}, ${startX} ${endY}`;
+  }
+
+  if (to.x < from.x) {
+    const endX = to.x + NODE_WIDTH;
+    const startLeft = from.x;
+    const mid = (startLeft + endX) / 2;
+    return `M ${startLeft} ${startY} C ${mid} ${startY}, ${mid} ${endY}, ${endX} ${endY}`;
+  }
+
+  const endX = to.x;
+  const mid = (startX + endX) / 2;
+  return `M ${startX} ${startY} C ${mid} ${startY}, ${mid} ${endY}, ${endX} ${endY}`;
+}
+
+export default function DependencyGraphDialog({
+  open,
+  onClose,
+  rootType,
+  depsMap,
+  reverseMap,
+  hiddenTypes,
+  onSelectType,
+}) {
+  const dialogRef = useRef(null);
+  const [depth, setDepth] = useState(DEPTH_ALL);
+  const [direction, setDirection] = useState(GRAPH_DIRECTION_BOTH);
+  const [hoveredType, setHoveredType] = useState("");
+
+  const graph = useMemo(
+    () =>
+      open
+        ? buildDependencyGraph(rootType, depsMap, reverseMap, {
+            depth: depth === DEPTH_ALL ? Infinity : Number(depth),
+            direction,
+            hiddenTypes,
+          })
+        : null,
+    [open, rootType, depsMap, reverseMap, depth, direction, hiddenTypes]
+  );
+
+  const layout = useMemo(() => (graph ? layoutGraph(graph.nodes) : null), [graph]);
+
+  const componentByType = useMemo(() => {
+    const map = new Map();
+    graph?.cyclicComponents.forEach((members, index) => {
+      for (const type of members) map.set(type, index);
+    });
+    return map;
+  }, [graph]);
+
+  const maxDepth = graph
+    ? Math.max(
+        direction === GRAPH_DIRECTION_DOWNSTREAM ? 0 : graph.maxUpstreamDepth,
+        direction === GRAPH_DIRECTION_UPSTREAM ? 0 : graph.maxDownstreamDepth
+      )
+    : 0;
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  const handleClose = useCallback(() => {
+    setHoveredType("");
+    onClose?.();
+  }, [onClose]);
+
+  const handleSelectType = (type) => {
+    if (type === rootType) return;
+    onSelectType?.(type);
+  };
+
+  const countLabel = graph
+    ? `${graph.upstreamCount} upstream · ${graph.downstreamCount} downstream · ${graph.edges.length} edge${graph.edges.length === 1 ? "" : "s"}`
+    : "";
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="dependency-graph-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="dependency-graph-title" className="gcOrderDialog__title">
+                Dependency graph
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Types <code className="gcMono">{rootType}</code> depends on (left) and types that
+                depend on it (right). Arrows point from a dependency to its dependent. Select a
+                node to open that type.
+              </p>
+              {graph?.cyclicComponents.length ? (
+                <div className="gcOrderDialog__notice" role="note">
+                  {graph.cyclicTypes.size} type{graph.cyclicTypes.size === 1 ? "" : "s"} in this
+                  graph belong to {graph.cyclicComponents.length} mutual-dependency group
+                  {graph.cyclicComponents.length === 1 ? "" : "s"}, highlighted below.
+                </div>
+              ) : null}
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close dependency graph"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar gcOrderDialog__toolbar--dependencyGraph">
+            <div
+              className="gcSegmentedControl gcSegmentedControl--text"
+              role="radiogroup"
+              aria-label="Graph direction"
+            >
+              {DIRECTION_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className="gcSegmentedControl__option"
+                  role="radio"
+                  aria-checked={direction === option.value}
+                  onClick={() => setDirection(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <label className="gcDependencyGraph__depth">
+              <span className="gcMetaLabel">Depth:</span>
+              <select
+                className="gcSelectInput"
+                value={depth}
+                onChange={(event) => setDepth(event.target.value)}
+              >
+                <option value={DEPTH_ALL}>All{maxDepth ? ` (${maxDepth})` : ""}</option>
+                {DEPTH_OPTIONS.filter((value) => value < maxDepth).map((value) => (
+                  <option key={value} value={value}>
+                    {value}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body gcDependencyGraph__body">
+          {!graph || !layout || !graph.nodes.length ? (
+            <div className="gcMuted">Select a type to view its dependency graph.</div>
+          ) : (
+            <svg
+              className="gcDependencyGraph__svg"
+              width={layout.width}
+              height={layout.height}
+              viewBox={`0 0 ${layout.width} ${layout.height}`}
+              role="img"
+              aria-label={`Dependency graph for ${rootType}`}
+            >
+              <defs>
+                <marker
+                  id="gc-dependency-graph-arrow"
+                  viewBox="0 0 8 8"
+                  refX="8"
+                  refY="4"
+                  markerWidth="7"
+                  markerHeight="7"
+                  orient="auto-start-reverse"
+                >
+                  <path className="gcDependencyGraph__arrow" d="M0 0 8 4 0 8z" />
+                </marker>
+              </defs>
+
+              {layout.columnHeaders.map(({ level, x }) => (
+                <text
+                  key={`header-${level}`}
+                  className="gcDependencyGraph__columnLabel"
+                  x={x}
+                  y={PADDING + 12}
+                >
+                  {columnLabel(level)}
+                </text>
+              ))}
+
+              {graph.edges.map(({ from, to }) => {
+                const fromPos = layout.positions.get(from);
+                const toPos = layout.positions.get(to);
+                const cyclic =
+                  componentByType.has(from) &&
+                  componentByType.get(from) === componentByType.get(to);
+                const highlighted = hoveredType && (hoveredType === from || hoveredType === to);
+                return (
+                  <path
+                    key={`${from}->${to}`}
+                    className={`gcDependencyGraph__edge${cyclic ? " isCyclic" : ""}${
+                      highlighted ? " isHighlighted" : ""
+                    }`}
+                    d={edgePath(fromPos, toPos)}
+                    markerEnd="url(#gc-dependency-graph-arrow)"
+                  />
+                );
+              })}
+
+              {graph.nodes.map(({ type }) => {
+                const { x, y } = layout.positions.get(type);
+                const isRoot = type === rootType;
+                return (
+                  <g
+                    key={type}
+                    className={`gcDependencyGraph__node${isRoot ? " isRoot" : ""}${
+                      graph.cyclicTypes.has(type) ? " isCyclic" : ""
+                    }`}
+                    transform={`translate(${x} ${y})`}
+                    role={isRoot ? undefined : "button"}
+                    tabIndex={isRoot ? undefined : 0}
+                    onClick={() => handleSelectType(type)}
+                    onKeyDown={(event) => {
+                      if (event.key === "Enter" || event.key === " ") {
+                        event.preventDefault();
+                        handleSelectType(type);
+                      }
+                    }}
+                    onMouseEnter={() => setHoveredType(type)}
+                    onMouseLeave={() => setHoveredType("")}
+                    onFocus={() => setHoveredType(type)}
+                    onBlur={() => setHoveredType("")}
+                  >
+                    <title>{type}</title>
+                    <rect width={NODE_WIDTH} height={NODE_HEIGHT} rx="6" />
+                    <text x="8" y={NODE_HEIGHT / 2 + 4}>
+                      {nodeLabel(type)}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {countLabel}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
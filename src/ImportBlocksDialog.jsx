@@ -0,0 +1,195 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import CodeOutputSection from "./CodeOutputSection.jsx";
+import { tfExportBlockLabelFields } from "./tfExportNamePattern.js";
+import {
+  buildTfImportEntries,
+  parseTfImportRows,
+  renderTfImportBlocks,
+  renderTfImportCommands,
+  renderTfResourceSkeletons,
+  TF_IMPORT_OUTPUT_BLOCKS,
+  TF_IMPORT_OUTPUT_COMMANDS,
+} from "./tfImportBlocks.js";
+
+export default function ImportBlocksDialog({ open, onClose, resourceType, blockLabelPlaceholder }) {
+  const dialogRef = useRef(null);
+  const [input, setInput] = useState("");
+  const [output, setOutput] = useState(TF_IMPORT_OUTPUT_BLOCKS);
+  const [skeletons, setSkeletons] = useState(true);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const fields = useMemo(
+    () => tfExportBlockLabelFields(blockLabelPlaceholder),
+    [blockLabelPlaceholder]
+  );
+
+  const { rows, errors } = useMemo(() => parseTfImportRows(input, fields), [input, fields]);
+
+  const entries = useMemo(
+    () => buildTfImportEntries(blockLabelPlaceholder, rows),
+    [blockLabelPlaceholder, rows]
+  );
+
+  const columns = ["id", ...fields].join(", ");
+  const example = ["id", ...fields.map((field) => field.replaceAll(" ", "_"))].join(",");
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="import-blocks-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="import-blocks-title" className="gcOrderDialog__title">
+                Import blocks · <span className="gcMono">{resourceType}</span>
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Adopt existing objects without running the exporter. Paste one object per line
+                as <span className="gcMono">{columns}</span> (comma or tab separated, or a CSV
+                with an <span className="gcMono">id</span> header). Labels follow the export
+                block label <span className="gcMono">{blockLabelPlaceholder}</span>, sanitized
+                the way the exporter does.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close import blocks"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar">
+            <div
+              className="gcSegmentedControl gcSegmentedControl--text"
+              role="radiogroup"
+              aria-label="Import output"
+            >
+              <button
+                type="button"
+                className="gcSegmentedControl__option"
+                role="radio"
+                aria-checked={output === TF_IMPORT_OUTPUT_BLOCKS}
+                onClick={() => setOutput(TF_IMPORT_OUTPUT_BLOCKS)}
+              >
+                import blocks (1.5+)
+              </button>
+              <button
+                type="button"
+                className="gcSegmentedControl__option"
+                role="radio"
+                aria-checked={output === TF_IMPORT_OUTPUT_COMMANDS}
+                onClick={() => setOutput(TF_IMPORT_OUTPUT_COMMANDS)}
+              >
+                terraform import
+              </button>
+            </div>
+            <label className="gcExportOptions__check">
+              <input
+                type="checkbox"
+                checked={skeletons}
+                onChange={(event) => setSkeletons(event.target.checked)}
+              />
+              Resource skeletons
+            </label>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          <label className="gcExportOptions__label" htmlFor="import-blocks-input">
+            Resource IDs and names
+          </label>
+          <textarea
+            id="import-blocks-input"
+            className="gcExportOptions__textarea gcMono gcImportBlocks__input"
+            rows={6}
+            value={input}
+            placeholder={`${example}\n…`}
+            spellCheck={false}
+            onChange={(event) => setInput(event.target.value)}
+          />
+
+          {errors.length ? (
+            <ul className="gcImportBlocks__errors">
+              {errors.map((error) => (
+                <li key={error} className="gcSearchHint">
+                  {error}
+                </li>
+              ))}
+            </ul>
+          ) : null}
+
+          {!entries.length ? (
+            <div className="gcMuted">
+              Paste resource IDs to generate{" "}
+              {output === TF_IMPORT_OUTPUT_BLOCKS ? "import blocks" : "import commands"}.
+            </div>
+          ) : output === TF_IMPORT_OUTPUT_BLOCKS ? (
+            <>
+              <CodeOutputSection
+                title="imports.tf"
+                text={renderTfImportBlocks(resourceType, entries, { skeletons })}
+              />
+              {skeletons ? null : (
+                <p className="gcMuted gcExportOptions__help">
+                  Without skeletons, run{" "}
+                  <span className="gcMono">terraform plan -generate-config-out=generated.tf</span>{" "}
+                  to have Terraform write the resource blocks.
+                </p>
+              )}
+            </>
+          ) : (
+            <>
+              {skeletons ? (
+                <CodeOutputSection
+                  title="main.tf"
+                  text={renderTfResourceSkeletons(resourceType, entries)}
+                />
+              ) : null}
+              <CodeOutputSection title="Shell" text={renderTfImportCommands(resourceType, entries)} />
+              {skeletons ? null : (
+                <p className="gcMuted gcExportOptions__help">
+                  terraform import only fills state; each address needs a resource block in the
+                  configuration first.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {entries.length} object{entries.length === 1 ? "" : "s"}
+            {errors.length ? ` · ${errors.length} line${errors.length === 1 ? "" : "s"} skipped` : ""}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -0,0 +1,236 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  estimateOfflineStorageUsage,
+  formatStorageSize,
+  isOfflineModeEnabled,
+  isOfflineModeSupported,
+  listPinnedOfflineVersions,
+  pinOfflineVersion,
+  unpinOfflineVersion,
+} from "./offlineData.js";
+import { toReleaseNotesVersion } from "./releaseNotes.js";
+
+function readOnline() {
+  return typeof navigator === "undefined" ? true : navigator.onLine !== false;
+}
+
+function readControlled() {
+  return isOfflineModeSupported() && Boolean(navigator.serviceWorker.controller);
+}
+
+function OfflineStatus({ online, controlled, newestListedRelease }) {
+  const latestLabel = newestListedRelease ? ` (${toReleaseNotesVersion(newestListedRelease)})` : "";
+
+  let status;
+  if (!isOfflineModeSupported()) {
+    status = "This browser does not support offline mode.";
+  } else if (!isOfflineModeEnabled()) {
+    status = "Offline mode is only active on the built site, not the development server.";
+  } else if (!controlled) {
+    status = "Preparing the offline cache. It is ready after the page finishes loading once.";
+  } else {
+    status = `The app and the latest provider data${latestLabel} are available offline.`;
+  }
+
+  return (
+    <div className="gcOrderDialog__notice" role="status">
+      {online ? null : <strong>You are offline; showing cached data. </strong>}
+      {status}
+    </div>
+  );
+}
+
+export default function OfflineDataDialog({
+  open,
+  onClose,
+  availableVersions,
+  newestListedRelease,
+}) {
+  const dialogRef = useRef(null);
+  const [online, setOnline] = useState(readOnline);
+  const [controlled, setControlled] = useState(readControlled);
+  const [pinned, setPinned] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [busyVersion, setBusyVersion] = useState("");
+  const [error, setError] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  useEffect(() => {
+    const updateOnline = () => setOnline(readOnline());
+    const updateControlled = () => setControlled(readControlled());
+
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    if (isOfflineModeSupported()) {
+      navigator.serviceWorker.addEventListener("controllerchange", updateControlled);
+    }
+
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+      if (isOfflineModeSupported()) {
+        navigator.serviceWorker.removeEventListener("controllerchange", updateControlled);
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const [versions, bytes] = await Promise.all([
+          listPinnedOfflineVersions(),
+          estimateOfflineStorageUsage(),
+        ]);
+        if (!cancelled) {
+          setPinned(versions);
+          setUsage(bytes);
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, refreshKey]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const togglePinned = async (version) => {
+    setBusyVersion(version);
+    setError("");
+    try {
+      if (pinned.includes(version)) {
+        await unpinOfflineVersion(version);
+      } else {
+        await pinOfflineVersion(version);
+      }
+    } catch (e) {
+      setError(String(e));
+    } finally {
+      setBusyVersion("");
+      setRefreshKey((key) => key + 1);
+    }
+  };
+
+  const enabled = isOfflineModeEnabled();
+  const usageLabel = usage === null ? "" : formatStorageSize(usage);
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="offline-data-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="offline-data-title" className="gcOrderDialog__title">
+                Offline data
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Keep the explorer usable when this site is unreachable. The app and the latest
+                data are cached after your first visit, and any provider version you view stays
+                cached. Pin a version to download all of its files ahead of time.
+              </p>
+              <OfflineStatus
+                online={online}
+                controlled={controlled}
+                newestListedRelease={newestListedRelease}
+              />
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close offline data"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          {error ? (
+            <div className="gcAlert" role="alert">
+              {error}
+            </div>
+          ) : null}
+
+          {!availableVersions.length ? (
+            <div className="gcMuted">No provider versions listed.</div>
+          ) : (
+            <section className="gcOrderDialog__tier">
+              <div className="gcOrderDialog__tierHeader">
+                <h3 className="gcOrderDialog__tierTitle">Provider versions</h3>
+                <gux-badge>{availableVersions.length}</gux-badge>
+              </div>
+              <ul className="gcOrderDialog__tierList">
+                {availableVersions.map((version) => {
+                  const isPinned = pinned.includes(version);
+                  const isBusy = busyVersion === version;
+                  return (
+                    <li key={version} className="gcOrderDialog__tierItem gcOfflineData__item">
+                      <span className="gcOfflineData__version gcMono">
+                        {toReleaseNotesVersion(version)}
+                      </span>
+                      {isPinned ? <gux-badge>Pinned</gux-badge> : null}
+                      <button
+                        type="button"
+                        className="gcHeaderLink gcOfflineData__action"
+                        onClick={() => togglePinned(version)}
+                        disabled={!enabled || Boolean(busyVersion) || (!online && !isPinned)}
+                        aria-busy={isBusy}
+                      >
+                        {isBusy
+                          ? isPinned
+                            ? "Removing…"
+                            : "Downloading…"
+                          : isPinned
+                            ? "Remove"
+                            : "Keep offline"}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </section>
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {pinned.length} version{pinned.length === 1 ? "" : "s"} pinned
+            {usageLabel ? ` · ${usageLabel} stored` : ""}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -1,7 +1,21 @@
-import React, { useCallback, useEffect, useMemo, useRef } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
-import { computeCreationOrder } from "./dependencyOrder.js";
-import { toReleaseNotesVersion } from "./releaseNotes.js";
+import { computeCreationOrder, computeSubsetCreationOrder } from "./dependencyOrder.js";
+import { resolveArtifactDownloadVersionLabel, triggerBlobDownload } from "./artifactDownloads.js";
+import {
+  buildCreationOrderScaffoldZip,
+  buildCreationOrderStages,
+  CREATION_ORDER_EXPORT_JSON,
+  CREATION_ORDER_EXPORT_RUNBOOK,
+  CREATION_ORDER_EXPORT_SCAFFOLD,
+  CREATION_ORDER_EXPORT_YAML,
+  formatCreationOrderJson,
+  formatCreationOrderRunbook,
+  formatCreationOrderYaml,
+} from "./creationOrderExport.js";
+import CreationOrderCycles from "./CreationOrderCycles.jsx";
+import { fromReleaseNotesVersion, toReleaseNotesVersion } from "./releaseNotes.js";
+import TypeChipList from "./TypeChipList.jsx";
 
 export default function OrderOfOperationsDialog({
   open,
@@ -17,6 +31,11 @@ export default function OrderOfOperationsDialog({
   loadingData,
   query = "",
   onQueryChange,
+  subsetTypes = [],
+  onSubsetTypesChange,
+  allTypes = [],
+  exportSelection = [],
+  overrides = null,
 }) {
   const dialogRef = useRef(null);
   const versionDropdownRef = useRef(null);
@@ -26,11 +45,32 @@ export default function OrderOfOperationsDialog({
     selectedVersionRef.current = selectedVersion;
   }, [selectedVersion]);
 
+  const [subsetInput, setSubsetInput] = useState("");
+  const [showCycles, setShowCycles] = useState(false);
+  const isSubset = subsetTypes.length > 0;
+
   const order = useMemo(
-    () => computeCreationOrder(depsMap, { hiddenTypes }),
-    [depsMap, hiddenTypes]
+    () =>
+      isSubset
+        ? computeSubsetCreationOrder(depsMap, subsetTypes, { hiddenTypes })
+        : computeCreationOrder(depsMap, { hiddenTypes }),
+    [depsMap, hiddenTypes, isSubset, subsetTypes]
   );
 
+  const knownTypes = useMemo(() => new Set(allTypes), [allTypes]);
+
+  const addSubsetType = (value) => {
+    const type = (value || "").trim();
+    if (!type || !knownTypes.has(type)) return false;
+    if (!subsetTypes.includes(type)) onSubsetTypesChange?.([...subsetTypes, type]);
+    setSubsetInput("");
+    return true;
+  };
+
+  const removeSubsetType = (type) => {
+    onSubsetTypesChange?.(subsetTypes.filter((t) => t !== type));
+  };
+
   const normalizedQuery = query.trim().toLowerCase();
 
   const visibleTierGroups = useMemo(() => {
@@ -54,9 +94,15 @@ export default function OrderOfOperationsDialog({
     [visibleTierGroups]
   );
 
+  const subsetCountLabel = isSubset
+    ? ` (${order.selectedTypes.size} selected, ${order.impliedTypes.size} implied)`
+    : "";
+
   const resourceCountLabel = loadingData
     ? "Loading dependency data…"
-    : normalizedQuery
+    : isSubset && !normalizedQuery
+      ? `${order.resourceCount} resource types${subsetCountLabel} in ${order.tierCount} tier${order.tierCount === 1 ? "" : "s"}`
+      : normalizedQuery
       ? `${visibleCount} of ${order.resourceCount} resource types in ${visibleTierGroups.length} tier${visibleTierGroups.length === 1 ? "" : "s"}`
       : `${order.resourceCount} resource types in ${order.tierCount} tier${order.tierCount === 1 ? "" : "s"}`;
 
@@ -123,6 +169,44 @@ export default function OrderOfOperationsDialog({
     handleClose(type);
   };
 
+  const downloadExport = async (format) => {
+    const versionLabel = await resolveArtifactDownloadVersionLabel(
+      selectedVersion,
+      newestListedRelease
+    );
+    const stageList = buildCreationOrderStages(order, { version: versionLabel });
+    const suffix = `${isSubset ? "subset-" : ""}${versionLabel}`;
+
+    if (format === CREATION_ORDER_EXPORT_JSON) {
+      triggerBlobDownload({
+        blob: formatCreationOrderJson(stageList),
+        filename: `cx-as-code-creation-order-${suffix}.json`,
+        mimeType: "application/json;charset=utf-8",
+      });
+    } else if (format === CREATION_ORDER_EXPORT_YAML) {
+      triggerBlobDownload({
+        blob: formatCreationOrderYaml(stageList),
+        filename: `cx-as-code-creation-order-${suffix}.yaml`,
+        mimeType: "application/yaml;charset=utf-8",
+      });
+    } else if (format === CREATION_ORDER_EXPORT_RUNBOOK) {
+      triggerBlobDownload({
+        blob: formatCreationOrderRunbook(stageList),
+        filename: `cx-as-code-creation-order-runbook-${suffix}.md`,
+        mimeType: "text/markdown;charset=utf-8",
+      });
+    } else if (format === CREATION_ORDER_EXPORT_SCAFFOLD) {
+      const providerVersion = versionLabel === "unknown" ? "" : fromReleaseNotesVersion(versionLabel);
+      triggerBlobDownload({
+        blob: buildCreationOrderScaffoldZip(stageList, { providerVersion }),
+        filename: `cx-as-code-creation-order-roots-${suffix}.zip`,
+        mimeType: "application/zip",
+      });
+    }
+  };
+
+  const exportDisabled = loadingData || !order.tierCount;
+
   return createPortal(
     <dialog
       ref={dialogRef}
@@ -149,12 +233,23 @@ export default function OrderOfOperationsDialog({
                 </a>
                 . Earlier tiers should be created before later tiers. Types in the same tier can be
                 created in any order and are listed alphabetically.
+                {isSubset
+                  ? " Limited to the types below plus everything they depend on; dependencies you did not pick are marked Implied."
+                  : ""}
               </p>
               {order.cyclicTypes.size ? (
                 <div className="gcOrderDialog__notice" role="note">
                   {order.cyclicTypes.size} resource type
                   {order.cyclicTypes.size === 1 ? "" : "s"} share mutual dependencies and appear in
-                  the same tier. Terraform may still resolve these at apply time.
+                  the same tier. Terraform may still resolve these at apply time.{" "}
+                  <button
+                    type="button"
+                    className="gcHeaderLink"
+                    aria-expanded={showCycles}
+                    onClick={() => setShowCycles((prev) => !prev)}
+                  >
+                    {showCycles ? "Hide cycles" : "Explain cycles"}
+                  </button>
                 </div>
               ) : null}
             </div>
@@ -208,51 +303,157 @@ export default function OrderOfOperationsDialog({
               </button>
             </div>
           </div>
+
+          <div className="gcOrderDialog__subset">
+            <label className="gcOrderDialog__subsetLabel" htmlFor="creation-order-subset-input">
+              Limit to types
+            </label>
+            <input
+              id="creation-order-subset-input"
+              type="text"
+              className="gcSearchInput gcOrderDialog__subsetInput"
+              list="creation-order-subset-types"
+              placeholder="Add a resource type"
+              value={subsetInput}
+              disabled={loadingData}
+              onChange={(event) => {
+                const next = event.target.value;
+                // A datalist pick fires an input event without inputType (Chromium) or with
+                // insertReplacementText (Firefox); typed text only adds on Enter, since many
+                // type names extend a shorter one (genesyscloud_user -> genesyscloud_user_roles).
+                const inputType = event.nativeEvent?.inputType;
+                const pickedFromList = !inputType || inputType === "insertReplacementText";
+                if (!pickedFromList || !addSubsetType(next)) setSubsetInput(next);
+              }}
+              onKeyDown={(event) => {
+                if (event.key === "Enter") {
+                  event.preventDefault();
+                  addSubsetType(subsetInput);
+                }
+              }}
+            />
+            <datalist id="creation-order-subset-types">
+              {allTypes
+                .filter((type) => !subsetTypes.includes(type))
+                .map((type) => (
+                  <option key={type} value={type} />
+                ))}
+            </datalist>
+            {exportSelection.length ? (
+              <button
+                type="button"
+                className="gcHeaderLink"
+                onClick={() =>
+                  onSubsetTypesChange?.([...new Set([...subsetTypes, ...exportSelection])])
+                }
+              >
+                Add combined export selection ({exportSelection.length})
+              </button>
+            ) : null}
+            {isSubset ? (
+              <button
+                type="button"
+                className="gcHeaderLink"
+                onClick={() => onSubsetTypesChange?.([])}
+              >
+                Show all types
+              </button>
+            ) : null}
+          </div>
+          {isSubset ? (
+            <div className="gcOrderDialog__subsetTypes">
+              <TypeChipList
+                types={subsetTypes}
+                onRemove={removeSubsetType}
+                removeLabel="Remove from creation order subset"
+              />
+            </div>
+          ) : null}
+          <div className="gcOrderDialog__exports">
+            <span className="gcOrderDialog__subsetLabel">Download stages</span>
+            {[
+              [CREATION_ORDER_EXPORT_JSON, "JSON"],
+              [CREATION_ORDER_EXPORT_YAML, "YAML"],
+              [CREATION_ORDER_EXPORT_RUNBOOK, "Runbook (.md)"],
+              [CREATION_ORDER_EXPORT_SCAFFOLD, "Terraform roots (.zip)"],
+            ].map(([format, label]) => (
+              <button
+                key={format}
+                type="button"
+                className="gcHeaderLink"
+                onClick={() => downloadExport(format)}
+                disabled={exportDisabled}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
         </div>
 
         <div className="gcOrderDialog__body">
           {loadingData ? (
             <div className="gcMuted">Loading dependency data for this version…</div>
-          ) : !visibleTierGroups.length ? (
-            <div className="gcMuted">No matching resource types.</div>
           ) : (
-            visibleTierGroups.map(({ tier, tierIndex }) => {
-              const tierNumber = tierIndex + 1;
-              const tierLabel =
-                tierNumber === 1
-                  ? "Create first"
-                  : tierNumber === order.tierCount
-                    ? "Create last"
-                    : "";
-
-              return (
-                <section key={`tier-${tierNumber}-${tier[0]}`} className="gcOrderDialog__tier">
-                  <div className="gcOrderDialog__tierHeader">
-                    <h3 className="gcOrderDialog__tierTitle">
-                      Tier {tierNumber}
-                      {tierLabel ? ` — ${tierLabel}` : ""}
-                    </h3>
-                    <gux-badge>{tier.length}</gux-badge>
-                  </div>
-                  <ol className="gcOrderDialog__tierList">
-                    {tier.map((type) => (
-                      <li key={type} className="gcOrderDialog__tierItem">
-                        <button
-                          type="button"
-                          className="gcOrderDialog__typeButton gcMono"
-                          onClick={() => handleSelectType(type)}
-                        >
-                          {type}
-                        </button>
-                        {order.cyclicTypes.has(type) ? (
-                          <span className="gcOrderDialog__cycleTag">Mutual dependency</span>
-                        ) : null}
-                      </li>
-                    ))}
-                  </ol>
-                </section>
-              );
-            })
+            <>
+              {showCycles && order.cyclicComponents.length ? (
+                <CreationOrderCycles
+                  cyclicComponents={order.cyclicComponents}
+                  depsMap={depsMap}
+                  selectedVersion={selectedVersion}
+                  overrides={overrides}
+                  onSelectType={handleSelectType}
+                />
+              ) : null}
+              {!visibleTierGroups.length ? (
+                <div className="gcMuted">No matching resource types.</div>
+              ) : (
+                visibleTierGroups.map(({ tier, tierIndex }) => {
+                  const tierNumber = tierIndex + 1;
+                  const tierLabel =
+                    tierNumber === 1
+                      ? "Create first"
+                      : tierNumber === order.tierCount
+                        ? "Create last"
+                        : "";
+
+                  return (
+                    <section key={`tier-${tierNumber}-${tier[0]}`} className="gcOrderDialog__tier">
+                      <div className="gcOrderDialog__tierHeader">
+                        <h3 className="gcOrderDialog__tierTitle">
+                          Tier {tierNumber}
+                          {tierLabel ? ` — ${tierLabel}` : ""}
+                        </h3>
+                        <gux-badge>{tier.length}</gux-badge>
+                      </div>
+                      <ol className="gcOrderDialog__tierList">
+                        {tier.map((type) => (
+                          <li key={type} className="gcOrderDialog__tierItem">
+                            <button
+                              type="button"
+                              className="gcOrderDialog__typeButton gcMono"
+                              onClick={() => handleSelectType(type)}
+                            >
+                              {type}
+                            </button>
+                            {isSubset && order.impliedTypes.has(type) ? (
+                              <span
+                                className="gcOrderDialog__impliedTag"
+                                title="Not selected — required by a selected type"
+                              >
+                                Implied
+                              </span>
+                            ) : null}
+                            {order.cyclicTypes.has(type) ? (
+                              <span className="gcOrderDialog__cycleTag">Mutual dependency</span>
+                            ) : null}
+                          </li>
+                        ))}
+                      </ol>
+                    </section>
+                  );
+                })
+              )}
+            </>
           )}
         </div>
 
@@ -0,0 +1,335 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import CodeOutputSection from "./CodeOutputSection.jsx";
+import {
+  buildProviderEnvSnippet,
+  buildProvidersTf,
+  DEFAULT_PROVIDER_CONFIG,
+  ENV_SNIPPET_DOTENV,
+  ENV_SNIPPET_POWERSHELL,
+  ENV_SNIPPET_SHELL,
+  findGenesysCloudRegion,
+  genesysCloudApiBasePath,
+  GENESYSCLOUD_REGIONS,
+  PROVIDER_AUTH_METHODS,
+  PROVIDER_CONFIG_ENV_VARS,
+  resolveGenesysCloudRegionFromUrl,
+} from "./providerConfig.js";
+import { ENV_VAR_STATUS_IGNORED, normalizeProviderEnvVarsCatalog } from "./providerEnvVarsCatalog.js";
+
+const SNIPPET_FORMATS = [
+  { id: ENV_SNIPPET_SHELL, label: "Shell" },
+  { id: ENV_SNIPPET_DOTENV, label: ".env" },
+  { id: ENV_SNIPPET_POWERSHELL, label: "PowerShell" },
+];
+
+function SegmentedControl({ label, options, value, onChange }) {
+  return (
+    <div className="gcSegmentedControl gcSegmentedControl--text" role="radiogroup" aria-label={label}>
+      {options.map((option) => (
+        <button
+          key={option.id}
+          type="button"
+          className="gcSegmentedControl__option"
+          role="radio"
+          aria-checked={value === option.id}
+          onClick={() => onChange(option.id)}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function RegionCheck({ orgUrl, region, onUseRegion }) {
+  if (!orgUrl.trim()) return null;
+
+  const detected = resolveGenesysCloudRegionFromUrl(orgUrl);
+  if (!detected) {
+    return (
+      <p className="gcSearchHint" role="alert">
+        Not a Genesys Cloud org URL. Use the address you sign in at, e.g. apps.mypurecloud.ie.
+      </p>
+    );
+  }
+  if (detected === region) {
+    return (
+      <p className="gcMuted gcExportOptions__help">
+        Matches {region}; the provider will call{" "}
+        <span className="gcMono">{genesysCloudApiBasePath(region)}</span>.
+      </p>
+    );
+  }
+
+  const entry = findGenesysCloudRegion(detected);
+  return (
+    <p className="gcSearchHint" role="alert">
+      That org is in <span className="gcMono">{detected}</span> ({entry.label}), not{" "}
+      <span className="gcMono">{region}</span>. Credentials from one region fail to authenticate
+      against another.{" "}
+      <button type="button" className="gcHeaderLink" onClick={() => onUseRegion(detected)}>
+        Use {detected}
+      </button>
+    </p>
+  );
+}
+
+/**
+ * Generator for the `provider "genesyscloud"` block and the environment it
+ * expects. `catalog` is provider-env-vars.json; its non-ignored entries can be
+ * added to the snippet.
+ */
+export default function ProviderConfigDialog({ open, onClose, catalog }) {
+  const dialogRef = useRef(null);
+  const [config, setConfig] = useState(DEFAULT_PROVIDER_CONFIG);
+  const [orgUrl, setOrgUrl] = useState("");
+  const [snippetFormat, setSnippetFormat] = useState(ENV_SNIPPET_SHELL);
+  const [extraNames, setExtraNames] = useState(() => new Set());
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const update = (patch) => setConfig((current) => ({ ...current, ...patch }));
+
+  const envVarRows = useMemo(
+    () =>
+      normalizeProviderEnvVarsCatalog(catalog).filter(
+        (row) => row.status !== ENV_VAR_STATUS_IGNORED && !PROVIDER_CONFIG_ENV_VARS.has(row.name)
+      ),
+    [catalog]
+  );
+
+  const toggleExtra = (name) => {
+    setExtraNames((current) => {
+      const next = new Set(current);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+      return next;
+    });
+  };
+
+  const providersTf = useMemo(() => buildProvidersTf(config), [config]);
+  const envSnippet = useMemo(
+    () =>
+      buildProviderEnvSnippet(
+        config,
+        snippetFormat,
+        envVarRows.filter((row) => extraNames.has(row.name))
+      ),
+    [config, snippetFormat, envVarRows, extraNames]
+  );
+
+  const snippetTitle = SNIPPET_FORMATS.find((format) => format.id === snippetFormat)?.label;
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="provider-config-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="provider-config-title" className="gcOrderDialog__title">
+                Provider configuration
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Build a <span className="gcMono">provider &quot;genesyscloud&quot;</span> block and
+                the environment it reads. <span className="gcMono">aws_region</span> takes the
+                org&apos;s AWS region, not its web domain; paste the URL you sign in at to check
+                it.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close provider configuration"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          <div className="gcExportOptions" role="group" aria-label="Provider settings">
+            <div className="gcExportOptions__field">
+              <label className="gcExportOptions__label" htmlFor="provider-config-region">
+                aws_region
+              </label>
+              <select
+                id="provider-config-region"
+                className="gcSelectInput"
+                value={config.region}
+                onChange={(event) => update({ region: event.target.value })}
+              >
+                {GENESYSCLOUD_REGIONS.map(({ region, label, domain }) => (
+                  <option key={region} value={region}>
+                    {region} · {label} · {domain}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div className="gcExportOptions__field">
+              <label className="gcExportOptions__label" htmlFor="provider-config-org-url">
+                Org URL (optional)
+              </label>
+              <input
+                id="provider-config-org-url"
+                type="text"
+                className="gcSearchInput gcMono"
+                value={orgUrl}
+                placeholder="https://apps.mypurecloud.com"
+                spellCheck={false}
+                onChange={(event) => setOrgUrl(event.target.value)}
+              />
+            </div>
+
+            <div className="gcExportOptions__field gcExportOptions__field--wide">
+              <RegionCheck
+                orgUrl={orgUrl}
+                region={config.region}
+                onUseRegion={(region) => update({ region })}
+              />
+            </div>
+
+            <div className="gcExportOptions__field gcExportOptions__field--wide">
+              <span className="gcExportOptions__label">Authentication</span>
+              <SegmentedControl
+                label="Authentication"
+                options={PROVIDER_AUTH_METHODS}
+                value={config.auth}
+                onChange={(auth) => update({ auth })}
+              />
+            </div>
+
+            <div className="gcExportOptions__field gcExportOptions__field--wide gcExportOptions__checks">
+              <label className="gcExportOptions__check">
+                <input
+                  type="checkbox"
+                  checked={config.sdkDebug}
+                  onChange={(event) => update({ sdkDebug: event.target.checked })}
+                />
+                <span className="gcMono">sdk_debug</span>
+              </label>
+              {config.sdkDebug ? (
+                <>
+                  <SegmentedControl
+                    label="sdk_debug_format"
+                    options={[
+                      { id: "Text", label: "Text" },
+                      { id: "Json", label: "Json" },
+                    ]}
+                    value={config.sdkDebugFormat}
+                    onChange={(sdkDebugFormat) => update({ sdkDebugFormat })}
+                  />
+                  <input
+                    type="text"
+                    className="gcSearchInput gcMono"
+                    aria-label="sdk_debug_file_path"
+                    placeholder="sdk_debug_file_path"
+                    value={config.sdkDebugFilePath}
+                    onChange={(event) => update({ sdkDebugFilePath: event.target.value })}
+                  />
+                </>
+              ) : null}
+            </div>
+
+            <div className="gcExportOptions__field gcExportOptions__field--wide gcExportOptions__checks">
+              <label className="gcExportOptions__check">
+                <input
+                  type="checkbox"
+                  checked={config.logStackTraces}
+                  onChange={(event) => update({ logStackTraces: event.target.checked })}
+                />
+                <span className="gcMono">log_stack_traces</span>
+              </label>
+              {config.logStackTraces ? (
+                <input
+                  type="text"
+                  className="gcSearchInput gcMono"
+                  aria-label="log_stack_traces_file_path"
+                  placeholder="log_stack_traces_file_path"
+                  value={config.logStackTracesFilePath}
+                  onChange={(event) => update({ logStackTracesFilePath: event.target.value })}
+                />
+              ) : null}
+              <label className="gcExportOptions__check">
+                <span className="gcMono">token_pool_size</span>
+                <input
+                  type="number"
+                  min="1"
+                  className="gcSearchInput gcProviderConfig__number"
+                  placeholder="10"
+                  value={config.tokenPoolSize}
+                  onChange={(event) => update({ tokenPoolSize: event.target.value })}
+                />
+              </label>
+            </div>
+          </div>
+
+          {envVarRows.length ? (
+            <section className="gcOrderDialog__tier">
+              <div className="gcOrderDialog__tierHeader">
+                <h3 className="gcOrderDialog__tierTitle">Provider env vars</h3>
+                <gux-badge>{extraNames.size}</gux-badge>
+              </div>
+              <ul className="gcOrderDialog__tierList">
+                {envVarRows.map((row) => (
+                  <li key={row.name} className="gcOrderDialog__tierItem gcProviderConfig__envVar">
+                    <label className="gcExportOptions__check">
+                      <input
+                        type="checkbox"
+                        checked={extraNames.has(row.name)}
+                        onChange={() => toggleExtra(row.name)}
+                      />
+                      <span className="gcMono">{row.name}</span>
+                    </label>
+                    <span className="gcMuted">{row.description}</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ) : null}
+
+          <CodeOutputSection title="providers.tf" text={providersTf} />
+
+          <SegmentedControl
+            label="Environment snippet format"
+            options={SNIPPET_FORMATS}
+            value={snippetFormat}
+            onChange={setSnippetFormat}
+          />
+          <CodeOutputSection title={snippetTitle} text={envSnippet} />
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {config.region} · {genesysCloudApiBasePath(config.region)}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from "react";
+import {
+  filterReleaseChanges,
+  formatReleaseChangeKind,
+  formatReleaseChangeLabel,
+  releaseChangeFacets,
+} from "./releaseNotes.js";
+
+/**
+ * Structured view of one release's changes/<version>.json: a row per entry,
+ * filterable by kind, change type and resource. Rows for types the explorer
+ * lists open that type.
+ */
+export default function ReleaseNotesChangesTable({ payload, knownTypes, onSelectResource }) {
+  const [kindFilter, setKindFilter] = useState("");
+  const [changeFilter, setChangeFilter] = useState("");
+  const [resourceFilter, setResourceFilter] = useState("");
+
+  const facets = useMemo(() => releaseChangeFacets(payload), [payload]);
+  const total = payload?.changes?.length || 0;
+  const rows = useMemo(
+    () =>
+      filterReleaseChanges(payload, {
+        kind: kindFilter,
+        change: changeFilter,
+        resource: resourceFilter,
+      }),
+    [payload, kindFilter, changeFilter, resourceFilter]
+  );
+
+  const hasActiveFilters = !!(kindFilter || changeFilter || resourceFilter);
+  const isSelectable = (resource) =>
+    !!resource && (!(knownTypes instanceof Set) || knownTypes.has(resource));
+
+  const clearFilters = () => {
+    setKindFilter("");
+    setChangeFilter("");
+    setResourceFilter("");
+  };
+
+  if (!total) {
+    return <div className="gcMuted">No structured changes recorded for this release.</div>;
+  }
+
+  // Filters carry over between releases, so keep a value this release lacks selectable.
+  const filterSelect = (value, onChange, label, allLabel, options, formatOption) => (
+    <select
+      className="gcSelectInput"
+      value={value}
+      onChange={(event) => onChange(event.target.value)}
+      aria-label={label}
+    >
+      <option value="">{allLabel}</option>
+      {(value && !options.includes(value) ? [...options, value] : options).map((option) => (
+        <option key={option} value={option}>
+          {formatOption(option)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <>
+      <div className="gcReleaseChangesTable__filters">
+        {filterSelect(
+          kindFilter,
+          setKindFilter,
+          "Filter by kind",
+          "All kinds",
+          facets.kinds,
+          formatReleaseChangeKind
+        )}
+        {filterSelect(
+          changeFilter,
+          setChangeFilter,
+          "Filter by change",
+          "All changes",
+          facets.changes,
+          formatReleaseChangeLabel
+        )}
+        {filterSelect(
+          resourceFilter,
+          setResourceFilter,
+          "Filter by resource",
+          "All resources",
+          facets.resources,
+          (resource) => resource
+        )}
+        <button
+          type="button"
+          className="gcClearButton"
+          onClick={clearFilters}
+          disabled={!hasActiveFilters}
+        >
+          Clear
+        </button>
+        <p className="gcMuted gcReleaseChangesTable__count" aria-live="polite">
+          {hasActiveFilters
+            ? `${rows.length} of ${total} changes`
+            : `${total} change${total === 1 ? "" : "s"}`}
+        </p>
+      </div>
+
+      {!rows.length ? (
+        <div className="gcMuted">No changes match the current filters.</div>
+      ) : (
+        <table className="gcProviderEnvVars__table gcReleaseChangesTable">
+          <thead>
+            <tr>
+              <th scope="col">Kind</th>
+              <th scope="col">Change</th>
+              <th scope="col">Resource</th>
+              <th scope="col">Attribute</th>
+              <th scope="col">Summary</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((entry, index) => {
+              const selectable = isSelectable(entry.resource);
+              return (
+                <tr
+                  key={`${entry.resource}-${entry.attribute}-${entry.change}-${index}`}
+                  className={selectable ? "gcReleaseChangesTable__row--link" : undefined}
+                  onClick={selectable ? () => onSelectResource?.(entry.resource) : undefined}
+                >
+                  <td className="gcReleaseChangesTable__nowrap">
+                    {formatReleaseChangeKind(entry.kind) || "—"}
+                  </td>
+                  <td>
+                    <span
+                      className={`gcAttributeHistory__status gcAttributeHistory__status--${
+                        entry.change === "removed" ? "removed" : "active"
+                      }`}
+                    >
+                      {formatReleaseChangeLabel(entry.change)}
+                    </span>
+                  </td>
+                  <td>
+                    {!entry.resource ? (
+                      "—"
+                    ) : selectable ? (
+                      // The row handles the click; the button gives keyboard users a target.
+                      <button
+                        type="button"
+                        className="gcReleaseChangesTable__resource gcMono"
+                        title={`Open ${entry.resource}`}
+                      >
+                        {entry.resource}
+                      </button>
+                    ) : (
+                      <code>{entry.resource}</code>
+                    )}
+                  </td>
+                  <td>{entry.attribute ? <code>{entry.attribute}</code> : "—"}</td>
+                  <td>{entry.summary || "—"}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
@@ -1,10 +1,23 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
+import {
+  RELEASE_NOTES_SEARCH_MIN_QUERY,
+  searchReleaseNotes,
+} from "../scripts/lib/release-notes-search.mjs";
 import DependencyNote from "./DependencyNote.jsx";
+import ReleaseNotesChangesTable from "./ReleaseNotesChangesTable.jsx";
+import {
+  readReleaseNotesScopeFromLocation,
+  releaseNotesLocation,
+  replaceReleaseNotesScopeInUrl,
+} from "./appPermalinks.js";
 import { downloadReleaseNotesArtifact } from "./artifactDownloads.js";
 import {
+  fetchReleaseNotesChanges,
   fetchReleaseNotesIndex,
   fetchReleaseNotesMarkdown,
+  fetchReleaseNotesSearchIndex,
+  fromReleaseNotesVersion,
   RELEASE_NOTES_SCOPE_EXPORT,
   RELEASE_NOTES_SCOPE_PROVIDER,
   releaseNotesDownloadLabel,
@@ -17,6 +30,81 @@ const SCOPE_OPTIONS = [
   { id: RELEASE_NOTES_SCOPE_EXPORT, label: "Export" },
 ];
 
+const RELEASE_NOTES_VIEW_NOTES = "notes";
+const RELEASE_NOTES_VIEW_CHANGES = "changes";
+
+const VIEW_OPTIONS = [
+  { id: RELEASE_NOTES_VIEW_NOTES, label: "Notes" },
+  { id: RELEASE_NOTES_VIEW_CHANGES, label: "Changes" },
+];
+
+const SEARCH_RESULT_LIMIT = 100;
+
+function ReleaseNotesSearchResults({ documents, error, query, onOpenHit }) {
+  const results = useMemo(
+    () => (documents ? searchReleaseNotes(documents, query, { limit: SEARCH_RESULT_LIMIT }) : null),
+    [documents, query]
+  );
+
+  if (error) {
+    return (
+      <div className="gcAlert" role="alert">
+        <div className="gcAlert__body gcMono">{error}</div>
+      </div>
+    );
+  }
+  if (!results) return <div className="gcMuted">Loading search index…</div>;
+  if (!results.total) return <div className="gcMuted">No release notes match “{query.trim()}”.</div>;
+
+  return (
+    <>
+      <p className="gcMuted gcReleaseNotesSearch__count" aria-live="polite">
+        {results.total > results.hits.length
+          ? `Showing ${results.hits.length} of ${results.total} matches`
+          : `${results.total} match${results.total === 1 ? "" : "es"}`}{" "}
+        across all provider and export releases.
+      </p>
+      <ul className="gcReleaseChanges__list">
+        {results.hits.map(({ doc, snippet }, index) => (
+          <li key={`${doc.scope}-${doc.version}-${index}`} className="gcReleaseChanges__item">
+            <div className="gcReleaseChanges__itemHeader">
+              <a
+                className="gcHeaderLink"
+                href={releaseNotesLocation(fromReleaseNotesVersion(doc.version), doc.scope)}
+                onClick={(event) => {
+                  event.preventDefault();
+                  onOpenHit(doc);
+                }}
+              >
+                {doc.version}
+              </a>
+              {doc.scope === RELEASE_NOTES_SCOPE_EXPORT ? (
+                <span className="gcAttributeHistory__type">Export</span>
+              ) : null}
+              {doc.resource ? (
+                <code className="gcAttributeHistory__attribute">
+                  {doc.resource}
+                  {doc.attribute ? `.${doc.attribute}` : ""}
+                </code>
+              ) : doc.attribute ? (
+                <code className="gcAttributeHistory__attribute">{doc.attribute}</code>
+              ) : null}
+              {doc.heading ? (
+                <span className="gcAttributeHistory__type">{doc.heading}</span>
+              ) : null}
+            </div>
+            <p className="gcAttributeHistory__summary">
+              {snippet.before}
+              {snippet.match ? <mark>{snippet.match}</mark> : null}
+              {snippet.after}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </>
+  );
+}
+
 export default function ReleaseNotesDialog({
   open,
   onClose,
@@ -25,17 +113,26 @@ export default function ReleaseNotesDialog({
   availableVersions,
   newestListedRelease,
   loadingIndex,
+  knownTypes,
+  onSelectType,
 }) {
   const dialogRef = useRef(null);
   const versionDropdownRef = useRef(null);
   const selectedVersionRef = useRef(selectedVersion);
 
-  const [scope, setScope] = useState(RELEASE_NOTES_SCOPE_PROVIDER);
+  const [scope, setScope] = useState(() => readReleaseNotesScopeFromLocation());
   const [markdown, setMarkdown] = useState("");
   const [loading, setLoading] = useState(false);
   const [fetchError, setFetchError] = useState("");
   const [exportVersions, setExportVersions] = useState([]);
   const [loadingExportIndex, setLoadingExportIndex] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchDocuments, setSearchDocuments] = useState(null);
+  const [searchError, setSearchError] = useState("");
+  const [view, setView] = useState(RELEASE_NOTES_VIEW_NOTES);
+  const [loadedChanges, setLoadedChanges] = useState({ key: "", payload: null, error: "" });
+
+  const searching = searchQuery.trim().length >= RELEASE_NOTES_SEARCH_MIN_QUERY;
 
   const isExportScope = scope === RELEASE_NOTES_SCOPE_EXPORT;
   const scopedVersions = isExportScope ? exportVersions : availableVersions;
@@ -52,10 +149,21 @@ export default function ReleaseNotesDialog({
       (version) => toReleaseNotesVersion(version) === normalizedEffectiveVersion
     );
 
+  const showingChanges = view === RELEASE_NOTES_VIEW_CHANGES;
+  const changesKey =
+    open && showingChanges && effectiveVersion && versionHasNotes
+      ? `${scope}|${normalizedEffectiveVersion}`
+      : "";
+  const changesLoading = !!changesKey && loadedChanges.key !== changesKey;
+
   useEffect(() => {
     selectedVersionRef.current = selectedVersion;
   }, [selectedVersion]);
 
+  useEffect(() => {
+    if (open) replaceReleaseNotesScopeInUrl(scope);
+  }, [open, scope]);
+
   useEffect(() => {
     const dialog = dialogRef.current;
     if (!dialog) return;
@@ -72,7 +180,8 @@ export default function ReleaseNotesDialog({
 
   useEffect(() => {
     if (!open) {
-      setScope(RELEASE_NOTES_SCOPE_PROVIDER);
+      // Provider, unless the page was opened on a `?scope=export` permalink.
+      setScope(readReleaseNotesScopeFromLocation());
       return undefined;
     }
 
@@ -158,11 +267,72 @@ export default function ReleaseNotesDialog({
     };
   }, [open, effectiveVersion, scope, versionHasNotes]);
 
+  useEffect(() => {
+    if (!changesKey) return undefined;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const payload = await fetchReleaseNotesChanges(effectiveVersion, scope);
+        if (!cancelled) setLoadedChanges({ key: changesKey, payload, error: "" });
+      } catch (e) {
+        if (!cancelled) setLoadedChanges({ key: changesKey, payload: null, error: String(e) });
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [changesKey, effectiveVersion, scope]);
+
+  useEffect(() => {
+    if (!open || !searching || searchDocuments) return undefined;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const documents = await fetchReleaseNotesSearchIndex();
+        if (!cancelled) {
+          setSearchDocuments(documents);
+          setSearchError("");
+        }
+      } catch (e) {
+        if (!cancelled) setSearchError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, searching, searchDocuments]);
+
   const handleClose = useCallback(() => {
     setFetchError("");
+    setSearchQuery("");
     onClose?.();
   }, [onClose]);
 
+  const selectResource = useCallback(
+    (resourceType) => {
+      onSelectType?.(resourceType);
+      setFetchError("");
+      setSearchQuery("");
+      onClose?.(resourceType);
+    },
+    [onSelectType, onClose]
+  );
+
+  const openSearchHit = useCallback(
+    (doc) => {
+      setScope(doc.scope === RELEASE_NOTES_SCOPE_EXPORT ? doc.scope : RELEASE_NOTES_SCOPE_PROVIDER);
+      setSearchQuery("");
+      onVersionChange?.(fromReleaseNotesVersion(doc.version));
+    },
+    [onVersionChange]
+  );
+
   const downloadReleaseNotes = useCallback(() => {
     if (!markdown || !effectiveVersion) return;
 
@@ -222,6 +392,34 @@ export default function ReleaseNotesDialog({
               ))}
             </div>
 
+            <div
+              className="gcSegmentedControl gcSegmentedControl--text"
+              role="radiogroup"
+              aria-label="Release notes view"
+            >
+              {VIEW_OPTIONS.map((option) => (
+                <button
+                  key={option.id}
+                  type="button"
+                  className="gcSegmentedControl__option"
+                  role="radio"
+                  aria-checked={view === option.id}
+                  onClick={() => setView(option.id)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            <input
+              type="search"
+              className="gcSearchInput gcOrderDialog__search"
+              placeholder="Search all release notes"
+              aria-label="Search all release notes"
+              value={searchQuery}
+              onInput={(event) => setSearchQuery(event.target.value)}
+            />
+
             <div className="gcOrderDialog__toolbarActions">
               <button
                 type="button"
@@ -255,34 +453,61 @@ export default function ReleaseNotesDialog({
         </div>
 
         <div className="gcOrderDialog__body gcDependencyNote__body">
-          {fetchError ? (
-            <div className="gcAlert" role="alert">
-              <div className="gcAlert__body gcMono">{fetchError}</div>
-            </div>
-          ) : null}
-
-          {!fetchError && loading ? (
-            <div className="gcMuted">Loading release notes…</div>
-          ) : null}
-
-          {!fetchError && !loading && markdown ? (
-            <DependencyNote content={markdown} />
-          ) : null}
-
-          {!fetchError && !loading && !markdown && effectiveVersion && versionHasNotes ? (
-            <div className="gcMuted">
-              Release notes are available from v1.60.0 onward. This version may not have notes
-              yet.
-            </div>
-          ) : null}
-
-          {!fetchError && !loading && !markdown && effectiveVersion && !versionHasNotes ? (
-            <div className="gcMuted">
-              {isExportScope
-                ? `No export-specific release notes for ${toReleaseNotesVersion(effectiveVersion)}.`
-                : `No provider release notes for ${toReleaseNotesVersion(effectiveVersion)}.`}
-            </div>
-          ) : null}
+          {searching ? (
+            <ReleaseNotesSearchResults
+              documents={searchDocuments}
+              error={searchError}
+              query={searchQuery}
+              onOpenHit={openSearchHit}
+            />
+          ) : (
+            <>
+              {fetchError ? (
+                <div className="gcAlert" role="alert">
+                  <div className="gcAlert__body gcMono">{fetchError}</div>
+                </div>
+              ) : null}
+
+              {!fetchError && loading ? (
+                <div className="gcMuted">Loading release notes…</div>
+              ) : null}
+
+              {!fetchError && !loading && markdown && !showingChanges ? (
+                <DependencyNote content={markdown} />
+              ) : null}
+
+              {!fetchError && !loading && markdown && showingChanges ? (
+                changesLoading ? (
+                  <div className="gcMuted">Loading release changes…</div>
+                ) : loadedChanges.error ? (
+                  <div className="gcAlert" role="alert">
+                    <div className="gcAlert__body gcMono">{loadedChanges.error}</div>
+                  </div>
+                ) : (
+                  <ReleaseNotesChangesTable
+                    payload={loadedChanges.payload}
+                    knownTypes={knownTypes}
+                    onSelectResource={selectResource}
+                  />
+                )
+              ) : null}
+
+              {!fetchError && !loading && !markdown && effectiveVersion && versionHasNotes ? (
+                <div className="gcMuted">
+                  Release notes are available from v1.60.0 onward. This version may not have notes
+                  yet.
+                </div>
+              ) : null}
+
+              {!fetchError && !loading && !markdown && effectiveVersion && !versionHasNotes ? (
+                <div className="gcMuted">
+                  {isExportScope
+                    ? `No export-specific release notes for ${toReleaseNotesVersion(effectiveVersion)}.`
+                    : `No provider release notes for ${toReleaseNotesVersion(effectiveVersion)}.`}
+                </div>
+              ) : null}
+            </>
+          )}
         </div>
       </div>
     </dialog>,
@@ -0,0 +1,193 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { formatReleaseChangeLabel, toReleaseNotesVersion } from "./releaseNotes.js";
+import {
+  ATTRIBUTE_INDEX_MIN_VERSION,
+  ATTRIBUTE_TIMELINE_PINNED_ADDED,
+  ATTRIBUTE_TIMELINE_PINNED_LATER,
+  ATTRIBUTE_TIMELINE_PINNED_REMOVED,
+  buildResourceAttributeTimeline,
+  fetchResourceAttributeIndex,
+  formatAttributeIndexType,
+} from "./resourceAttributeIndex.js";
+import { RECREATES_ON_CHANGE_LABEL } from "./schemaForceNew.js";
+
+function pinnedStatusBadge(status, versionLabel) {
+  if (status === ATTRIBUTE_TIMELINE_PINNED_ADDED) {
+    return {
+      className: "gcAttributeHistory__status--active",
+      label: `Added in ${versionLabel}`,
+    };
+  }
+  if (status === ATTRIBUTE_TIMELINE_PINNED_LATER) {
+    return {
+      className: "gcAttributeHistory__status--removed",
+      label: `Added after ${versionLabel}`,
+    };
+  }
+  if (status === ATTRIBUTE_TIMELINE_PINNED_REMOVED) {
+    return {
+      className: "gcAttributeHistory__status--removed",
+      label: `Removed by ${versionLabel}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Every attribute of the selected type that appears in the provider
+ * attribute index, with when it was introduced, last changed and removed,
+ * each release-note summary, and whether it forces replacement. Badges say
+ * how each attribute relates to the version being viewed.
+ */
+export default function ResourceAttributeTimeline({ resourceType, version, forceNewAttributes }) {
+  const [index, setIndex] = useState(null);
+  const [error, setError] = useState("");
+  const [query, setQuery] = useState("");
+
+  useEffect(() => {
+    if (!resourceType || index) return undefined;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const json = await fetchResourceAttributeIndex();
+        if (!cancelled) {
+          setIndex(json);
+          setError("");
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resourceType, index]);
+
+  const rows = useMemo(
+    () => buildResourceAttributeTimeline(index, resourceType, { version, forceNewAttributes }),
+    [index, resourceType, version, forceNewAttributes]
+  );
+
+  const normalizedQuery = query.trim().toLowerCase();
+  const visibleRows = normalizedQuery
+    ? rows.filter((row) => row.attribute.toLowerCase().includes(normalizedQuery))
+    : rows;
+
+  if (!resourceType) return null;
+
+  const versionLabel = toReleaseNotesVersion(version);
+
+  return (
+    <div className="gcRightCard__section">
+      <div className="gcPanel">
+        <div className="gcPanel__header">
+          <div className="gcPanel__headerStart">
+            <div className="gcPanel__title">Attribute history</div>
+            {rows.length ? <gux-badge>{rows.length}</gux-badge> : null}
+          </div>
+          {rows.length > 1 ? (
+            <input
+              type="search"
+              className="gcSearchInput gcAttributeTimeline__search"
+              placeholder="Filter attributes"
+              aria-label={`Filter attribute history for ${resourceType}`}
+              value={query}
+              onInput={(event) => setQuery(event.target.value)}
+            />
+          ) : null}
+        </div>
+        <div className="gcPanel__body">
+          {error ? (
+            <div className="gcMuted" role="alert">
+              Could not load the attribute index.
+            </div>
+          ) : !index ? (
+            <div className="gcMuted">Loading attribute history…</div>
+          ) : !rows.length ? (
+            <div className="gcMuted">
+              No attribute changes for this resource in release notes since{" "}
+              {ATTRIBUTE_INDEX_MIN_VERSION}.
+            </div>
+          ) : (
+            <>
+              <p className="gcMuted gcAttributeHistory__intro">
+                Attributes changed in release notes since {ATTRIBUTE_INDEX_MIN_VERSION}; older
+                attributes that never changed are not listed.
+              </p>
+              {!visibleRows.length ? (
+                <div className="gcMuted">No attributes match “{query.trim()}”.</div>
+              ) : (
+                <ul className="gcAttributeHistory__list gcAttributeTimeline__list">
+                  {visibleRows.map((row) => {
+                    const pinned = pinnedStatusBadge(row.pinnedStatus, versionLabel);
+                    return (
+                      <li key={row.key} className="gcAttributeHistory__item">
+                        <div className="gcAttributeHistory__itemHeader">
+                          <code className="gcAttributeHistory__attribute">{row.attribute}</code>
+                          <div className="gcAttributeHistory__meta">
+                            {row.type !== "resource" ? (
+                              <span className="gcAttributeHistory__type">
+                                {formatAttributeIndexType(row.type)}
+                              </span>
+                            ) : null}
+                            {row.introduced ? (
+                              <span className="gcAttributeHistory__introduced">
+                                {row.introduced}
+                              </span>
+                            ) : null}
+                            {row.lastChanged ? (
+                              <span className="gcAttributeHistory__version">{row.lastChanged}</span>
+                            ) : null}
+                            {row.removed ? (
+                              <span className="gcAttributeHistory__version">{row.removed}</span>
+                            ) : null}
+                            {row.forceNew ? (
+                              <span
+                                className="gcAttributeHistory__status gcAttributeHistory__status--removed"
+                                title={RECREATES_ON_CHANGE_LABEL}
+                              >
+                                ForceNew
+                              </span>
+                            ) : null}
+                            {pinned ? (
+                              <span className={`gcAttributeHistory__status ${pinned.className}`}>
+                                {pinned.label}
+                              </span>
+                            ) : null}
+                          </div>
+                        </div>
+                        {row.history.length ? (
+                          <details className="gcAttributeHistory__details">
+                            <summary>
+                              {row.history.length} change{row.history.length === 1 ? "" : "s"}
+                            </summary>
+                            <ol className="gcAttributeHistory__historyList">
+                              {row.history.map((item, historyIndex) => (
+                                <li key={`${item.version}-${historyIndex}`}>
+                                  <span className="gcAttributeHistory__historyVersion">
+                                    {toReleaseNotesVersion(item.version)}
+                                  </span>
+                                  <span className="gcAttributeHistory__historyChange">
+                                    {formatReleaseChangeLabel(item.change)}
+                                  </span>
+                                  {item.summary}
+                                </li>
+                              ))}
+                            </ol>
+                          </details>
+                        ) : null}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,288 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  fetchReleaseNotesChanges,
+  filterChangesForResource,
+  formatReleaseChangeKind,
+  formatReleaseChangeLabel,
+  toReleaseNotesVersion,
+} from "./releaseNotes.js";
+import { sharedComparisonValues } from "./resourceComparison.js";
+
+const LIST_ROWS = [
+  { key: "dependencies", label: "Depends on", mono: true },
+  { key: "dependents", label: "Depended on by", mono: true },
+  { key: "forceNewAttributes", label: "ForceNew attributes", mono: true },
+  { key: "envVars", label: "Export env vars", mono: true },
+];
+
+function ValueList({ values, shared, mono, emptyLabel = "None" }) {
+  if (!values.length) return <span className="gcMuted">{emptyLabel}</span>;
+
+  return (
+    <ul className="gcCompare__values">
+      {values.map((value) => (
+        <li
+          key={value}
+          className={`gcCompare__value${mono ? " gcMono" : ""}${shared.has(value) ? " isShared" : ""}`}
+        >
+          {value}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default function ResourceCompareDialog({
+  open,
+  onClose,
+  columns,
+  version,
+  onSelectType,
+  onRemoveType,
+  onClear,
+}) {
+  const dialogRef = useRef(null);
+  const [changesPayload, setChangesPayload] = useState(null);
+  const [changesError, setChangesError] = useState("");
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || !version) return;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const payload = await fetchReleaseNotesChanges(version);
+        if (!cancelled) {
+          setChangesPayload({ version, payload });
+          setChangesError("");
+        }
+      } catch (e) {
+        if (!cancelled) setChangesError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, version]);
+
+  const changesLoaded = changesPayload?.version === version;
+
+  const sharedByKey = useMemo(
+    () =>
+      Object.fromEntries(
+        LIST_ROWS.map(({ key }) => [
+          key,
+          columns.length > 1 ? sharedComparisonValues(columns, key) : new Set(),
+        ])
+      ),
+    [columns]
+  );
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const handleSelectType = (type) => {
+    onSelectType?.(type);
+    handleClose();
+  };
+
+  const versionLabel = toReleaseNotesVersion(version);
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog gcCompareDialog"
+      aria-labelledby="resource-compare-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="resource-compare-title" className="gcOrderDialog__title">
+                Compare resource types
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Pinned types side by side for the selected provider version. Entries shared by
+                every pinned type are dimmed so the differences stand out.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close resource comparison"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          {columns.length < 2 ? (
+            <div className="gcMuted">
+              Pin at least two resource types from the details card to compare them.
+            </div>
+          ) : (
+            <div className="gcCompare__scroll">
+              <table className="gcCompare__table">
+                <thead>
+                  <tr>
+                    <th scope="col" className="gcCompare__rowHeader">
+                      <span className="gcVisuallyHidden">Field</span>
+                    </th>
+                    {columns.map(({ type }) => (
+                      <th key={type} scope="col" className="gcCompare__typeHeader">
+                        <button
+                          type="button"
+                          className="gcOrderDialog__typeButton gcMono"
+                          onClick={() => handleSelectType(type)}
+                        >
+                          {type}
+                        </button>
+                        <button
+                          type="button"
+                          className="gcTypeChips__remove"
+                          aria-label={`Unpin ${type}`}
+                          title="Unpin"
+                          onClick={() => onRemoveType?.(type)}
+                        >
+                          ×
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <th scope="row" className="gcCompare__rowHeader">
+                      Menu path
+                    </th>
+                    {columns.map(({ type, menuPath }) => (
+                      <td key={type}>{menuPath || <span className="gcMuted">TBD</span>}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <th scope="row" className="gcCompare__rowHeader">
+                      Classification
+                    </th>
+                    {columns.map(({ type, badges }) => (
+                      <td key={type}>
+                        {badges.length ? (
+                          <ul className="gcCompare__values">
+                            {badges.map((badge) => (
+                              <li key={badge} className="gcCompare__badge">
+                                {badge}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="gcMuted">None</span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <th scope="row" className="gcCompare__rowHeader">
+                      Export resource name
+                    </th>
+                    {columns.map(({ type, exportResourceName }) => (
+                      <td key={type} className="gcMono">
+                        {exportResourceName}
+                      </td>
+                    ))}
+                  </tr>
+                  {LIST_ROWS.map(({ key, label, mono }) => (
+                    <tr key={key}>
+                      <th scope="row" className="gcCompare__rowHeader">
+                        {label}
+                      </th>
+                      {columns.map((column) => (
+                        <td key={column.type}>
+                          <div className="gcCompare__count">{column[key].length}</div>
+                          <ValueList values={column[key]} shared={sharedByKey[key]} mono={mono} />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <th scope="row" className="gcCompare__rowHeader">
+                      Changes in {versionLabel}
+                    </th>
+                    {columns.map(({ type }) => {
+                      const changes = changesLoaded
+                        ? filterChangesForResource(changesPayload.payload, type)
+                        : [];
+                      return (
+                        <td key={type}>
+                          {changesError ? (
+                            <span className="gcMuted">Could not load release changes.</span>
+                          ) : !changesLoaded ? (
+                            <span className="gcMuted">Loading changes…</span>
+                          ) : !changes.length ? (
+                            <span className="gcMuted">None</span>
+                          ) : (
+                            <ul className="gcCompare__values">
+                              {changes.map((entry, index) => (
+                                <li
+                                  key={`${entry.attribute || "resource"}-${entry.change}-${index}`}
+                                  className="gcCompare__value"
+                                  title={entry.summary || ""}
+                                >
+                                  {formatReleaseChangeLabel(entry.change)}{" "}
+                                  {entry.attribute ? (
+                                    <code>{entry.attribute}</code>
+                                  ) : (
+                                    formatReleaseChangeKind(entry.kind).toLowerCase()
+                                  )}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {columns.length} pinned type{columns.length === 1 ? "" : "s"}
+          </p>
+          <button
+            type="button"
+            className="gcHeaderLink"
+            onClick={onClear}
+            disabled={!columns.length}
+          >
+            Unpin all
+          </button>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import { FEEDS_DIR, publicDataUrl } from "./publicDataPaths.js";
 import {
   fetchReleaseNotesChanges,
   filterChangesForResource,
@@ -59,15 +60,27 @@ export default function ResourceReleaseChanges({
             <div className="gcPanel__title">Changes in {versionLabel}</div>
             {resourceType && changes.length ? <gux-badge>{changes.length}</gux-badge> : null}
           </div>
-          {resourceType && onViewAttributeHistory ? (
-            <button
-              type="button"
-              className="gcHeaderLink"
-              onClick={() => onViewAttributeHistory(resourceType)}
-              title={`View all changes for ${resourceType}`}
-            >
-              All changes
-            </button>
+          {resourceType ? (
+            <div className="gcHeaderLinks">
+              <a
+                className="gcHeaderLink"
+                href={publicDataUrl(FEEDS_DIR, "resources", `${resourceType}.atom`)}
+                type="application/atom+xml"
+                title={`Atom feed of release changes for ${resourceType} (a .json JSON Feed sits next to it)`}
+              >
+                Feed
+              </a>
+              {onViewAttributeHistory ? (
+                <button
+                  type="button"
+                  className="gcHeaderLink"
+                  onClick={() => onViewAttributeHistory(resourceType)}
+                  title={`View all changes for ${resourceType}`}
+                >
+                  All changes
+                </button>
+              ) : null}
+            </div>
           ) : null}
         </div>
         <div className="gcPanel__body">
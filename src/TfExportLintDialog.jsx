@@ -0,0 +1,180 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  lintTfExportBlock,
+  TF_EXPORT_LINT_ERROR,
+  TF_EXPORT_LINT_INFO,
+  TF_EXPORT_LINT_WARNING,
+} from "./tfExportLint.js";
+
+const SEVERITY_SECTIONS = [
+  { severity: TF_EXPORT_LINT_ERROR, title: "Errors" },
+  { severity: TF_EXPORT_LINT_WARNING, title: "Warnings" },
+  { severity: TF_EXPORT_LINT_INFO, title: "Suggestions" },
+];
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+export default function TfExportLintDialog({
+  open,
+  onClose,
+  versionLabel,
+  lintContext,
+  currentTemplate,
+}) {
+  const dialogRef = useRef(null);
+  const [input, setInput] = useState("");
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const findings = useMemo(
+    () => (input.trim() && lintContext ? lintTfExportBlock(input, lintContext).findings : []),
+    [input, lintContext]
+  );
+
+  const counts = Object.fromEntries(
+    SEVERITY_SECTIONS.map(({ severity }) => [
+      severity,
+      findings.filter((finding) => finding.severity === severity).length,
+    ])
+  );
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="tf-export-lint-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="tf-export-lint-title" className="gcOrderDialog__title">
+                Lint export config
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Paste a <span className="gcMono">genesyscloud_tf_export</span> resource to check
+                it against {versionLabel || "the selected provider version"}: resource types,
+                types that cannot be exported, filter regexes against block label formats,
+                replace_with_datasource dependencies, provider env vars and exclude_attributes
+                guidance.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close export config lint"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar">
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setInput(currentTemplate)}
+              disabled={!currentTemplate}
+            >
+              Use current template
+            </button>
+            <button
+              type="button"
+              className="gcClearButton gcOrderDialog__toolbarEnd"
+              onClick={() => setInput("")}
+              disabled={!input}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          <label className="gcVisuallyHidden" htmlFor="tf-export-lint-input">
+            genesyscloud_tf_export configuration
+          </label>
+          <textarea
+            id="tf-export-lint-input"
+            className="gcExportOptions__textarea gcMono gcExportLint__input"
+            rows={12}
+            value={input}
+            placeholder={'resource "genesyscloud_tf_export" "export" {\n  …\n}'}
+            spellCheck={false}
+            onChange={(event) => setInput(event.target.value)}
+          />
+
+          {!lintContext ? (
+            <div className="gcMuted">Loading provider data…</div>
+          ) : !input.trim() ? null : !findings.length ? (
+            <div className="gcMuted">No problems found.</div>
+          ) : (
+            SEVERITY_SECTIONS.filter(({ severity }) => counts[severity]).map(
+              ({ severity, title }) => (
+                <section key={severity} className="gcOrderDialog__tier">
+                  <div className="gcOrderDialog__tierHeader">
+                    <h3 className="gcOrderDialog__tierTitle">{title}</h3>
+                    <gux-badge>{counts[severity]}</gux-badge>
+                  </div>
+                  <ul className="gcOrderDialog__tierList">
+                    {findings
+                      .filter((finding) => finding.severity === severity)
+                      .map((finding, index) => (
+                        <li
+                          key={`${finding.line}:${index}`}
+                          className={`gcOrderDialog__tierItem gcExportLint__item gcExportLint__item--${severity}`}
+                        >
+                          {finding.line ? (
+                            <span className="gcMono gcExportLint__line">L{finding.line}</span>
+                          ) : null}
+                          {finding.attribute ? (
+                            <span className="gcMono gcExportLint__attribute">
+                              {finding.attribute}
+                            </span>
+                          ) : null}
+                          <span>{finding.message}</span>
+                        </li>
+                      ))}
+                  </ul>
+                </section>
+              )
+            )
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {input.trim()
+              ? [
+                  pluralize(counts[TF_EXPORT_LINT_ERROR], "error"),
+                  pluralize(counts[TF_EXPORT_LINT_WARNING], "warning"),
+                  pluralize(counts[TF_EXPORT_LINT_INFO], "suggestion"),
+                ].join(" · ")
+              : "Nothing to check yet"}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -0,0 +1,389 @@
+import React, { useEffect, useState } from "react";
+import { fetchTfExportBlockLabelHistory } from "./resourceAttributeIndex.js";
+import {
+  DEPENDENCY_DATA_SOURCE,
+  DEPENDENCY_EXPORTED,
+} from "./tfExportDependencies.js";
+import {
+  DEFAULT_TF_EXPORT_DIRECTORY,
+  TF_EXPORT_DEPENDENCIES_INCLUDE,
+  TF_EXPORT_DEPENDENCIES_REPLACE_ALL,
+  TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE,
+  TF_EXPORT_FORMAT_HCL,
+  TF_EXPORT_FORMATS,
+  parseTfExportListInput,
+  sameTfExportList,
+  validateTfExportNamePattern,
+} from "./tfExportOptions.js";
+import {
+  buildTfExportNamePattern,
+  tfExportBlockLabelChangesForType,
+  tfExportBlockLabelFields,
+} from "./tfExportNamePattern.js";
+
+/**
+ * One-entry-per-line textarea for a list attribute. The typed text is kept
+ * while it still parses to `values`, so blank lines and half-typed entries
+ * survive re-renders; outside changes (reset, type switch) replace it.
+ */
+function ListField({ id, label, values, placeholder, onChange, children }) {
+  const [draft, setDraft] = useState("");
+  const text = sameTfExportList(parseTfExportListInput(draft), values) ? draft : values.join("\n");
+
+  return (
+    <div className="gcExportOptions__field gcExportOptions__field--wide">
+      <label className="gcExportOptions__label" htmlFor={id}>
+        {label}
+      </label>
+      <textarea
+        id={id}
+        className="gcExportOptions__textarea gcMono"
+        rows={Math.min(6, Math.max(2, values.length + 1))}
+        value={text}
+        placeholder={placeholder}
+        spellCheck={false}
+        onChange={(event) => {
+          setDraft(event.target.value);
+          onChange(parseTfExportListInput(event.target.value));
+        }}
+      />
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Inputs for each field of the type's block label placeholder; "Use pattern"
+ * writes the exact anchored regex into the name field. Label format changes
+ * from the block label history are listed so filters written for another
+ * provider version are not reused by mistake.
+ */
+function NamePatternHelper({ resourceType, placeholder, providerVersion, onUse }) {
+  const fields = tfExportBlockLabelFields(placeholder);
+  const [values, setValues] = useState(() => fields.map(() => ""));
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      const changes = await fetchTfExportBlockLabelHistory();
+      if (!cancelled) setHistory(changes);
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!fields.length) return null;
+
+  const pattern = buildTfExportNamePattern(placeholder, values);
+  const changes = tfExportBlockLabelChangesForType(history, resourceType, providerVersion);
+
+  return (
+    <div className="gcExportOptions__namer">
+      <p className="gcMuted gcExportOptions__help">
+        Block label <span className="gcMono">{placeholder}</span>. Enter the object as it appears
+        in Genesys Cloud; the filter matches the label before it is sanitized for HCL.
+      </p>
+      <div className="gcExportOptions__namerFields">
+        {fields.map((field, index) => (
+          <input
+            key={`${field}-${index}`}
+            type="text"
+            className="gcSearchInput"
+            value={values[index]}
+            placeholder={field}
+            aria-label={`Object ${field}`}
+            spellCheck={false}
+            onChange={(event) => {
+              const next = [...values];
+              next[index] = event.target.value;
+              setValues(next);
+            }}
+          />
+        ))}
+        <button
+          type="button"
+          className="gcHeaderLink"
+          disabled={!pattern}
+          onClick={() => onUse(pattern)}
+        >
+          Use pattern
+        </button>
+      </div>
+      {pattern ? <code className="gcMono gcExportOptions__preview">{pattern}</code> : null}
+      {changes.map((change) => (
+        <p key={`${change.version}:${change.after}`} className="gcSearchHint">
+          {change.applies
+            ? `Since ${change.version} this label is ${change.after} (was ${change.before}); filters built for older provider versions match nothing.`
+            : `${change.version} changes this label to ${change.after}; rebuild the filter when you upgrade.`}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+const DEPENDENCY_STRATEGIES = [
+  { id: TF_EXPORT_DEPENDENCIES_REPLACE_ALL, label: "Data sources" },
+  { id: TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE, label: "Export chosen" },
+  { id: TF_EXPORT_DEPENDENCIES_INCLUDE, label: "Export all" },
+];
+
+const DEPENDENCY_STATE_LABELS = {
+  [DEPENDENCY_EXPORTED]: "exported",
+  [DEPENDENCY_DATA_SOURCE]: "data source",
+};
+
+/**
+ * Data source or export alongside, per dependency. Lists the transitive
+ * closure from `plan` (resolveTfExportDependencyPlan) with what each type
+ * ends up as; with "Export chosen", ticking a type exports it and whatever it
+ * depends on becomes a data source unless ticked too.
+ */
+function DependencyStrategyField({ resourceType, strategy, exportedDependencies, plan, onChange }) {
+  const chosen = new Set(exportedDependencies);
+  const canChoose = strategy === TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE;
+
+  const toggle = (type) => {
+    const next = chosen.has(type)
+      ? exportedDependencies.filter((entry) => entry !== type)
+      : [...exportedDependencies, type];
+    onChange({ type: resourceType, exportedDependencies: next });
+  };
+
+  return (
+    <div className="gcExportOptions__field gcExportOptions__field--wide">
+      <span className="gcExportOptions__label" id="tf-export-dependencies-label">
+        Dependencies
+      </span>
+      <div
+        className="gcSegmentedControl gcSegmentedControl--text"
+        role="radiogroup"
+        aria-labelledby="tf-export-dependencies-label"
+      >
+        {DEPENDENCY_STRATEGIES.map((option) => (
+          <button
+            key={option.id || "replace"}
+            type="button"
+            className="gcSegmentedControl__option"
+            role="radio"
+            aria-checked={strategy === option.id}
+            onClick={() => onChange({ type: resourceType, dependencyStrategy: option.id })}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {plan.closure.length ? (
+        <ul className="gcExportOptions__dependencies">
+          {plan.closure.map(({ type, depth, via, state }) => (
+            <li
+              key={type}
+              className={`gcExportOptions__dependency gcExportOptions__dependency--${state}`}
+              style={{ "--gc-dependency-depth": depth - 1 }}
+            >
+              <label className="gcExportOptions__check">
+                {canChoose ? (
+                  <input
+                    type="checkbox"
+                    checked={chosen.has(type)}
+                    onChange={() => toggle(type)}
+                  />
+                ) : null}
+                <span className="gcMono">{type}</span>
+              </label>
+              <span className="gcMuted">
+                {DEPENDENCY_STATE_LABELS[state] || "not needed"}
+                {depth > 1 ? ` · via ${via}` : ""}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="gcMuted gcExportOptions__help">No dependencies.</p>
+      )}
+      {plan.includeTypes.length ? (
+        <p className="gcMuted gcExportOptions__help">
+          Exported dependencies are added to include_filter_resources with{" "}
+          <span className="gcMono">::.*</span>, so every object of those types is exported.
+        </p>
+      ) : null}
+    </div>
+  );
+}
+
+export default function TfExportOptionsForm({
+  resourceType,
+  options,
+  resolvedOptions,
+  suggestedExcludeAttributes,
+  defaultNamePattern,
+  blockLabelPlaceholder,
+  providerVersion,
+  dependencyPlan,
+  onChange,
+  onReset,
+  editedCount,
+}) {
+  const namePatternError = validateTfExportNamePattern(options.namePattern);
+  const excludeAttributes = options.excludeAttributes ?? suggestedExcludeAttributes;
+  const excludeAttributesEdited =
+    options.excludeAttributes !== null &&
+    !sameTfExportList(options.excludeAttributes, suggestedExcludeAttributes);
+
+  return (
+    <div className="gcExportOptions" role="group" aria-label="Export template attributes">
+      <div className="gcExportOptions__field">
+        <label className="gcExportOptions__label" htmlFor="tf-export-directory">
+          directory
+        </label>
+        <input
+          id="tf-export-directory"
+          type="text"
+          className="gcSearchInput gcMono"
+          value={options.directory}
+          placeholder={DEFAULT_TF_EXPORT_DIRECTORY}
+          spellCheck={false}
+          onChange={(event) => onChange({ directory: event.target.value.trim() })}
+        />
+      </div>
+
+      <div className="gcExportOptions__field">
+        <span className="gcExportOptions__label" id="tf-export-format-label">
+          export_format
+        </span>
+        <div
+          className="gcSegmentedControl gcSegmentedControl--text"
+          role="radiogroup"
+          aria-labelledby="tf-export-format-label"
+        >
+          {TF_EXPORT_FORMATS.map((format) => (
+            <button
+              key={format}
+              type="button"
+              className="gcSegmentedControl__option"
+              role="radio"
+              aria-checked={resolvedOptions.exportFormat === format}
+              onClick={() =>
+                onChange({ exportFormat: format === TF_EXPORT_FORMAT_HCL ? "" : format })
+              }
+            >
+              {format}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="gcExportOptions__field gcExportOptions__field--wide">
+        <label className="gcExportOptions__label" htmlFor="tf-export-name-pattern">
+          Name regex in include_filter_resources
+        </label>
+        <div className="gcExportOptions__inline">
+          <span className="gcMono gcExportOptions__prefix">{resourceType}::</span>
+          <input
+            id="tf-export-name-pattern"
+            type="text"
+            className="gcSearchInput gcMono"
+            value={options.namePattern}
+            placeholder={defaultNamePattern}
+            spellCheck={false}
+            aria-invalid={Boolean(namePatternError)}
+            disabled={resolvedOptions.excludeFilterResources.length > 0}
+            onChange={(event) => onChange({ type: resourceType, namePattern: event.target.value })}
+          />
+        </div>
+        {namePatternError ? (
+          <p className="gcSearchHint" role="alert">
+            {namePatternError}
+          </p>
+        ) : null}
+        {resolvedOptions.excludeFilterResources.length ? null : (
+          <NamePatternHelper
+            key={`${resourceType}:${blockLabelPlaceholder}`}
+            resourceType={resourceType}
+            placeholder={blockLabelPlaceholder}
+            providerVersion={providerVersion}
+            onUse={(pattern) => onChange({ type: resourceType, namePattern: pattern })}
+          />
+        )}
+      </div>
+
+      {dependencyPlan ? (
+        <DependencyStrategyField
+          resourceType={resourceType}
+          strategy={resolvedOptions.dependencyStrategy}
+          exportedDependencies={options.exportedDependencies}
+          plan={dependencyPlan}
+          onChange={onChange}
+        />
+      ) : null}
+
+      <ListField
+        id="tf-export-exclude-attributes"
+        label="exclude_attributes"
+        values={excludeAttributes}
+        placeholder={`${resourceType}.attribute`}
+        onChange={(values) => onChange({ type: resourceType, excludeAttributes: values })}
+      >
+        {suggestedExcludeAttributes.length ? (
+          <p className="gcMuted gcExportOptions__help">
+            {excludeAttributesEdited ? "Edited from the suggested list. " : "Suggested for this type. "}
+            {excludeAttributesEdited ? (
+              <button
+                type="button"
+                className="gcHeaderLink"
+                onClick={() => onChange({ type: resourceType, excludeAttributes: null })}
+              >
+                Restore suggestion
+              </button>
+            ) : null}
+          </p>
+        ) : null}
+      </ListField>
+
+      <ListField
+        id="tf-export-exclude-filters"
+        label="exclude_filter_resources"
+        values={options.excludeFilterResources}
+        placeholder="resource_type::name regex"
+        onChange={(values) => onChange({ excludeFilterResources: values })}
+      >
+        {options.excludeFilterResources.length ? (
+          <p className="gcSearchHint">
+            The provider does not allow include_filter_resources together with
+            exclude_filter_resources, so the include filter is left out.
+          </p>
+        ) : null}
+      </ListField>
+
+      <div className="gcExportOptions__field gcExportOptions__field--wide gcExportOptions__checks">
+        <label className="gcExportOptions__check">
+          <input
+            type="checkbox"
+            checked={options.splitFilesByResource}
+            onChange={(event) => onChange({ splitFilesByResource: event.target.checked })}
+          />
+          <span className="gcMono">split_files_by_resource</span>
+        </label>
+        <label className="gcExportOptions__check">
+          <input
+            type="checkbox"
+            checked={options.compress}
+            onChange={(event) => onChange({ compress: event.target.checked })}
+          />
+          <span className="gcMono">compress</span>
+        </label>
+        <button
+          type="button"
+          className="gcClearButton gcExportOptions__reset"
+          onClick={onReset}
+          disabled={!editedCount}
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
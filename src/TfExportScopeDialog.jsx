@@ -0,0 +1,225 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  buildTfExportAllTemplate,
+  mergeProviderEnvVars,
+  resolveProviderEnvVars,
+} from "./tfExportTemplate.js";
+import { groupTfExportScopeSections, resolveTfExportScope } from "./tfExportScope.js";
+
+function SectionCheckbox({ label, checkedCount, total, onChange }) {
+  return (
+    <label className="gcExportOptions__check">
+      <input
+        type="checkbox"
+        checked={checkedCount === total}
+        ref={(element) => {
+          if (element) element.indeterminate = checkedCount > 0 && checkedCount < total;
+        }}
+        onChange={(event) => onChange(event.target.checked)}
+      />
+      <span className="gcOrderDialog__tierTitle">{label}</span>
+    </label>
+  );
+}
+
+/**
+ * Full-org export generator: pick the types (or whole menu sections) to keep
+ * and get a block that excludes the rest for the selected provider version.
+ * `types` are the visible types offered as choices; `scopeTypes` is every type
+ * in the version, so hidden ones are excluded too.
+ */
+export default function TfExportScopeDialog({
+  open,
+  onClose,
+  versionLabel,
+  types,
+  scopeTypes,
+  depsMap,
+  nonExportableTypes,
+  overrides,
+  generatedGuiMenuPaths,
+  providerEnvVars,
+  exportOptions,
+}) {
+  const dialogRef = useRef(null);
+  const [unchecked, setUnchecked] = useState(() => new Set());
+  const [copyState, setCopyState] = useState("idle");
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (copyState === "idle") return undefined;
+    const timer = window.setTimeout(() => setCopyState("idle"), 1600);
+    return () => window.clearTimeout(timer);
+  }, [copyState]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const sections = useMemo(
+    () =>
+      groupTfExportScopeSections(
+        types.filter((type) => !nonExportableTypes.has(type)),
+        overrides,
+        generatedGuiMenuPaths
+      ),
+    [types, nonExportableTypes, overrides, generatedGuiMenuPaths]
+  );
+
+  const keep = useMemo(
+    () => types.filter((type) => !unchecked.has(type)),
+    [types, unchecked]
+  );
+
+  const scope = useMemo(
+    () => resolveTfExportScope({ types: scopeTypes, keep, depsMap, nonExportableTypes }),
+    [scopeTypes, keep, depsMap, nonExportableTypes]
+  );
+
+  const template = useMemo(() => {
+    const envVars = mergeProviderEnvVars(
+      scope.kept.map((type) => resolveProviderEnvVars(type, providerEnvVars))
+    );
+    return buildTfExportAllTemplate(scope.exclude, scope.replace, envVars, { exportOptions });
+  }, [scope, providerEnvVars, exportOptions]);
+
+  const setKept = (sectionTypes, kept) => {
+    setUnchecked((current) => {
+      const next = new Set(current);
+      for (const type of sectionTypes) {
+        if (kept) next.delete(type);
+        else next.add(type);
+      }
+      return next;
+    });
+  };
+
+  const copyTemplate = async () => {
+    try {
+      await navigator.clipboard.writeText(template);
+      setCopyState("copied");
+    } catch {
+      setCopyState("failed");
+    }
+  };
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="tf-export-scope-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="tf-export-scope-title" className="gcOrderDialog__title">
+                Export everything except…
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Untick the types or menu sections to leave out of a full-org export for{" "}
+                {versionLabel || "the selected provider version"}. Everything else goes to{" "}
+                <span className="gcMono">exclude_filter_resources</span>; dependencies of kept
+                types that are left out are exported as data sources instead. Types the provider
+                cannot export are not listed.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close full-org export generator"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar">
+            <button type="button" className="gcHeaderLink" onClick={() => setUnchecked(new Set())}>
+              Keep all
+            </button>
+            <button
+              type="button"
+              className="gcHeaderLink"
+              onClick={() => setUnchecked(new Set(types))}
+            >
+              Keep none
+            </button>
+            <button
+              type="button"
+              className="gcCopyButton gcOrderDialog__toolbarEnd"
+              onClick={copyTemplate}
+              disabled={!template}
+            >
+              {copyState === "copied" ? "Copied" : copyState === "failed" ? "Copy failed" : "Copy"}
+            </button>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          {sections.map(({ section, types: sectionTypes }) => {
+            const checkedCount = sectionTypes.filter((type) => !unchecked.has(type)).length;
+            return (
+              <section key={section} className="gcOrderDialog__tier">
+                <div className="gcOrderDialog__tierHeader">
+                  <SectionCheckbox
+                    label={section}
+                    checkedCount={checkedCount}
+                    total={sectionTypes.length}
+                    onChange={(kept) => setKept(sectionTypes, kept)}
+                  />
+                  <gux-badge>
+                    {checkedCount}/{sectionTypes.length}
+                  </gux-badge>
+                </div>
+                <div className="gcExportScope__types">
+                  {sectionTypes.map((type) => (
+                    <label key={type} className="gcExportOptions__check gcMono">
+                      <input
+                        type="checkbox"
+                        checked={!unchecked.has(type)}
+                        onChange={(event) => setKept([type], event.target.checked)}
+                      />
+                      {type}
+                    </label>
+                  ))}
+                </div>
+              </section>
+            );
+          })}
+
+          <section className="gcOrderDialog__tier">
+            <div className="gcOrderDialog__tierHeader">
+              <h3 className="gcOrderDialog__tierTitle">main.tf</h3>
+            </div>
+            <pre className="gcExportTemplate__code gcMono">{template}</pre>
+          </section>
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {scope.kept.length} kept · {scope.exclude.length} excluded · {scope.replace.length} as
+            data sources
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
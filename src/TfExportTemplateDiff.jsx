@@ -0,0 +1,148 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { applyOverrides } from "../scripts/lib/dependency-tree-overrides.mjs";
+import { buildDepsMaps } from "./dependencyTree.js";
+import { toReleaseNotesVersion } from "./releaseNotes.js";
+import { resolveTfExportResourceName } from "./tfExportTemplate.js";
+import {
+  countTemplateLineChanges,
+  diffTemplateLines,
+  LINE_ADDED,
+  LINE_REMOVED,
+  summarizeTfExportTemplateChange,
+} from "./tfExportTemplateDiff.js";
+import { fetchDependencyTree, fetchTfExportResourceNames } from "./versionedData.js";
+
+const versionDataCache = new Map();
+
+function loadVersionData(version) {
+  if (!versionDataCache.has(version)) {
+    const pending = Promise.all([
+      fetchDependencyTree(version),
+      fetchTfExportResourceNames(version),
+    ]).then(([tree, resourceNames]) => ({ tree, resourceNames }));
+    pending.catch(() => versionDataCache.delete(version));
+    versionDataCache.set(version, pending);
+  }
+  return versionDataCache.get(version);
+}
+
+const LINE_MARKERS = { [LINE_ADDED]: "+", [LINE_REMOVED]: "-" };
+
+/**
+ * Line diff of the export template for `resourceType` between `compareVersion`
+ * and the selected version. The other side is rebuilt with
+ * `buildTemplate(dependencies, resourceName, depsMap)` (same mode, edits and
+ * env vars) from that version's dependency tree and block label, with
+ * overrides.json applied to both.
+ */
+export default function TfExportTemplateDiff({
+  resourceType,
+  compareVersion,
+  selectedVersion,
+  overrides,
+  currentTemplate,
+  currentDependencies,
+  currentResourceName,
+  buildTemplate,
+}) {
+  const [loaded, setLoaded] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const data = await loadVersionData(compareVersion);
+        if (!cancelled) {
+          setLoaded({ version: compareVersion, ...data });
+          setError("");
+        }
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [compareVersion]);
+
+  const other = useMemo(() => {
+    if (loaded?.version !== compareVersion) return null;
+    const { depsMap } = buildDepsMaps(applyOverrides(loaded.tree, overrides));
+    if (!depsMap.has(resourceType)) return { missing: true };
+
+    const dependencies = [...depsMap.get(resourceType)].sort((a, b) => a.localeCompare(b));
+    const resourceName = resolveTfExportResourceName(resourceType, overrides, loaded.resourceNames);
+    return {
+      missing: false,
+      dependencies,
+      resourceName,
+      template: buildTemplate(dependencies, resourceName, depsMap),
+    };
+  }, [loaded, compareVersion, overrides, resourceType, buildTemplate]);
+
+  const lines = useMemo(
+    () => (other && !other.missing ? diffTemplateLines(other.template, currentTemplate) : []),
+    [other, currentTemplate]
+  );
+
+  const fromLabel = toReleaseNotesVersion(compareVersion);
+  const toLabel = selectedVersion === "latest" ? "latest" : toReleaseNotesVersion(selectedVersion);
+
+  if (error) {
+    return (
+      <div className="gcAlert" role="alert">
+        {error}
+      </div>
+    );
+  }
+  if (!other) return <div className="gcMuted">Loading {fromLabel}…</div>;
+  if (other.missing) {
+    return (
+      <div className="gcMuted">
+        <span className="gcMono">{resourceType}</span> is not in {fromLabel}.
+      </div>
+    );
+  }
+
+  const { added, removed } = countTemplateLineChanges(lines);
+  const summary = summarizeTfExportTemplateChange(other, {
+    dependencies: currentDependencies,
+    resourceName: currentResourceName,
+  });
+
+  return (
+    <div className="gcTemplateDiff">
+      <p className="gcMuted gcExportTemplate__hint">
+        {added || removed
+          ? `${fromLabel} → ${toLabel}: ${removed} line${removed === 1 ? "" : "s"} removed, ${added} added.`
+          : `Identical in ${fromLabel} and ${toLabel}.`}
+      </p>
+      {summary.labelChanged ? (
+        <p className="gcSearchHint">
+          Block label changed from <span className="gcMono">{other.resourceName}</span> to{" "}
+          <span className="gcMono">{currentResourceName}</span>; include_filter_resources
+          regexes written for {fromLabel} may no longer match.
+        </p>
+      ) : null}
+      {summary.addedDeps.length || summary.removedDeps.length ? (
+        <p className="gcSearchHint">
+          replace_with_datasource dependencies
+          {summary.addedDeps.length ? ` gained ${summary.addedDeps.join(", ")}` : ""}
+          {summary.addedDeps.length && summary.removedDeps.length ? " and" : ""}
+          {summary.removedDeps.length ? ` lost ${summary.removedDeps.join(", ")}` : ""}.
+        </p>
+      ) : null}
+      <pre className="gcExportTemplate__code gcMono">
+        {lines.map((line, index) => (
+          <span key={index} className={`gcTemplateDiff__line gcTemplateDiff__line--${line.kind}`}>
+            {LINE_MARKERS[line.kind] || " "} {line.text}
+            {"\n"}
+          </span>
+        ))}
+      </pre>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from "react";
+
+/**
+ * Exclude / all / only segmented control shared by the division and
+ * classification facet filters. `value` is "no", "" or "yes".
+ */
+export default function TriStateFilter({
+  labelId,
+  title,
+  value,
+  onChange,
+  disabled = false,
+  noLabel,
+  allLabel = "All resource types",
+  yesLabel,
+}) {
+  return (
+    <div
+      className="gcSegmentedControl"
+      role="radiogroup"
+      aria-labelledby={labelId}
+      title={title}
+    >
+      <button
+        type="button"
+        className="gcSegmentedControl__option"
+        role="radio"
+        aria-checked={value === "no"}
+        disabled={disabled}
+        title={noLabel}
+        onClick={() => onChange("no")}
+      >
+        <svg
+          className="gcSegmentedControl__icon"
+          viewBox="0 0 16 16"
+          width="14"
+          height="14"
+          aria-hidden="true"
+        >
+          <path
+            d="M4.2 4.2 11.8 11.8M11.8 4.2 4.2 11.8"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="1.6"
+            strokeLinecap="round"
+          />
+        </svg>
+        <span className="gcVisuallyHidden">{noLabel}</span>
+      </button>
+      <button
+        type="button"
+        className="gcSegmentedControl__option"
+        role="radio"
+        aria-checked={!value}
+        disabled={disabled}
+        title={allLabel}
+        onClick={() => onChange("")}
+      >
+        <span className="gcVisuallyHidden">{allLabel}</span>
+      </button>
+      <button
+        type="button"
+        className="gcSegmentedControl__option"
+        role="radio"
+        aria-checked={value === "yes"}
+        disabled={disabled}
+        title={yesLabel}
+        onClick={() => onChange("yes")}
+      >
+        <svg
+          className="gcSegmentedControl__icon"
+          viewBox="0 0 16 16"
+          width="14"
+          height="14"
+          aria-hidden="true"
+        >
+          <path
+            d="M3.5 8.2 6.6 11.3 12.5 5.4"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="1.6"
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        </svg>
+        <span className="gcVisuallyHidden">{yesLabel}</span>
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+
+/**
+ * Removable resource type chips. Selecting a chip calls onSelect (when given);
+ * the × button calls onRemove.
+ */
+export default function TypeChipList({ types, onSelect, onRemove, removeLabel = "Remove" }) {
+  if (!Array.isArray(types) || types.length === 0) return null;
+
+  return (
+    <ul className="gcTypeChips">
+      {types.map((type) => (
+        <li key={type} className="gcTypeChips__chip">
+          {onSelect ? (
+            <button
+              type="button"
+              className="gcTypeChips__label gcMono"
+              title={type}
+              onClick={() => onSelect(type)}
+            >
+              {type}
+            </button>
+          ) : (
+            <span className="gcTypeChips__label gcMono" title={type}>
+              {type}
+            </span>
+          )}
+          {onRemove ? (
+            <button
+              type="button"
+              className="gcTypeChips__remove"
+              aria-label={`${removeLabel} ${type}`}
+              title={removeLabel}
+              onClick={() => onRemove(type)}
+            >
+              ×
+            </button>
+          ) : null}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,370 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  fetchReleaseNotesChanges,
+  fetchReleaseNotesIndex,
+  formatReleaseChangeKind,
+  formatReleaseChangeLabel,
+  toReleaseNotesVersion,
+} from "./releaseNotes.js";
+import {
+  buildUpgradeImpactReport,
+  filterBreakingUpgradeImpact,
+  parseManagedTypes,
+  selectUpgradeReleases,
+  UPGRADE_IMPACT_PROVIDER,
+} from "./upgradeImpact.js";
+import {
+  fetchResourceClassification,
+  fetchSchemaForceNew,
+} from "./versionedData.js";
+
+const changesCache = new Map();
+const endpointCache = new Map();
+
+function loadChanges(version) {
+  if (!changesCache.has(version)) {
+    const pending = fetchReleaseNotesChanges(version).then((payload) => ({
+      version,
+      changes: payload?.changes || [],
+    }));
+    pending.catch(() => changesCache.delete(version));
+    changesCache.set(version, pending);
+  }
+  return changesCache.get(version);
+}
+
+function loadEndpoint(version) {
+  if (!endpointCache.has(version)) {
+    const pending = Promise.all([
+      fetchSchemaForceNew(version),
+      fetchResourceClassification(version),
+    ]).then(([forceNew, classification]) => ({ forceNew, classification }));
+    pending.catch(() => endpointCache.delete(version));
+    endpointCache.set(version, pending);
+  }
+  return endpointCache.get(version);
+}
+
+function defaultVersionPair(versions, selectedVersion) {
+  if (!versions.length) return { from: "", to: "" };
+
+  const to = versions[0];
+  const selected = versions.indexOf(toReleaseNotesVersion(selectedVersion));
+  const from = selected > 0 ? versions[selected] : versions[Math.min(1, versions.length - 1)];
+  return { from, to };
+}
+
+/**
+ * "Upgrade from vX to vY": release-notes changes for every release in the
+ * range, grouped by resource type and change kind, with removals, new ForceNew
+ * attributes and newly deprecated types flagged as breaking. A pasted type
+ * list narrows it to what a configuration manages.
+ */
+export default function UpgradeImpactDialog({
+  open,
+  onClose,
+  selectedVersion,
+  overrides,
+  knownTypes,
+  onSelectType,
+}) {
+  const dialogRef = useRef(null);
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState("");
+  const [toVersion, setToVersion] = useState("");
+  const [typesText, setTypesText] = useState("");
+  const [breakingOnly, setBreakingOnly] = useState(false);
+  const [loaded, setLoaded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (!open || versions.length) return;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const index = await fetchReleaseNotesIndex();
+        if (!cancelled) setVersions(index);
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, versions.length]);
+
+  const versionLabels = useMemo(
+    () => versions.map((entry) => toReleaseNotesVersion(entry?.version)).filter(Boolean),
+    [versions]
+  );
+  const defaultVersions = useMemo(
+    () => defaultVersionPair(versionLabels, selectedVersion),
+    [versionLabels, selectedVersion]
+  );
+  const effectiveFrom = fromVersion || defaultVersions.from;
+  const effectiveTo = toVersion || defaultVersions.to;
+
+  const releases = useMemo(
+    () => selectUpgradeReleases(versions, effectiveFrom, effectiveTo),
+    [versions, effectiveFrom, effectiveTo]
+  );
+
+  useEffect(() => {
+    if (!open || !releases.length) return;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        setLoading(true);
+        setError("");
+
+        const [payloads, before, after] = await Promise.all([
+          Promise.all(releases.map((entry) => loadChanges(entry.version))),
+          loadEndpoint(effectiveFrom),
+          loadEndpoint(effectiveTo),
+        ]);
+
+        if (!cancelled) {
+          setLoaded({ from: effectiveFrom, to: effectiveTo, payloads, before, after });
+        }
+      } catch (e) {
+        if (!cancelled) {
+          setLoaded(null);
+          setError(String(e));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, releases, effectiveFrom, effectiveTo]);
+
+  const managedTypes = useMemo(() => parseManagedTypes(typesText), [typesText]);
+
+  const report = useMemo(() => {
+    if (loaded?.from !== effectiveFrom || loaded?.to !== effectiveTo) return null;
+    return buildUpgradeImpactReport(loaded.payloads, {
+      toVersion: effectiveTo,
+      managedTypes,
+      forceNewBefore: loaded.before.forceNew,
+      forceNewAfter: loaded.after.forceNew,
+      classificationBefore: loaded.before.classification,
+      classificationAfter: loaded.after.classification,
+      overrides,
+    });
+  }, [loaded, effectiveFrom, effectiveTo, managedTypes, overrides]);
+
+  const visibleReport = report && breakingOnly ? filterBreakingUpgradeImpact(report) : report;
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const handleSelectType = (type) => {
+    onSelectType?.(type);
+    handleClose();
+  };
+
+  const countLabel = loading
+    ? "Loading release changes…"
+    : !report
+      ? ""
+      : `${report.total} change${report.total === 1 ? "" : "s"} across ${releases.length} release${
+          releases.length === 1 ? "" : "s"
+        } · ${report.breakingCount} breaking`;
+
+  const versionSelect = (value, onChange, label) => (
+    <label className="gcVersionDiff__versionSelect">
+      <span className="gcMetaLabel">{label}</span>
+      <select
+        className="gcSelectInput"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={!versionLabels.length}
+      >
+        {versionLabels.map((v) => (
+          <option key={v} value={v}>
+            {v}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="upgrade-impact-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="upgrade-impact-title" className="gcOrderDialog__title">
+                Upgrade report
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Every provider change between two releases, by resource type. Removals, attributes
+                that now force replacement and newly deprecated types are marked breaking.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close upgrade report"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar gcOrderDialog__toolbar--versionDiff">
+            <label className="gcExportOptions__check">
+              <input
+                type="checkbox"
+                checked={breakingOnly}
+                onChange={(event) => setBreakingOnly(event.target.checked)}
+              />
+              Breaking only
+            </label>
+            <div className="gcOrderDialog__toolbarActions">
+              {versionSelect(effectiveFrom, setFromVersion, "From:")}
+              {versionSelect(effectiveTo, setToVersion, "To:")}
+            </div>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          <div className="gcExportOptions__field gcExportOptions__field--wide">
+            <label className="gcExportOptions__label" htmlFor="upgrade-impact-types">
+              Managed types (optional)
+            </label>
+            <textarea
+              id="upgrade-impact-types"
+              className="gcExportOptions__textarea gcMono"
+              rows={3}
+              spellCheck={false}
+              placeholder="Paste resource types, terraform state list output or .tf blocks"
+              value={typesText}
+              onChange={(event) => setTypesText(event.target.value)}
+            />
+            {managedTypes.size ? (
+              <p className="gcMuted gcExportOptions__help">
+                Limited to {managedTypes.size} type{managedTypes.size === 1 ? "" : "s"}; provider
+                configuration changes are always listed.
+              </p>
+            ) : null}
+          </div>
+
+          {error ? (
+            <div className="gcAlert" role="alert">
+              {error}
+            </div>
+          ) : !versionLabels.length ? (
+            <div className="gcMuted">Loading release notes index…</div>
+          ) : !releases.length ? (
+            <div className="gcMuted">Pick a To version newer than From.</div>
+          ) : loading || !visibleReport ? (
+            <div className="gcMuted">Loading release changes…</div>
+          ) : !visibleReport.groups.length ? (
+            <div className="gcMuted">
+              {breakingOnly ? "No breaking changes in this range." : "No changes in this range."}
+            </div>
+          ) : (
+            visibleReport.groups.map((group) => (
+              <section key={group.resource} className="gcOrderDialog__tier">
+                <div className="gcOrderDialog__tierHeader">
+                  <h3 className="gcOrderDialog__tierTitle">
+                    {group.resource === UPGRADE_IMPACT_PROVIDER ? (
+                      "Provider configuration"
+                    ) : (
+                      <button
+                        type="button"
+                        className="gcOrderDialog__typeButton gcMono"
+                        onClick={() => handleSelectType(group.resource)}
+                        disabled={!!knownTypes && !knownTypes.has(group.resource)}
+                      >
+                        {group.resource}
+                      </button>
+                    )}
+                  </h3>
+                  <gux-badge>{group.count}</gux-badge>
+                  {group.breakingCount ? (
+                    <span className="gcAttributeHistory__status gcAttributeHistory__status--removed">
+                      {group.breakingCount} breaking
+                    </span>
+                  ) : null}
+                </div>
+                {group.kinds.map(({ kind, entries }) => (
+                  <div key={kind} className="gcUpgradeImpact__kind">
+                    <h4 className="gcUpgradeImpact__kindTitle">
+                      {formatReleaseChangeKind(kind) || "Other"}
+                    </h4>
+                    <ul className="gcReleaseChanges__list">
+                      {entries.map((entry, index) => (
+                        <li
+                          key={`${entry.version}-${entry.attribute}-${entry.change}-${index}`}
+                          className="gcReleaseChanges__item"
+                        >
+                          <div className="gcReleaseChanges__itemHeader">
+                            <span
+                              className={`gcAttributeHistory__status gcAttributeHistory__status--${
+                                entry.breaking ? "removed" : "active"
+                              }`}
+                            >
+                              {entry.breaking || formatReleaseChangeLabel(entry.change)}
+                            </span>
+                            {entry.attribute ? (
+                              <code className="gcAttributeHistory__attribute">{entry.attribute}</code>
+                            ) : null}
+                            <span className="gcAttributeHistory__version">{entry.version}</span>
+                          </div>
+                          {entry.summary ? (
+                            <p className="gcAttributeHistory__summary">{entry.summary}</p>
+                          ) : null}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </section>
+            ))
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {countLabel}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
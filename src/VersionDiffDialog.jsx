@@ -0,0 +1,361 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  applyOverrides,
+  getHiddenResourceTypes,
+} from "../scripts/lib/dependency-tree-overrides.mjs";
+import { buildDepsMaps } from "./dependencyTree.js";
+import {
+  countDependencyTreeDiff,
+  diffClassifications,
+  diffDependencyMaps,
+  filterDependencyTreeDiff,
+} from "./dependencyTreeDiff.js";
+import { toReleaseNotesVersion } from "./releaseNotes.js";
+import { fetchDependencyTree, fetchResourceClassification } from "./versionedData.js";
+
+const versionDataCache = new Map();
+
+function loadVersionData(version) {
+  if (!versionDataCache.has(version)) {
+    const pending = Promise.all([
+      fetchDependencyTree(version),
+      fetchResourceClassification(version),
+    ]).then(([tree, classification]) => ({ tree, classification }));
+    pending.catch(() => versionDataCache.delete(version));
+    versionDataCache.set(version, pending);
+  }
+  return versionDataCache.get(version);
+}
+
+function defaultVersionPair(availableVersions, selectedVersion) {
+  const versions = Array.isArray(availableVersions) ? availableVersions : [];
+  if (!versions.length) return { from: "", to: "" };
+
+  const toIndex = Math.max(0, versions.indexOf(selectedVersion));
+  const to = versions[toIndex];
+  const from = versions[Math.min(toIndex + 1, versions.length - 1)];
+  return { from, to };
+}
+
+function DiffTypeButton({ type, onSelect, disabled = false }) {
+  return (
+    <button
+      type="button"
+      className="gcOrderDialog__typeButton gcMono"
+      onClick={() => onSelect(type)}
+      disabled={disabled}
+    >
+      {type}
+    </button>
+  );
+}
+
+export default function VersionDiffDialog({
+  open,
+  onClose,
+  availableVersions,
+  selectedVersion,
+  overrides,
+  knownTypes,
+  onSelectType,
+}) {
+  const dialogRef = useRef(null);
+  const [fromVersion, setFromVersion] = useState("");
+  const [toVersion, setToVersion] = useState("");
+  const [query, setQuery] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    if (open && !dialog.open) {
+      dialog.showModal();
+      return;
+    }
+
+    if (!open && dialog.open) {
+      dialog.close();
+    }
+  }, [open]);
+
+  const defaultVersions = useMemo(
+    () => defaultVersionPair(availableVersions, selectedVersion),
+    [availableVersions, selectedVersion]
+  );
+  const effectiveFrom = fromVersion || defaultVersions.from;
+  const effectiveTo = toVersion || defaultVersions.to;
+
+  useEffect(() => {
+    if (!open || !effectiveFrom || !effectiveTo || !overrides) return;
+
+    let cancelled = false;
+
+    (async () => {
+      try {
+        setLoading(true);
+        setError("");
+
+        const [fromData, toData] = await Promise.all([
+          loadVersionData(effectiveFrom),
+          loadVersionData(effectiveTo),
+        ]);
+
+        const hiddenTypes = getHiddenResourceTypes(overrides);
+        const { depsMap: fromDeps } = buildDepsMaps(applyOverrides(fromData.tree, overrides));
+        const { depsMap: toDeps } = buildDepsMaps(applyOverrides(toData.tree, overrides));
+
+        if (!cancelled) {
+          setDiff({
+            ...diffDependencyMaps(fromDeps, toDeps, { hiddenTypes }),
+            classificationChanges: diffClassifications(
+              fromData.classification,
+              toData.classification,
+              { overrides, hiddenTypes }
+            ),
+          });
+        }
+      } catch (e) {
+        if (!cancelled) {
+          setDiff(null);
+          setError(String(e));
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, effectiveFrom, effectiveTo, overrides]);
+
+  const visibleDiff = useMemo(() => filterDependencyTreeDiff(diff, query), [diff, query]);
+
+  const handleClose = useCallback(() => {
+    onClose?.();
+  }, [onClose]);
+
+  const handleSelectType = (type) => {
+    onSelectType?.(type);
+    handleClose();
+  };
+
+  const isKnownType = (type) => !knownTypes || knownTypes.has(type);
+
+  const totalCount = countDependencyTreeDiff(diff);
+  const visibleCount = countDependencyTreeDiff(visibleDiff);
+  const countLabel = loading
+    ? "Loading dependency data…"
+    : !diff
+      ? ""
+      : query.trim()
+        ? `${visibleCount} of ${totalCount} change${totalCount === 1 ? "" : "s"}`
+        : `${totalCount} change${totalCount === 1 ? "" : "s"}`;
+
+  const versionSelect = (value, onChange, label) => (
+    <label className="gcVersionDiff__versionSelect">
+      <span className="gcMetaLabel">{label}</span>
+      <select
+        className="gcSelectInput"
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        disabled={!availableVersions.length}
+      >
+        {availableVersions.map((v) => (
+          <option key={v} value={v}>
+            {toReleaseNotesVersion(v)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return createPortal(
+    <dialog
+      ref={dialogRef}
+      className="gcOrderDialog"
+      aria-labelledby="version-diff-title"
+      onCancel={handleClose}
+      onClose={handleClose}
+    >
+      <div className="gcOrderDialog__panel">
+        <div className="gcOrderDialog__chrome">
+          <div className="gcOrderDialog__header">
+            <div className="gcOrderDialog__headerMain">
+              <h2 id="version-diff-title" className="gcOrderDialog__title">
+                Compare versions
+              </h2>
+              <p className="gcOrderDialog__subtitle">
+                Resource types, dependency edges and classification flags that changed between two
+                provider releases. overrides.json is applied to both sides.
+              </p>
+            </div>
+            <button
+              type="button"
+              className="gcOrderDialog__close"
+              aria-label="Close version comparison"
+              onClick={handleClose}
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="gcOrderDialog__toolbar gcOrderDialog__toolbar--versionDiff">
+            <input
+              type="search"
+              className="gcSearchInput gcOrderDialog__search"
+              placeholder="Filter resource types"
+              value={query}
+              onInput={(event) => setQuery(event.target.value)}
+            />
+            <div className="gcOrderDialog__toolbarActions">
+              {versionSelect(effectiveFrom, setFromVersion, "From:")}
+              {versionSelect(effectiveTo, setToVersion, "To:")}
+              <button
+                type="button"
+                className="gcClearButton gcClearButton--toolbarEnd"
+                onClick={() => setQuery("")}
+                disabled={!query}
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div className="gcOrderDialog__body">
+          {error ? (
+            <div className="gcAlert" role="alert">
+              {error}
+            </div>
+          ) : loading || !visibleDiff ? (
+            <div className="gcMuted">Loading dependency data…</div>
+          ) : effectiveFrom === effectiveTo ? (
+            <div className="gcMuted">Pick two different versions to compare.</div>
+          ) : !visibleCount ? (
+            <div className="gcMuted">
+              {totalCount ? "No matching changes." : "No dependency or classification changes."}
+            </div>
+          ) : (
+            <>
+              {visibleDiff.addedTypes.length ? (
+                <section className="gcOrderDialog__tier">
+                  <div className="gcOrderDialog__tierHeader">
+                    <h3 className="gcOrderDialog__tierTitle">Added resource types</h3>
+                    <gux-badge>{visibleDiff.addedTypes.length}</gux-badge>
+                  </div>
+                  <ul className="gcOrderDialog__tierList">
+                    {visibleDiff.addedTypes.map((type) => (
+                      <li key={type} className="gcOrderDialog__tierItem">
+                        <DiffTypeButton
+                          type={type}
+                          onSelect={handleSelectType}
+                          disabled={!isKnownType(type)}
+                        />
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ) : null}
+
+              {visibleDiff.removedTypes.length ? (
+                <section className="gcOrderDialog__tier">
+                  <div className="gcOrderDialog__tierHeader">
+                    <h3 className="gcOrderDialog__tierTitle">Removed resource types</h3>
+                    <gux-badge>{visibleDiff.removedTypes.length}</gux-badge>
+                  </div>
+                  <ul className="gcOrderDialog__tierList">
+                    {visibleDiff.removedTypes.map((type) => (
+                      <li key={type} className="gcOrderDialog__tierItem">
+                        <DiffTypeButton
+                          type={type}
+                          onSelect={handleSelectType}
+                          disabled={!isKnownType(type)}
+                        />
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ) : null}
+
+              {visibleDiff.edgeChanges.length ? (
+                <section className="gcOrderDialog__tier">
+                  <div className="gcOrderDialog__tierHeader">
+                    <h3 className="gcOrderDialog__tierTitle">Dependency changes</h3>
+                    <gux-badge>{visibleDiff.edgeChanges.length}</gux-badge>
+                  </div>
+                  <ul className="gcOrderDialog__tierList">
+                    {visibleDiff.edgeChanges.map(({ type, addedDeps, removedDeps }) => (
+                      <li key={type} className="gcOrderDialog__tierItem gcVersionDiff__item">
+                        <DiffTypeButton
+                          type={type}
+                          onSelect={handleSelectType}
+                          disabled={!isKnownType(type)}
+                        />
+                        <ul className="gcVersionDiff__edges gcMono">
+                          {addedDeps.map((dep) => (
+                            <li key={`+${dep}`} className="gcVersionDiff__edge isAdded">
+                              + {dep}
+                            </li>
+                          ))}
+                          {removedDeps.map((dep) => (
+                            <li key={`-${dep}`} className="gcVersionDiff__edge isRemoved">
+                              − {dep}
+                            </li>
+                          ))}
+                        </ul>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ) : null}
+
+              {visibleDiff.classificationChanges.length ? (
+                <section className="gcOrderDialog__tier">
+                  <div className="gcOrderDialog__tierHeader">
+                    <h3 className="gcOrderDialog__tierTitle">Classification changes</h3>
+                    <gux-badge>{visibleDiff.classificationChanges.length}</gux-badge>
+                  </div>
+                  <ul className="gcOrderDialog__tierList">
+                    {visibleDiff.classificationChanges.map(({ type, added, removed }) => (
+                      <li key={type} className="gcOrderDialog__tierItem gcVersionDiff__item">
+                        <DiffTypeButton
+                          type={type}
+                          onSelect={handleSelectType}
+                          disabled={!isKnownType(type)}
+                        />
+                        <ul className="gcVersionDiff__edges">
+                          {added.map((label) => (
+                            <li key={`+${label}`} className="gcVersionDiff__edge isAdded">
+                              Now {label.toLowerCase()}
+                            </li>
+                          ))}
+                          {removed.map((label) => (
+                            <li key={`-${label}`} className="gcVersionDiff__edge isRemoved">
+                              No longer {label.toLowerCase()}
+                            </li>
+                          ))}
+                        </ul>
+                      </li>
+                    ))}
+                  </ul>
+                </section>
+              ) : null}
+            </>
+          )}
+        </div>
+
+        <div className="gcListFooter">
+          <p className="gcListCount" aria-live="polite">
+            {countLabel}
+          </p>
+        </div>
+      </div>
+    </dialog>,
+    document.body
+  );
+}
@@ -1,4 +1,15 @@
 import { GENERATED_PUBLIC_DATA_DIRS } from "./publicDataPaths.js";
+import { RELEASE_NOTES_SCOPE_EXPORT, RELEASE_NOTES_SCOPE_PROVIDER } from "./releaseNotes.js";
+import {
+  facetFiltersFromSearchParams,
+  facetFiltersToQueryParams,
+  RESOURCE_FACET_QUERY_KEYS,
+} from "./resourceFacets.js";
+import {
+  TF_EXPORT_OPTION_QUERY_KEYS,
+  tfExportOptionsFromSearchParams,
+  tfExportOptionsToQueryParams,
+} from "./tfExportOptions.js";
 
 const BASE = import.meta.env.BASE_URL || "/";
 
@@ -28,6 +39,11 @@ const ROLE_DOWNLOAD_SEGMENTS = new Set([
 
 export const DIALOG_FILTER_QUERY_KEY = "filter";
 export const ATTRIBUTE_INDEX_FILTER_QUERY_KEY = DIALOG_FILTER_QUERY_KEY;
+export const CREATION_ORDER_TYPES_QUERY_KEY = "types";
+/** `?scope=export` opens the Release notes dialog on the export (tf_export) notes. */
+export const RELEASE_NOTES_SCOPE_QUERY_KEY = "scope";
+/** Resource list search, including structured filters (see resourceQuery.js). */
+export const RESOURCE_QUERY_QUERY_KEY = "q";
 
 const LEGACY_DIALOG_QUERY_KEY = "dialog";
 const LEGACY_TYPE_QUERY_KEY = "type";
@@ -111,6 +127,37 @@ function setDialogFilterOnUrl(url, filter = "") {
   }
 }
 
+function setResourceQueryOnUrl(url, query = "") {
+  const trimmed = (query || "").trim();
+  if (trimmed) {
+    url.searchParams.set(RESOURCE_QUERY_QUERY_KEY, trimmed);
+  } else {
+    url.searchParams.delete(RESOURCE_QUERY_QUERY_KEY);
+  }
+}
+
+function normalizeTypeList(types) {
+  const list = Array.isArray(types) ? types : String(types || "").split(",");
+  return [...new Set(list.map((type) => normalizeResourceType(type)).filter(Boolean))];
+}
+
+function setCreationOrderTypesOnUrl(url, types = []) {
+  const normalized = normalizeTypeList(types);
+  if (normalized.length) {
+    url.searchParams.set(CREATION_ORDER_TYPES_QUERY_KEY, normalized.join(","));
+  } else {
+    url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
+  }
+}
+
+function setReleaseNotesScopeOnUrl(url, scope = RELEASE_NOTES_SCOPE_PROVIDER) {
+  if (scope === RELEASE_NOTES_SCOPE_EXPORT) {
+    url.searchParams.set(RELEASE_NOTES_SCOPE_QUERY_KEY, RELEASE_NOTES_SCOPE_EXPORT);
+  } else {
+    url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
+  }
+}
+
 export function appRootPathname() {
   return normalizePathname(new URL(BASE, "http://local").pathname);
 }
@@ -192,9 +239,16 @@ export function attributeIndexLocation(filter = "", version = "latest") {
   return `${url.pathname}${url.search}`;
 }
 
-export function creationOrderLocation(filter = "", version = "latest") {
+export function creationOrderLocation(filter = "", version = "latest", types = []) {
   const url = new URL(dialogPathname(DIALOG_CREATION_ORDER, version), "http://local");
   setDialogFilterOnUrl(url, filter);
+  setCreationOrderTypesOnUrl(url, types);
+  return `${url.pathname}${url.search}`;
+}
+
+export function releaseNotesLocation(version = "latest", scope = RELEASE_NOTES_SCOPE_PROVIDER) {
+  const url = new URL(dialogPathname(DIALOG_RELEASE_NOTES, version), "http://local");
+  setReleaseNotesScopeOnUrl(url, scope);
   return `${url.pathname}${url.search}`;
 }
 
@@ -362,6 +416,19 @@ export function readDialogFilterFromLocation() {
   }
 }
 
+/** Release notes scope from `?scope=`; provider unless the dialog is open on export. */
+export function readReleaseNotesScopeFromLocation() {
+  try {
+    if (readDialogFromLocation() !== DIALOG_RELEASE_NOTES) return RELEASE_NOTES_SCOPE_PROVIDER;
+    const url = new URL(window.location.href);
+    return url.searchParams.get(RELEASE_NOTES_SCOPE_QUERY_KEY) === RELEASE_NOTES_SCOPE_EXPORT
+      ? RELEASE_NOTES_SCOPE_EXPORT
+      : RELEASE_NOTES_SCOPE_PROVIDER;
+  } catch {
+    return RELEASE_NOTES_SCOPE_PROVIDER;
+  }
+}
+
 function readSiteUpdatesEntryFromPath(pathname) {
   const segments = pathSegments(pathname);
   if (segments[0] !== DIALOG_PATH_SEGMENT[DIALOG_SITE_UPDATES]) return "";
@@ -402,6 +469,43 @@ export function readCreationOrderFilterFromLocation() {
   return readDialogFilterFromLocation();
 }
 
+/** Subset of resource types for the creation order (`?types=a,b`). */
+export function readCreationOrderTypesFromLocation() {
+  try {
+    const url = new URL(window.location.href);
+    return normalizeTypeList(url.searchParams.get(CREATION_ORDER_TYPES_QUERY_KEY) || "");
+  } catch {
+    return [];
+  }
+}
+
+export function readResourceQueryFromLocation() {
+  try {
+    const url = new URL(window.location.href);
+    return (url.searchParams.get(RESOURCE_QUERY_QUERY_KEY) || "").trim();
+  } catch {
+    return "";
+  }
+}
+
+/** Classification facet filters for the resource list (see resourceFacets.js). */
+export function readResourceFacetFiltersFromLocation() {
+  try {
+    return facetFiltersFromSearchParams(new URL(window.location.href).searchParams);
+  } catch {
+    return facetFiltersFromSearchParams(null);
+  }
+}
+
+/** Export template form edits (see tfExportOptions.js). */
+export function readTfExportOptionsFromLocation() {
+  try {
+    return tfExportOptionsFromSearchParams(new URL(window.location.href).searchParams);
+  } catch {
+    return tfExportOptionsFromSearchParams(null);
+  }
+}
+
 export function readAttributeIndexFilterFromLocation() {
   try {
     const fromQuery = readDialogFilterFromLocation();
@@ -460,7 +564,11 @@ export function replaceDialogInUrl(dialogId, resourceType = "", version = "lates
     const url = new URL(window.location.href);
     stripLegacyQueryParams(url);
     url.searchParams.delete(DIALOG_FILTER_QUERY_KEY);
+    url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
     url.searchParams.delete(SITE_UPDATES_ENTRY_QUERY_KEY);
+    if (dialogId !== DIALOG_RELEASE_NOTES) {
+      url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
+    }
 
     if (dialogId && VALID_DIALOGS.has(dialogId)) {
       url.pathname =
@@ -483,6 +591,8 @@ export function replaceSiteUpdatesInUrl(entry = "latest") {
     const url = new URL(window.location.href);
     stripLegacyQueryParams(url);
     url.searchParams.delete(DIALOG_FILTER_QUERY_KEY);
+    url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
+    url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
     setSiteUpdatesEntryOnUrl(url, entry);
     replaceIfChanged(url);
   } catch {
@@ -496,18 +606,26 @@ export function replaceAttributeIndexInUrl(filter = "", version = "latest") {
     stripLegacyQueryParams(url);
     url.pathname = dialogPathname(DIALOG_ATTRIBUTE_INDEX, version);
     setDialogFilterOnUrl(url, filter);
+    url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
+    url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
     replaceIfChanged(url);
   } catch {
     /* ignore invalid URLs */
   }
 }
 
-export function replaceCreationOrderInUrl(filter = "", version = "latest") {
+export function replaceCreationOrderInUrl(
+  filter = "",
+  version = "latest",
+  types = readCreationOrderTypesFromLocation()
+) {
   try {
     const url = new URL(window.location.href);
     stripLegacyQueryParams(url);
     url.pathname = dialogPathname(DIALOG_CREATION_ORDER, version);
     setDialogFilterOnUrl(url, filter);
+    setCreationOrderTypesOnUrl(url, types);
+    url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
     replaceIfChanged(url);
   } catch {
     /* ignore invalid URLs */
@@ -521,6 +639,8 @@ export function replaceResourceInUrl(resourceType, version = "latest") {
     const url = new URL(window.location.href);
     stripLegacyQueryParams(url);
     url.searchParams.delete(DIALOG_FILTER_QUERY_KEY);
+    url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
+    url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
 
     const typed = normalizeResourceType(resourceType);
     url.pathname = typed ? resourcePathname(typed, version) : appRootPathname();
@@ -531,6 +651,62 @@ export function replaceResourceInUrl(resourceType, version = "latest") {
   }
 }
 
+/** Keep `?scope=` in step with the Release notes dialog's Provider / Export toggle. */
+export function replaceReleaseNotesScopeInUrl(scope) {
+  if (readDialogFromLocation() !== DIALOG_RELEASE_NOTES) return;
+
+  try {
+    const url = new URL(window.location.href);
+    setReleaseNotesScopeOnUrl(url, scope);
+    replaceIfChanged(url);
+  } catch {
+    /* ignore invalid URLs */
+  }
+}
+
+/** Keep `?q=` in step with the resource list search; the rest of the URL is untouched. */
+export function replaceResourceQueryInUrl(query = "") {
+  try {
+    const url = new URL(window.location.href);
+    setResourceQueryOnUrl(url, query);
+    replaceIfChanged(url);
+  } catch {
+    /* ignore invalid URLs */
+  }
+}
+
+export function replaceResourceFacetFiltersInUrl(facetFilters) {
+  try {
+    const url = new URL(window.location.href);
+    for (const [key, value] of Object.entries(facetFiltersToQueryParams(facetFilters))) {
+      if (value) {
+        url.searchParams.set(key, value);
+      } else {
+        url.searchParams.delete(key);
+      }
+    }
+    replaceIfChanged(url);
+  } catch {
+    /* ignore invalid URLs */
+  }
+}
+
+export function replaceTfExportOptionsInUrl(options) {
+  try {
+    const url = new URL(window.location.href);
+    for (const [key, value] of Object.entries(tfExportOptionsToQueryParams(options))) {
+      url.searchParams.delete(key);
+      if (value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        url.searchParams.append(key, item);
+      }
+    }
+    replaceIfChanged(url);
+  } catch {
+    /* ignore invalid URLs */
+  }
+}
+
 function replaceIfChanged(url) {
   const next = `${url.pathname}${url.search}${url.hash}`;
   const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
@@ -552,7 +728,16 @@ export function buildDialogPermalink(dialogId, version = "latest") {
     if (dialogId !== DIALOG_ATTRIBUTE_INDEX && dialogId !== DIALOG_CREATION_ORDER) {
       url.searchParams.delete(DIALOG_FILTER_QUERY_KEY);
     }
+    if (dialogId !== DIALOG_CREATION_ORDER) {
+      url.searchParams.delete(CREATION_ORDER_TYPES_QUERY_KEY);
+    }
+    if (dialogId !== DIALOG_RELEASE_NOTES) {
+      url.searchParams.delete(RELEASE_NOTES_SCOPE_QUERY_KEY);
+    }
     url.searchParams.delete(SITE_UPDATES_ENTRY_QUERY_KEY);
+    url.searchParams.delete(RESOURCE_QUERY_QUERY_KEY);
+    for (const key of RESOURCE_FACET_QUERY_KEYS) url.searchParams.delete(key);
+    for (const key of TF_EXPORT_OPTION_QUERY_KEYS) url.searchParams.delete(key);
     return url.toString();
   } catch {
     return "";
@@ -567,20 +752,25 @@ export function buildAttributeIndexPermalink(filter = "", version = "latest") {
   }
 }
 
-export function buildCreationOrderPermalink(filter = "", version = "latest") {
+export function buildCreationOrderPermalink(filter = "", version = "latest", types = []) {
   try {
-    return new URL(creationOrderLocation(filter, version), window.location.origin).toString();
+    return new URL(
+      creationOrderLocation(filter, version, types),
+      window.location.origin
+    ).toString();
   } catch {
     return "";
   }
 }
 
-export function buildResourceTypePermalink(resourceType, version = "latest") {
+export function buildResourceTypePermalink(resourceType, version = "latest", query = "") {
   const typed = normalizeResourceType(resourceType);
   if (!typed) return "";
 
   try {
-    return new URL(resourcePathname(typed, version), window.location.origin).toString();
+    const url = new URL(resourcePathname(typed, version), window.location.origin);
+    setResourceQueryOnUrl(url, query);
+    return url.toString();
   } catch {
     return "";
   }
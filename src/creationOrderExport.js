@@ -0,0 +1,194 @@
+import labProvidersTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/import/providers.tf?raw";
+import labTerraformTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/import/terraform.tf?raw";
+import labTerraformTfvars from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/import/terraform.tfvars?raw";
+import labVariablesTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/import/variables.tf?raw";
+import { patchProviderVersionPins } from "../scripts/lib/lab-package-version.mjs";
+import { createZipArchive } from "./zipArchive.js";
+
+/**
+ * Export formats for the creation order dialog: a machine-readable stage list
+ * (JSON/YAML) for pipelines that apply stacks tier by tier, a Markdown runbook,
+ * and a zip with one Terraform root per tier.
+ */
+
+export const CREATION_ORDER_EXPORT_JSON = "json";
+export const CREATION_ORDER_EXPORT_YAML = "yaml";
+export const CREATION_ORDER_EXPORT_RUNBOOK = "runbook";
+export const CREATION_ORDER_EXPORT_SCAFFOLD = "scaffold";
+
+export function creationOrderStageName(tierIndex) {
+  return `tier-${String(tierIndex + 1).padStart(2, "0")}`;
+}
+
+/**
+ * @param {{ tiers: string[][], cyclicTypes: Set<string>, impliedTypes?: Set<string> }} order
+ *   result of computeCreationOrder / computeSubsetCreationOrder
+ * @param {{ version?: string }} [options] provider version label (e.g. "v1.85.0")
+ */
+export function buildCreationOrderStages(order, { version = "" } = {}) {
+  const impliedTypes = order?.impliedTypes || new Set();
+  const cyclicTypes = order?.cyclicTypes || new Set();
+  const tiers = Array.isArray(order?.tiers) ? order.tiers : [];
+
+  const stages = tiers.map((types, tierIndex) => ({
+    stage: tierIndex + 1,
+    name: creationOrderStageName(tierIndex),
+    depends_on: tierIndex > 0 ? [creationOrderStageName(tierIndex - 1)] : [],
+    resource_types: [...types],
+    implied_types: types.filter((type) => impliedTypes.has(type)),
+    mutual_dependency_types: types.filter((type) => cyclicTypes.has(type)),
+  }));
+
+  return {
+    provider_version: version || "unknown",
+    subset: impliedTypes.size > 0 || Boolean(order?.selectedTypes?.size),
+    stage_count: stages.length,
+    resource_type_count: stages.reduce((sum, stage) => sum + stage.resource_types.length, 0),
+    stages,
+  };
+}
+
+export function formatCreationOrderJson(stageList) {
+  return `${JSON.stringify(stageList, null, 2)}\n`;
+}
+
+function yamlList(values, indent) {
+  if (!values.length) return " []";
+  return values.map((value) => `\n${indent}- ${value}`).join("");
+}
+
+/** Stage list as YAML; values are plain identifiers so no quoting is needed. */
+export function formatCreationOrderYaml(stageList) {
+  const lines = [
+    `provider_version: "${stageList.provider_version}"`,
+    `subset: ${stageList.subset}`,
+    `stage_count: ${stageList.stage_count}`,
+    `resource_type_count: ${stageList.resource_type_count}`,
+    stageList.stages.length ? "stages:" : "stages: []",
+  ];
+
+  for (const stage of stageList.stages) {
+    lines.push(
+      `  - stage: ${stage.stage}`,
+      `    name: ${stage.name}`,
+      `    depends_on:${yamlList(stage.depends_on, "      ")}`,
+      `    resource_types:${yamlList(stage.resource_types, "      ")}`,
+      `    implied_types:${yamlList(stage.implied_types, "      ")}`,
+      `    mutual_dependency_types:${yamlList(stage.mutual_dependency_types, "      ")}`
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export function formatCreationOrderRunbook(stageList) {
+  const lines = [
+    `# CX as Code creation order (${stageList.provider_version})`,
+    "",
+    `${stageList.resource_type_count} resource types in ${stageList.stage_count} stage${stageList.stage_count === 1 ? "" : "s"}. ` +
+      "Apply each stage only after the previous one has applied cleanly; types within a stage have no ordering between them.",
+  ];
+
+  if (stageList.subset) {
+    lines.push(
+      "",
+      "This order is limited to a chosen set of types plus their dependencies. Types marked _implied_ were not picked but are required by a picked type."
+    );
+  }
+
+  for (const stage of stageList.stages) {
+    lines.push("", `## Stage ${stage.stage} — \`${stage.name}\``, "");
+    for (const type of stage.resource_types) {
+      const tags = [
+        stage.implied_types.includes(type) ? "_implied_" : "",
+        stage.mutual_dependency_types.includes(type) ? "_mutual dependency_" : "",
+      ].filter(Boolean);
+      lines.push(`- [ ] \`${type}\`${tags.length ? ` (${tags.join(", ")})` : ""}`);
+    }
+    lines.push(
+      "",
+      "```sh",
+      `terraform -chdir=${stage.name} init`,
+      `terraform -chdir=${stage.name} apply`,
+      "```"
+    );
+    if (stage.mutual_dependency_types.length) {
+      lines.push(
+        "",
+        "> Some types in this stage depend on each other. Terraform resolves references between them within a single apply; if it cannot, apply this stage twice."
+      );
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+function renderTierMainTf(stage) {
+  const lines = [
+    `# ${stage.name}: stage ${stage.stage} of the creation order.`,
+    stage.depends_on.length
+      ? `# Apply after ${stage.depends_on.join(", ")} has applied cleanly.`
+      : "# Apply this stage first.",
+    "#",
+    "# Resource types in this stage:",
+    ...stage.resource_types.map((type) => `#   - ${type}`),
+    "",
+  ];
+  return lines.join("\n");
+}
+
+function renderScaffoldReadme(stageList) {
+  const lines = [
+    `# CX as Code staged roots (${stageList.provider_version})`,
+    "",
+    "One Terraform root module per creation-order stage. Each directory carries its own",
+    "terraform.tf, providers.tf, variables.tf and terraform.tfvars so it can be planned and",
+    "applied independently; add resources for the listed types to main.tf.",
+    "",
+    "Fill in terraform.tfvars (or export the variables) for the destination org, then apply",
+    "the stages in order:",
+    "",
+    "```sh",
+    ...stageList.stages.flatMap((stage) => [
+      `terraform -chdir=${stage.name} init`,
+      `terraform -chdir=${stage.name} apply`,
+    ]),
+    "```",
+    "",
+    "stages.json lists the same stages for CI pipelines.",
+    "",
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Zip with one Terraform root per stage, modeled on the CX as Code lab import
+ * folder. `providerVersion` is a bare version for the required_providers pin;
+ * when empty, the lab template's pin is kept.
+ *
+ * @returns {Uint8Array}
+ */
+export function buildCreationOrderScaffoldZip(stageList, { providerVersion = "" } = {}) {
+  const pin = (content) =>
+    providerVersion ? patchProviderVersionPins(content, providerVersion) : content;
+  const root = "cx-as-code-creation-order";
+
+  const files = [
+    { path: `${root}/README.md`, content: renderScaffoldReadme(stageList) },
+    { path: `${root}/stages.json`, content: formatCreationOrderJson(stageList) },
+    { path: `${root}/RUNBOOK.md`, content: formatCreationOrderRunbook(stageList) },
+  ];
+
+  for (const stage of stageList.stages) {
+    const dir = `${root}/${stage.name}`;
+    files.push(
+      { path: `${dir}/terraform.tf`, content: pin(labTerraformTf) },
+      { path: `${dir}/providers.tf`, content: labProvidersTf },
+      { path: `${dir}/variables.tf`, content: labVariablesTf },
+      { path: `${dir}/terraform.tfvars`, content: labTerraformTfvars },
+      { path: `${dir}/main.tf`, content: renderTierMainTf(stage) }
+    );
+  }
+
+  return createZipArchive(files);
+}
@@ -0,0 +1,117 @@
+import { computeCreationOrder } from "./dependencyOrder.js";
+
+export const EDGE_SOURCE_UPSTREAM = "upstream";
+export const EDGE_SOURCE_ADDED = "addDependencies";
+export const EDGE_SOURCE_REPLACED = "replaceDependencies";
+
+function sortAlpha(values) {
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Where the edge `type -> dependency` comes from, given the dependency map
+ * before overrides.json was applied.
+ *
+ * An addDependencies entry that upstream already declares counts as upstream:
+ * removing the override would not remove the edge.
+ *
+ * @returns {{ source: string, replacedFrom?: string }}
+ */
+export function resolveDependencyEdgeSource(type, dependency, upstreamDepsMap, overrides) {
+  const upstreamDeps = upstreamDepsMap?.get(type) || new Set();
+  if (upstreamDeps.has(dependency)) return { source: EDGE_SOURCE_UPSTREAM };
+
+  const mapping = overrides?.replaceDependencies?.[type];
+  if (mapping && typeof mapping === "object") {
+    const replacedFrom = Object.keys(mapping).find(
+      (from) => mapping[from] === dependency && upstreamDeps.has(from)
+    );
+    if (replacedFrom) return { source: EDGE_SOURCE_REPLACED, replacedFrom };
+  }
+
+  const additions = overrides?.addDependencies?.[type];
+  if (Array.isArray(additions) && additions.some((d) => String(d).trim() === dependency)) {
+    return { source: EDGE_SOURCE_ADDED };
+  }
+
+  return { source: EDGE_SOURCE_UPSTREAM };
+}
+
+function remainingCyclicCount(members, edges, skipped) {
+  const subset = new Map(members.map((type) => [type, new Set()]));
+  for (const edge of edges) {
+    if (edge !== skipped) subset.get(edge.type).add(edge.dependency);
+  }
+  return computeCreationOrder(subset).cyclicTypes.size;
+}
+
+function suggestionRank(edge) {
+  if (edge.source === EDGE_SOURCE_ADDED) return 0;
+  if (edge.source === EDGE_SOURCE_REPLACED) return 1;
+  if (edge.hasDataSource) return 2;
+  return 3;
+}
+
+/**
+ * Describe each mutual-dependency group from computeCreationOrder: the edges
+ * between its members (every such edge lies on a cycle), where each edge came
+ * from, and one edge that is cheapest to break.
+ *
+ * addDependencies edges are preferred, then replaceDependencies targets (both
+ * are fixed in overrides.json), then edges whose dependency has a data source
+ * in `dataSourceTypes` (export it via replace_with_datasource), then any
+ * upstream edge. Within a rank, the edge that leaves the fewest types still
+ * cyclic wins.
+ *
+ * @param {string[][]} cyclicComponents
+ * @param {Map<string, Set<string>>} depsMap dependencies after overrides
+ * @param {{
+ *   upstreamDepsMap?: Map<string, Set<string>> | null,
+ *   overrides?: object | null,
+ *   dataSourceTypes?: Set<string>,
+ * }} [options]
+ */
+export function explainCyclicComponents(
+  cyclicComponents,
+  depsMap,
+  { upstreamDepsMap = null, overrides = null, dataSourceTypes = new Set() } = {}
+) {
+  return (Array.isArray(cyclicComponents) ? cyclicComponents : []).map((members) => {
+    const memberSet = new Set(members);
+    const edges = [];
+
+    for (const type of members) {
+      for (const dependency of sortAlpha(depsMap.get(type) || [])) {
+        if (dependency === type || !memberSet.has(dependency)) continue;
+        const { source, replacedFrom } = upstreamDepsMap
+          ? resolveDependencyEdgeSource(type, dependency, upstreamDepsMap, overrides)
+          : { source: "" };
+        edges.push({
+          type,
+          dependency,
+          source,
+          replacedFrom: replacedFrom || "",
+          hasDataSource: dataSourceTypes.has(dependency),
+        });
+      }
+    }
+
+    let suggestion = null;
+    let best = null;
+    for (const edge of edges) {
+      const score = [suggestionRank(edge), remainingCyclicCount(members, edges, edge)];
+      if (!best || score[0] < best[0] || (score[0] === best[0] && score[1] < best[1])) {
+        best = score;
+        suggestion = { edge, remainingCyclicTypes: score[1] };
+      }
+    }
+
+    return {
+      members,
+      edges,
+      overrideEdgeCount: edges.filter((e) => e.source && e.source !== EDGE_SOURCE_UPSTREAM)
+        .length,
+      suggestion,
+    };
+  });
+}
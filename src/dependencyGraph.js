@@ -0,0 +1,137 @@
+import { computeCreationOrder } from "./dependencyOrder.js";
+
+export const GRAPH_DIRECTION_BOTH = "both";
+export const GRAPH_DIRECTION_UPSTREAM = "upstream";
+export const GRAPH_DIRECTION_DOWNSTREAM = "downstream";
+
+/**
+ * Breadth-first walk from `rootType` along `adjacency`, recording the shortest
+ * hop count to every reachable type. The root itself is not included.
+ *
+ * @param {string} rootType
+ * @param {Map<string, Set<string>>} adjacency
+ * @param {{ maxDepth?: number, hiddenTypes?: Set<string> }} [options]
+ * @returns {Map<string, number>} type -> depth (1 = direct neighbour)
+ */
+export function collectDependencyClosure(
+  rootType,
+  adjacency,
+  { maxDepth = Infinity, hiddenTypes = new Set() } = {}
+) {
+  const depthByType = new Map();
+  const root = (rootType || "").trim();
+  if (!root || !(adjacency instanceof Map)) return depthByType;
+
+  let frontier = [root];
+  let depth = 0;
+
+  while (frontier.length && depth < maxDepth) {
+    depth += 1;
+    const next = [];
+    for (const type of frontier) {
+      for (const neighbour of adjacency.get(type) || []) {
+        if (neighbour === root || hiddenTypes.has(neighbour)) continue;
+        if (depthByType.has(neighbour)) continue;
+        depthByType.set(neighbour, depth);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  return depthByType;
+}
+
+function maxDepthOf(depthByType) {
+  let max = 0;
+  for (const depth of depthByType.values()) max = Math.max(max, depth);
+  return max;
+}
+
+/**
+ * Build the node/edge model for the dependency graph of one resource type.
+ *
+ * Nodes carry a signed `level`: negative for types the root depends on
+ * (upstream), positive for types that depend on the root (downstream), 0 for
+ * the root. A type reachable in both directions can only happen inside a
+ * cycle; it is placed on the upstream side. Edges are every depsMap entry
+ * between two visible nodes, oriented `from` dependency `to` dependent, so the
+ * graph reads left to right in creation order.
+ *
+ * `cyclicComponents` comes from computeCreationOrder over the full map and is
+ * narrowed to the members that are visible in this graph.
+ *
+ * @param {string} rootType
+ * @param {Map<string, Set<string>>} depsMap
+ * @param {Map<string, Set<string>>} reverseMap
+ * @param {{ depth?: number, direction?: string, hiddenTypes?: Set<string> }} [options]
+ */
+export function buildDependencyGraph(
+  rootType,
+  depsMap,
+  reverseMap,
+  { depth = Infinity, direction = GRAPH_DIRECTION_BOTH, hiddenTypes = new Set() } = {}
+) {
+  const root = (rootType || "").trim();
+  const empty = {
+    nodes: [],
+    edges: [],
+    cyclicComponents: [],
+    cyclicTypes: new Set(),
+    upstreamCount: 0,
+    downstreamCount: 0,
+    maxUpstreamDepth: 0,
+    maxDownstreamDepth: 0,
+  };
+  if (!root || !(depsMap instanceof Map) || !depsMap.has(root)) return empty;
+
+  const fullUpstream = collectDependencyClosure(root, depsMap, { hiddenTypes });
+  const fullDownstream = collectDependencyClosure(root, reverseMap, { hiddenTypes });
+
+  const showUpstream = direction !== GRAPH_DIRECTION_DOWNSTREAM;
+  const showDownstream = direction !== GRAPH_DIRECTION_UPSTREAM;
+
+  const levelByType = new Map([[root, 0]]);
+  if (showUpstream) {
+    for (const [type, d] of fullUpstream) {
+      if (d <= depth) levelByType.set(type, -d);
+    }
+  }
+  if (showDownstream) {
+    for (const [type, d] of fullDownstream) {
+      if (d <= depth && !levelByType.has(type)) levelByType.set(type, d);
+    }
+  }
+
+  const nodes = [...levelByType.entries()]
+    .map(([type, level]) => ({ type, level }))
+    .sort((a, b) => a.level - b.level || a.type.localeCompare(b.type));
+
+  const edges = [];
+  for (const type of levelByType.keys()) {
+    for (const dep of depsMap.get(type) || []) {
+      if (dep === type || !levelByType.has(dep)) continue;
+      edges.push({ from: dep, to: type });
+    }
+  }
+  edges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+  const { cyclicComponents: allCyclicComponents } = computeCreationOrder(depsMap, {
+    hiddenTypes,
+  });
+  const cyclicComponents = allCyclicComponents
+    .map((members) => members.filter((type) => levelByType.has(type)))
+    .filter((members) => members.length > 1);
+  const cyclicTypes = new Set(cyclicComponents.flat());
+
+  return {
+    nodes,
+    edges,
+    cyclicComponents,
+    cyclicTypes,
+    upstreamCount: nodes.filter((node) => node.level < 0).length,
+    downstreamCount: nodes.filter((node) => node.level > 0).length,
+    maxUpstreamDepth: maxDepthOf(fullUpstream),
+    maxDownstreamDepth: maxDepthOf(fullDownstream),
+  };
+}
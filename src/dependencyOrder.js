@@ -15,6 +15,7 @@ function sortAlpha(types) {
  *   tiers: string[][],
  *   flatOrder: string[],
  *   cyclicTypes: Set<string>,
+ *   cyclicComponents: string[][],
  *   tierCount: number,
  *   resourceCount: number,
  * }}
@@ -94,11 +95,14 @@ export function computeCreationOrder(depsMap, { hiddenTypes = new Set() } = {})
     .map((level) => sortAlpha(tiersByLevel.get(level)));
 
   const cyclicTypes = new Set();
+  const cyclicComponents = [];
   for (const component of components) {
     if (component.isCyclic) {
       for (const member of component.members) cyclicTypes.add(member);
+      cyclicComponents.push(component.members);
     }
   }
+  cyclicComponents.sort((a, b) => a[0].localeCompare(b[0]));
 
   const flatOrder = tiers.flat();
 
@@ -106,11 +110,58 @@ export function computeCreationOrder(depsMap, { hiddenTypes = new Set() } = {})
     tiers,
     flatOrder,
     cyclicTypes,
+    cyclicComponents,
     tierCount: tiers.length,
     resourceCount: flatOrder.length,
   };
 }
 
+/**
+ * Creation order limited to `selectedTypes` and everything they transitively
+ * depend on. Types pulled in only through that closure are returned in
+ * `impliedTypes` so the UI can tell them apart from the chosen set.
+ *
+ * Selected types that are hidden or missing from depsMap are ignored.
+ *
+ * @param {Map<string, Set<string>>} depsMap
+ * @param {Iterable<string>} selectedTypes
+ * @param {{ hiddenTypes?: Set<string> }} [options]
+ * @returns {ReturnType<typeof computeCreationOrder> & {
+ *   selectedTypes: Set<string>,
+ *   impliedTypes: Set<string>,
+ * }}
+ */
+export function computeSubsetCreationOrder(
+  depsMap,
+  selectedTypes,
+  { hiddenTypes = new Set() } = {}
+) {
+  const selected = new Set(
+    [...(selectedTypes || [])]
+      .filter((type) => typeof type === "string")
+      .map((type) => type.trim())
+      .filter((type) => type && depsMap.has(type) && !hiddenTypes.has(type))
+  );
+
+  const closure = new Set(selected);
+  const pending = [...selected];
+  while (pending.length) {
+    const type = pending.pop();
+    for (const dep of depsMap.get(type) || []) {
+      if (typeof dep !== "string" || closure.has(dep) || hiddenTypes.has(dep)) continue;
+      if (!depsMap.has(dep)) continue;
+      closure.add(dep);
+      pending.push(dep);
+    }
+  }
+
+  const subsetMap = new Map([...closure].map((type) => [type, depsMap.get(type)]));
+  const order = computeCreationOrder(subsetMap, { hiddenTypes });
+  const impliedTypes = new Set([...closure].filter((type) => !selected.has(type)));
+
+  return { ...order, selectedTypes: selected, impliedTypes };
+}
+
 function findStronglyConnectedComponents(types, adj) {
   let index = 0;
   const stack = [];
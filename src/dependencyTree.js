@@ -0,0 +1,35 @@
+/**
+ * Index a (patched) dependency tree document by resource type.
+ *
+ * @param {{ resources?: { type: string, dependencies?: string[] }[] } | null} raw
+ * @returns {{ depsMap: Map<string, Set<string>>, reverseMap: Map<string, Set<string>> }}
+ *   depsMap: type -> types it depends on; reverseMap: type -> types that depend on it
+ */
+export function buildDepsMaps(raw) {
+  const depsMap = new Map();
+  const reverseMap = new Map();
+
+  if (!raw || !Array.isArray(raw.resources)) {
+    return { depsMap, reverseMap };
+  }
+
+  for (const r of raw.resources) {
+    if (!r || typeof r.type !== "string") continue;
+
+    const from = r.type;
+    const deps = Array.isArray(r.dependencies) ? r.dependencies : [];
+
+    if (!depsMap.has(from)) depsMap.set(from, new Set());
+
+    for (const d of deps) {
+      if (typeof d !== "string") continue;
+      depsMap.get(from).add(d);
+      if (!reverseMap.has(d)) reverseMap.set(d, new Set());
+      reverseMap.get(d).add(from);
+    }
+
+    if (!reverseMap.has(from)) reverseMap.set(from, new Set());
+  }
+
+  return { depsMap, reverseMap };
+}
@@ -0,0 +1,109 @@
+import { resolveClassificationTypeSets } from "./resourceClassification.js";
+
+export const CLASSIFICATION_DIFF_KEYS = [
+  { key: "deprecatedTypes", label: "Deprecated" },
+  { key: "nonExportableTypes", label: "Non-exportable" },
+  { key: "cannotBeDestroyedTypes", label: "Cannot be destroyed" },
+];
+
+function sortAlpha(values) {
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+function visibleTypes(depsMap, hiddenTypes) {
+  return new Set([...depsMap.keys()].filter((type) => !hiddenTypes.has(type)));
+}
+
+/**
+ * Compare two dependency maps (type -> Set of dependency types).
+ *
+ * Types present on only one side are reported as added/removed and their edges
+ * are not repeated under `edgeChanges`; edge changes cover types present in both.
+ *
+ * @param {Map<string, Set<string>>} fromDeps
+ * @param {Map<string, Set<string>>} toDeps
+ * @param {{ hiddenTypes?: Set<string> }} [options]
+ */
+export function diffDependencyMaps(fromDeps, toDeps, { hiddenTypes = new Set() } = {}) {
+  const fromTypes = visibleTypes(fromDeps, hiddenTypes);
+  const toTypes = visibleTypes(toDeps, hiddenTypes);
+
+  const addedTypes = sortAlpha([...toTypes].filter((type) => !fromTypes.has(type)));
+  const removedTypes = sortAlpha([...fromTypes].filter((type) => !toTypes.has(type)));
+
+  const edgeChanges = [];
+  for (const type of sortAlpha([...toTypes].filter((t) => fromTypes.has(t)))) {
+    const before = fromDeps.get(type) || new Set();
+    const after = toDeps.get(type) || new Set();
+    const addedDeps = sortAlpha([...after].filter((dep) => !before.has(dep)));
+    const removedDeps = sortAlpha([...before].filter((dep) => !after.has(dep)));
+    if (addedDeps.length || removedDeps.length) {
+      edgeChanges.push({ type, addedDeps, removedDeps });
+    }
+  }
+
+  return { addedTypes, removedTypes, edgeChanges };
+}
+
+/**
+ * Per-type classification flags gained or lost between two classification
+ * documents. overrides.json classificationExtras apply to both sides, so
+ * manual additions do not show up as changes.
+ *
+ * @returns {{ type: string, added: string[], removed: string[] }[]} labels from CLASSIFICATION_DIFF_KEYS
+ */
+export function diffClassifications(
+  fromClassification,
+  toClassification,
+  { overrides = null, hiddenTypes = new Set() } = {}
+) {
+  const fromSets = resolveClassificationTypeSets(fromClassification, overrides);
+  const toSets = resolveClassificationTypeSets(toClassification, overrides);
+  const byType = new Map();
+
+  const entryFor = (type) => {
+    if (!byType.has(type)) byType.set(type, { type, added: [], removed: [] });
+    return byType.get(type);
+  };
+
+  for (const { key, label } of CLASSIFICATION_DIFF_KEYS) {
+    for (const type of toSets[key]) {
+      if (!fromSets[key].has(type) && !hiddenTypes.has(type)) entryFor(type).added.push(label);
+    }
+    for (const type of fromSets[key]) {
+      if (!toSets[key].has(type) && !hiddenTypes.has(type)) entryFor(type).removed.push(label);
+    }
+  }
+
+  return [...byType.values()].sort((a, b) => a.type.localeCompare(b.type));
+}
+
+/**
+ * Keep only diff rows whose type (or changed dependency) contains `query`.
+ */
+export function filterDependencyTreeDiff(diff, query) {
+  const q = (query || "").trim().toLowerCase();
+  if (!q || !diff) return diff;
+
+  const matches = (type) => type.toLowerCase().includes(q);
+
+  return {
+    addedTypes: diff.addedTypes.filter(matches),
+    removedTypes: diff.removedTypes.filter(matches),
+    edgeChanges: diff.edgeChanges.filter(
+      ({ type, addedDeps, removedDeps }) =>
+        matches(type) || addedDeps.some(matches) || removedDeps.some(matches)
+    ),
+    classificationChanges: diff.classificationChanges.filter(({ type }) => matches(type)),
+  };
+}
+
+export function countDependencyTreeDiff(diff) {
+  if (!diff) return 0;
+  return (
+    diff.addedTypes.length +
+    diff.removedTypes.length +
+    diff.edgeChanges.length +
+    diff.classificationChanges.length
+  );
+}
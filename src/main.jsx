@@ -2,6 +2,7 @@ import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
 import "./App.css";
+import { registerOfflineServiceWorker } from "./offlineData.js";
 
 import { registerSparkComponents } from "genesys-spark";
 
@@ -14,6 +15,8 @@ async function bootstrap() {
       <App />
     </React.StrictMode>
   );
+
+  registerOfflineServiceWorker();
 }
 
 bootstrap();
\ No newline at end of file
@@ -0,0 +1,122 @@
+import {
+  OFFLINE_PINNED_CACHE,
+  OFFLINE_SERVICE_WORKER,
+  offlineVersionDataFiles,
+  offlineVersionFromDataPath,
+} from "../scripts/lib/offline-data-paths.mjs";
+import { publicDataUrl } from "./publicDataPaths.js";
+
+/**
+ * Page side of offline mode. public/sw.js precaches the app shell and the
+ * latest data set and serves cached files when the site is unreachable; this
+ * module registers it and stores whole provider versions the user pins.
+ */
+
+const BASE = import.meta.env.BASE_URL;
+
+export const OFFLINE_SERVICE_WORKER_URL = `${BASE}${OFFLINE_SERVICE_WORKER}`;
+
+export function isOfflineModeSupported() {
+  return (
+    typeof navigator !== "undefined" &&
+    "serviceWorker" in navigator &&
+    typeof caches !== "undefined"
+  );
+}
+
+/** The dev server serves unbundled modules, so the worker only runs in builds. */
+export function isOfflineModeEnabled() {
+  return import.meta.env.PROD && isOfflineModeSupported();
+}
+
+export async function registerOfflineServiceWorker() {
+  if (!isOfflineModeEnabled()) return null;
+
+  try {
+    return await navigator.serviceWorker.register(OFFLINE_SERVICE_WORKER_URL, { scope: BASE });
+  } catch {
+    // Private windows and locked-down browsers refuse registration; the app works online.
+    return null;
+  }
+}
+
+function offlineVersionUrls(version) {
+  return offlineVersionDataFiles(version).map((file) => publicDataUrl("", file));
+}
+
+/** Provider versions stored with pinOfflineVersion, as bare semver strings. */
+export async function listPinnedOfflineVersions() {
+  if (!isOfflineModeSupported()) return [];
+
+  const cache = await caches.open(OFFLINE_PINNED_CACHE);
+  const requests = await cache.keys();
+  const versions = new Set(
+    requests.map((request) => offlineVersionFromDataPath(new URL(request.url).pathname))
+  );
+  versions.delete("");
+  return [...versions];
+}
+
+/**
+ * Download every per-version file for `version` into the pinned cache. Files a
+ * release never had (404) are skipped; the dependency tree itself is required.
+ * Any other failure removes what was stored, so a version is never half pinned.
+ *
+ * @returns {Promise<{ stored: number, skipped: number }>}
+ */
+export async function pinOfflineVersion(version) {
+  const urls = offlineVersionUrls(version);
+  if (!urls.length) throw new Error(`Cannot pin provider version "${version}" for offline use`);
+
+  // Ask the browser not to evict pinned data under storage pressure.
+  await navigator.storage?.persist?.().catch(() => false);
+
+  const cache = await caches.open(OFFLINE_PINNED_CACHE);
+  // Settle every download before rolling back, so no write lands after the unpin.
+  const settled = await Promise.allSettled(
+    urls.map(async (url) => {
+      const res = await fetch(url, { cache: "no-store" });
+      if (res.status === 404) return false;
+      if (!res.ok) {
+        throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+      }
+      await cache.put(url, res);
+      return true;
+    })
+  );
+  const failed = settled.find((result) => result.status === "rejected");
+  if (failed) {
+    await unpinOfflineVersion(version);
+    throw failed.reason;
+  }
+  const results = settled.map((result) => result.value);
+
+  if (!results[0]) {
+    await unpinOfflineVersion(version);
+    throw new Error(`No dependency tree published for ${version}`);
+  }
+
+  const stored = results.filter(Boolean).length;
+  return { stored, skipped: results.length - stored };
+}
+
+export async function unpinOfflineVersion(version) {
+  const cache = await caches.open(OFFLINE_PINNED_CACHE);
+  await Promise.all(offlineVersionUrls(version).map((url) => cache.delete(url)));
+}
+
+/** Storage used by this origin in bytes, or null when the browser does not say. */
+export async function estimateOfflineStorageUsage() {
+  try {
+    const estimate = await navigator.storage?.estimate?.();
+    return typeof estimate?.usage === "number" ? estimate.usage : null;
+  } catch {
+    return null;
+  }
+}
+
+export function formatStorageSize(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return "";
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
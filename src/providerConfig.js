@@ -0,0 +1,225 @@
+/**
+ * `provider "genesyscloud"` block and matching environment snippet.
+ *
+ * The provider derives the API base path from `aws_region` (GENESYSCLOUD_REGION),
+ * so the region has to be the org's AWS region ("eu-west-1"), not the web app
+ * domain ("mypurecloud.ie"). A token from one region is rejected by every
+ * other, which is why a wrong region shows up as an auth error.
+ */
+
+export const PROVIDER_AUTH_ENV = "env";
+export const PROVIDER_AUTH_VARIABLES = "variables";
+export const PROVIDER_AUTH_ACCESS_TOKEN = "token";
+
+export const PROVIDER_AUTH_METHODS = [
+  { id: PROVIDER_AUTH_ENV, label: "Client credentials (env vars)" },
+  { id: PROVIDER_AUTH_VARIABLES, label: "Client credentials (Terraform variables)" },
+  { id: PROVIDER_AUTH_ACCESS_TOKEN, label: "Access token" },
+];
+
+export const ENV_SNIPPET_SHELL = "shell";
+export const ENV_SNIPPET_DOTENV = "dotenv";
+export const ENV_SNIPPET_POWERSHELL = "powershell";
+
+export const DEFAULT_PROVIDER_REGION = "us-east-1";
+
+/** Regions the provider accepts for aws_region, with the org domain they serve. */
+export const GENESYSCLOUD_REGIONS = [
+  { region: "us-east-1", label: "Americas (US East)", domain: "mypurecloud.com" },
+  { region: "us-east-2", label: "Americas (US East 2, FedRAMP)", domain: "use2.us-gov-pure.cloud" },
+  { region: "us-west-2", label: "Americas (US West)", domain: "usw2.pure.cloud" },
+  { region: "ca-central-1", label: "Americas (Canada)", domain: "cac1.pure.cloud" },
+  { region: "sa-east-1", label: "Americas (São Paulo)", domain: "sae1.pure.cloud" },
+  { region: "eu-central-1", label: "EMEA (Frankfurt)", domain: "mypurecloud.de" },
+  { region: "eu-west-1", label: "EMEA (Dublin)", domain: "mypurecloud.ie" },
+  { region: "eu-west-2", label: "EMEA (London)", domain: "euw2.pure.cloud" },
+  { region: "eu-central-2", label: "EMEA (Zurich)", domain: "euc2.pure.cloud" },
+  { region: "me-central-1", label: "EMEA (UAE)", domain: "mec1.pure.cloud" },
+  { region: "ap-south-1", label: "Asia Pacific (Mumbai)", domain: "aps1.pure.cloud" },
+  { region: "ap-northeast-2", label: "Asia Pacific (Seoul)", domain: "apne2.pure.cloud" },
+  { region: "ap-southeast-2", label: "Asia Pacific (Sydney)", domain: "mypurecloud.com.au" },
+  { region: "ap-northeast-1", label: "Asia Pacific (Tokyo)", domain: "mypurecloud.jp" },
+  { region: "ap-northeast-3", label: "Asia Pacific (Osaka)", domain: "apne3.pure.cloud" },
+];
+
+/** Env vars behind the provider attributes the form sets; not offered as extras. */
+export const PROVIDER_CONFIG_ENV_VARS = new Set([
+  "GENESYSCLOUD_OAUTHCLIENT_ID",
+  "GENESYSCLOUD_OAUTHCLIENT_SECRET",
+  "GENESYSCLOUD_ACCESS_TOKEN",
+  "GENESYSCLOUD_REGION",
+  "GENESYSCLOUD_SDK_DEBUG",
+  "GENESYSCLOUD_SDK_DEBUG_FORMAT",
+  "GENESYSCLOUD_SDK_DEBUG_FILE_PATH",
+  "GENESYSCLOUD_LOG_STACK_TRACES",
+  "GENESYSCLOUD_LOG_STACK_TRACES_FILE_PATH",
+  "GENESYSCLOUD_TOKEN_POOL_SIZE",
+]);
+
+export const DEFAULT_PROVIDER_CONFIG = Object.freeze({
+  region: DEFAULT_PROVIDER_REGION,
+  auth: PROVIDER_AUTH_ENV,
+  sdkDebug: false,
+  sdkDebugFormat: "Text",
+  sdkDebugFilePath: "",
+  logStackTraces: false,
+  logStackTracesFilePath: "",
+  tokenPoolSize: "",
+});
+
+export function findGenesysCloudRegion(region) {
+  return GENESYSCLOUD_REGIONS.find((entry) => entry.region === region) || null;
+}
+
+export function genesysCloudApiBasePath(region) {
+  const entry = findGenesysCloudRegion(region);
+  return entry ? `https://api.${entry.domain}` : "";
+}
+
+/**
+ * Region for a pasted org URL or host (apps., login. or api. on the org
+ * domain, or the bare domain), an AWS region code, or "" when nothing matches.
+ */
+export function resolveGenesysCloudRegionFromUrl(text) {
+  const value = String(text || "").trim().toLowerCase();
+  if (!value) return "";
+  if (findGenesysCloudRegion(value)) return value;
+
+  const host = value
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, "")
+    .split(/[/?#:]/)[0]
+    .replace(/\.$/, "");
+
+  const match = GENESYSCLOUD_REGIONS.find(
+    ({ domain }) => host === domain || host.endsWith(`.${domain}`)
+  );
+  return match?.region || "";
+}
+
+function attrLines(entries) {
+  const width = Math.max(...entries.map(([name]) => name.length));
+  return entries.map(([name, value]) => `  ${name.padEnd(width)} = ${value}`);
+}
+
+function normalizeConfig(config) {
+  return { ...DEFAULT_PROVIDER_CONFIG, ...config };
+}
+
+/**
+ * providers.tf for `config` (see DEFAULT_PROVIDER_CONFIG). Secrets never go
+ * into the block: env-var auth leaves them to GENESYSCLOUD_* variables, the
+ * variables method declares sensitive Terraform variables for them.
+ */
+export function buildProvidersTf(config) {
+  const c = normalizeConfig(config);
+  const entries = [];
+
+  if (c.auth === PROVIDER_AUTH_VARIABLES) {
+    entries.push(
+      ["oauthclient_id", "var.genesyscloud_oauthclient_id"],
+      ["oauthclient_secret", "var.genesyscloud_oauthclient_secret"],
+      ["aws_region", "var.genesyscloud_region"]
+    );
+  } else {
+    entries.push(["aws_region", JSON.stringify(c.region)]);
+  }
+
+  if (c.sdkDebug) {
+    entries.push(["sdk_debug", "true"], ["sdk_debug_format", JSON.stringify(c.sdkDebugFormat)]);
+    if (c.sdkDebugFilePath.trim()) {
+      entries.push(["sdk_debug_file_path", JSON.stringify(c.sdkDebugFilePath.trim())]);
+    }
+  }
+  if (c.logStackTraces) {
+    entries.push(["log_stack_traces", "true"]);
+    if (c.logStackTracesFilePath.trim()) {
+      entries.push(["log_stack_traces_file_path", JSON.stringify(c.logStackTracesFilePath.trim())]);
+    }
+  }
+  const poolSize = Number.parseInt(c.tokenPoolSize, 10);
+  if (Number.isInteger(poolSize) && poolSize > 0) {
+    entries.push(["token_pool_size", String(poolSize)]);
+  }
+
+  const comment =
+    c.auth === PROVIDER_AUTH_ACCESS_TOKEN
+      ? "  # Access token from GENESYSCLOUD_ACCESS_TOKEN; it expires, so refresh it before each run."
+      : c.auth === PROVIDER_AUTH_ENV
+        ? "  # OAuth client from GENESYSCLOUD_OAUTHCLIENT_ID and GENESYSCLOUD_OAUTHCLIENT_SECRET."
+        : "";
+
+  const block = [
+    'provider "genesyscloud" {',
+    ...(comment ? [comment] : []),
+    ...attrLines(entries),
+    "}",
+  ].join("\n");
+
+  if (c.auth !== PROVIDER_AUTH_VARIABLES) return block;
+
+  const variables = [
+    ["genesyscloud_oauthclient_id", "OAuth client ID from the OAuth page of Admin.", false],
+    ["genesyscloud_oauthclient_secret", "OAuth client secret from the OAuth page of Admin.", true],
+  ].map(([name, description, sensitive]) =>
+    [
+      `variable "${name}" {`,
+      `  description = ${JSON.stringify(description)}`,
+      "  type        = string",
+      ...(sensitive ? ["  sensitive   = true"] : []),
+      "}",
+    ].join("\n")
+  );
+  variables.push(
+    [
+      'variable "genesyscloud_region" {',
+      '  description = "AWS region of the org, e.g. us-east-1."',
+      "  type        = string",
+      `  default     = ${JSON.stringify(c.region)}`,
+      "}",
+    ].join("\n")
+  );
+
+  return [block, ...variables].join("\n\n");
+}
+
+function quoteShell(value) {
+  return /^[A-Za-z0-9_./:@-]*$/.test(value) ? value : `"${value.replace(/["\\$`]/g, "\\$&")}"`;
+}
+
+function formatEnvLine(name, value, format) {
+  if (format === ENV_SNIPPET_POWERSHELL) return `$env:${name} = "${value.replace(/[`"$]/g, "`$&")}"`;
+  if (format === ENV_SNIPPET_DOTENV) return `${name}=${quoteShell(value)}`;
+  return `export ${name}=${quoteShell(value)}`;
+}
+
+/**
+ * Credentials plus any `extraEnvVars` ({ name, valueHint, description } from
+ * provider-env-vars.json) as shell exports, a .env file or PowerShell.
+ */
+export function buildProviderEnvSnippet(config, format = ENV_SNIPPET_SHELL, extraEnvVars = []) {
+  const c = normalizeConfig(config);
+  const lines = [];
+  const add = (name, value, description) => {
+    if (description) lines.push(`# ${description}`);
+    lines.push(formatEnvLine(name, value, format));
+  };
+
+  if (c.auth === PROVIDER_AUTH_VARIABLES) {
+    add("TF_VAR_genesyscloud_oauthclient_id", "<client id>", "OAuth client (client credentials grant)");
+    add("TF_VAR_genesyscloud_oauthclient_secret", "<client secret>");
+    add("TF_VAR_genesyscloud_region", c.region);
+  } else if (c.auth === PROVIDER_AUTH_ACCESS_TOKEN) {
+    const domain = findGenesysCloudRegion(c.region)?.domain || "<org domain>";
+    add("GENESYSCLOUD_ACCESS_TOKEN", "<access token>", `Token issued by login.${domain}`);
+  } else {
+    add("GENESYSCLOUD_OAUTHCLIENT_ID", "<client id>", "OAuth client (client credentials grant)");
+    add("GENESYSCLOUD_OAUTHCLIENT_SECRET", "<client secret>");
+  }
+
+  for (const envVar of extraEnvVars) {
+    if (!envVar?.name || PROVIDER_CONFIG_ENV_VARS.has(envVar.name)) continue;
+    add(envVar.name, envVar.valueHint || "1", envVar.description);
+  }
+
+  return lines.join("\n");
+}
@@ -1,4 +1,5 @@
 export {
+  DATA_SOURCE_TYPES_DIR,
   DEPENDENCY_TREE_DIR,
   DEPENDENCY_TREE_MERGED_DIR,
   GENERATED_PUBLIC_DATA_DIRS,
@@ -15,6 +16,7 @@ export {
   SCHEMA_FORCE_NEW_DIR,
   RESOURCE_CLASSIFICATION_DIR,
   LAB_PACKAGES_DIR,
+  FEEDS_DIR,
 } from "../scripts/lib/public-data-path-constants.mjs";
 
 const BASE = import.meta.env.BASE_URL;
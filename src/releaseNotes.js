@@ -1,4 +1,5 @@
 import { isDependencyTreeVersionId } from "../scripts/lib/public-data-path-constants.mjs";
+import { RELEASE_NOTES_SEARCH_INDEX_FILE } from "../scripts/lib/release-notes-search.mjs";
 
 const BASE = import.meta.env.BASE_URL;
 
@@ -84,6 +85,10 @@ export function tfExportMarkdownUrl(version) {
   return releaseNotesMarkdownUrlForRoot(TF_EXPORT_DATA_PATH, version);
 }
 
+export function tfExportChangesUrl(version) {
+  return releaseNotesChangesUrlForRoot(TF_EXPORT_DATA_PATH, version);
+}
+
 export function releaseNotesIndexUrl(scope = RELEASE_NOTES_SCOPE_PROVIDER) {
   const root =
     scope === RELEASE_NOTES_SCOPE_EXPORT ? TF_EXPORT_DATA_PATH : RELEASE_NOTES_DATA_PATH;
@@ -117,8 +122,9 @@ export function releaseNotesDownloadLabel(scope = RELEASE_NOTES_SCOPE_PROVIDER)
     : "Download release notes";
 }
 
-export async function fetchReleaseNotesChanges(version) {
-  const url = releaseNotesChangesUrl(version);
+export async function fetchReleaseNotesChanges(version, scope = RELEASE_NOTES_SCOPE_PROVIDER) {
+  const url =
+    scope === RELEASE_NOTES_SCOPE_EXPORT ? tfExportChangesUrl(version) : releaseNotesChangesUrl(version);
   if (!url) return null;
 
   const res = await fetch(url, { cache: "no-store" });
@@ -150,17 +156,41 @@ export async function fetchReleaseNotesIndex(scope = RELEASE_NOTES_SCOPE_PROVIDE
   return entries;
 }
 
+let releaseNotesSearchIndexPromise = null;
+
+/**
+ * Search documents for every provider and export release, written at build
+ * time by scripts/write-release-notes-search-index.mjs. Loaded once per page.
+ */
+export function fetchReleaseNotesSearchIndex() {
+  if (!releaseNotesSearchIndexPromise) {
+    releaseNotesSearchIndexPromise = (async () => {
+      const res = await fetch(`${BASE}${RELEASE_NOTES_DATA_PATH}/${RELEASE_NOTES_SEARCH_INDEX_FILE}`, {
+        cache: "no-store",
+      });
+      if (!res.ok) {
+        throw new Error(`Failed to fetch release notes search index: ${res.status} ${res.statusText}`);
+      }
+      const json = await res.json();
+      return Array.isArray(json?.documents) ? json.documents : [];
+    })();
+    releaseNotesSearchIndexPromise.catch(() => {
+      releaseNotesSearchIndexPromise = null;
+    });
+  }
+  return releaseNotesSearchIndexPromise;
+}
+
 export function releaseNotesVersionsFromIndex(index) {
   if (!Array.isArray(index)) return [];
   return index.map((entry) => fromReleaseNotesVersion(entry?.version)).filter(Boolean);
 }
 
-export function filterChangesForResource(changesPayload, resourceType) {
-  const type = (resourceType || "").trim();
-  if (!type || !changesPayload?.changes) return [];
-
-  return changesPayload.changes.filter((entry) => entry?.resource === type);
-}
+export {
+  filterChangesForResource,
+  filterReleaseChanges,
+  releaseChangeFacets,
+} from "../scripts/lib/release-notes-changes.mjs";
 
 export function formatReleaseChangeLabel(change) {
   if (change === "added") return "Added";
@@ -169,9 +199,20 @@ export function formatReleaseChangeLabel(change) {
   return change || "Changed";
 }
 
+const RELEASE_CHANGE_KIND_LABELS = {
+  provider_configuration: "Provider configuration",
+  resource: "Resource type",
+  resource_attribute: "Attribute",
+  attribute: "Attribute",
+  resource_behavior: "Resource behavior",
+  state_behavior: "State behavior",
+  import_behavior: "Import behavior",
+  export_behavior: "Export behavior",
+  data_source: "Data source",
+  data_source_attribute: "Data source attribute",
+  data_source_behavior: "Data source behavior",
+};
+
 export function formatReleaseChangeKind(kind) {
-  if (kind === "resource_behavior") return "Resource behavior";
-  if (kind === "state_behavior") return "State behavior";
-  if (kind === "attribute") return "Attribute";
-  return kind || "";
+  return RELEASE_CHANGE_KIND_LABELS[kind] || kind || "";
 }
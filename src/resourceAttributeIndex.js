@@ -598,3 +598,79 @@ export function attributeIndexEntryKey(entry) {
 export function attributeIndexHistoryRowKey(row) {
   return `${row?.type || "unknown"}:${row?.resource || "unknown"}:${row?.attribute || "unknown"}:${row?.version || "unknown"}:${row?.historyIndex ?? 0}`;
 }
+
+export const ATTRIBUTE_TIMELINE_PINNED_ADDED = "added";
+export const ATTRIBUTE_TIMELINE_PINNED_LATER = "later";
+export const ATTRIBUTE_TIMELINE_PINNED_REMOVED = "removed";
+
+function compareVersions(a, b) {
+  const aParts = versionParts(a);
+  const bParts = versionParts(b);
+  if (!aParts || !bParts) return null;
+  return -compareVersionPartsDesc(aParts, bParts);
+}
+
+/** Oldest release first; items whose version does not parse go last. */
+function compareHistoryItemsOldestFirst(a, b) {
+  const aParts = versionParts(a?.version);
+  const bParts = versionParts(b?.version);
+  if (!aParts && !bParts) return 0;
+  if (!aParts) return 1;
+  if (!bParts) return -1;
+  return -compareVersionPartsDesc(aParts, bParts);
+}
+
+/**
+ * Where an attribute stands at `version`: introduced in it, introduced after
+ * it (so a configuration pinned there cannot use it), removed by it, or ""
+ * when it exists there or the index cannot tell.
+ */
+function attributeTimelinePinnedStatus(entry, version) {
+  const introduced = compareVersions(entry?.introduced, version);
+  if (introduced === 0) return ATTRIBUTE_TIMELINE_PINNED_ADDED;
+  if (introduced > 0) return ATTRIBUTE_TIMELINE_PINNED_LATER;
+
+  const removed = compareVersions(entry?.removed, version);
+  if (removed !== null && removed <= 0) return ATTRIBUTE_TIMELINE_PINNED_REMOVED;
+  return "";
+}
+
+/**
+ * One row per attribute-index entry for `resourceType`, resource-level
+ * behavior first and then by attribute name, with history oldest first.
+ * `forceNewAttributes` comes from the schema-force-new catalog of the
+ * version being viewed.
+ */
+export function buildResourceAttributeTimeline(
+  index,
+  resourceType,
+  { version = "", forceNewAttributes = [] } = {}
+) {
+  const type = (resourceType || "").trim();
+  if (!type || !Array.isArray(index)) return [];
+
+  const forceNew = new Set(forceNewAttributes);
+  const isResourceLevel = (entry) => entry.attribute === ATTRIBUTE_INDEX_RESOURCE_LEVEL_ATTRIBUTE;
+
+  return index
+    .filter((entry) => entry?.resource === type)
+    .sort(
+      (a, b) =>
+        Number(isResourceLevel(b)) - Number(isResourceLevel(a)) ||
+        String(a.attribute || "").localeCompare(String(b.attribute || "")) ||
+        String(a.type || "").localeCompare(String(b.type || ""))
+    )
+    .map((entry) => ({
+      key: attributeIndexEntryKey(entry),
+      type: entry.type,
+      attribute: entry.attribute,
+      introduced: formatAttributeIndexIntroducedLabel(entry.introduced),
+      lastChanged: formatAttributeIndexLastChanged(entry.last_updated, entry.introduced),
+      removed: entry.removed ? `Removed ${toReleaseNotesVersion(entry.removed)}` : "",
+      history: (Array.isArray(entry.history) ? entry.history : [])
+        .filter((item) => item?.version)
+        .sort(compareHistoryItemsOldestFirst),
+      forceNew: entry.type === "resource" && forceNew.has(entry.attribute),
+      pinnedStatus: version ? attributeTimelinePinnedStatus(entry, version) : "",
+    }));
+}
@@ -0,0 +1,62 @@
+/** Side-by-side comparison of pinned resource types. */
+
+export const RESOURCE_COMPARISON_MAX_TYPES = 4;
+export const RESOURCE_COMPARISON_MIN_TYPES = 2;
+
+function sortAlpha(values) {
+  return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Add `type` to the pinned list, or remove it when already pinned. Adding past
+ * RESOURCE_COMPARISON_MAX_TYPES is a no-op.
+ */
+export function togglePinnedComparisonType(pinned, type) {
+  const list = Array.isArray(pinned) ? pinned : [];
+  if (!type) return list;
+  if (list.includes(type)) return list.filter((t) => t !== type);
+  if (list.length >= RESOURCE_COMPARISON_MAX_TYPES) return list;
+  return [...list, type];
+}
+
+/**
+ * One comparison column. Every lookup is injected so this stays independent of
+ * how App.jsx loads the per-version data.
+ *
+ * @param {string} type
+ * @param {{
+ *   depsMap: Map<string, Set<string>>,
+ *   reverseMap: Map<string, Set<string>>,
+ *   hiddenTypes: Set<string>,
+ *   menuPath: (type: string) => string,
+ *   forceNewAttributes: (type: string) => string[],
+ *   badges: (type: string) => string[],
+ *   exportResourceName: (type: string) => string,
+ *   envVars: (type: string) => { name: string }[],
+ * }} context
+ */
+export function describeResourceForComparison(type, context) {
+  const visible = (types) =>
+    sortAlpha([...(types || [])].filter((t) => t !== type && !context.hiddenTypes.has(t)));
+
+  return {
+    type,
+    menuPath: context.menuPath(type),
+    dependencies: visible(context.depsMap.get(type)),
+    dependents: visible(context.reverseMap.get(type)),
+    forceNewAttributes: context.forceNewAttributes(type),
+    badges: context.badges(type),
+    exportResourceName: context.exportResourceName(type),
+    envVars: context.envVars(type).map(({ name }) => name),
+  };
+}
+
+/**
+ * Values of list field `key` present in every column, so the view can tell
+ * shared entries from the ones that set a type apart.
+ */
+export function sharedComparisonValues(columns, key) {
+  if (!columns.length) return new Set();
+  const [first, ...rest] = columns;
+  return new Set(first[key].filter((value) => rest.every((column) => column[key].includes(value))));
+}
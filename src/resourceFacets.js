@@ -0,0 +1,112 @@
+import { hasForceNewAttributes } from "./schemaForceNew.js";
+
+/**
+ * Three-state classification filters for the resource list. Values mirror the
+ * division filter: "" shows everything, "yes" only flagged types, "no" only
+ * unflagged types.
+ */
+
+export const FACET_FILTER_ALL = "";
+export const FACET_FILTER_YES = "yes";
+export const FACET_FILTER_NO = "no";
+
+export const RESOURCE_FACETS = [
+  { id: "deprecated", param: "deprecated", label: "Deprecated" },
+  { id: "nonExportable", param: "nonexportable", label: "Non-exportable" },
+  { id: "cannotBeDestroyed", param: "nodestroy", label: "Cannot be destroyed" },
+  { id: "singleton", param: "singleton", label: "Singleton export" },
+  { id: "forceNew", param: "forcenew", label: "Has ForceNew attributes" },
+  { id: "overrideNote", param: "note", label: "Has override note" },
+];
+
+/** URL query keys owned by the facet filters. */
+export const RESOURCE_FACET_QUERY_KEYS = RESOURCE_FACETS.map(({ param }) => param);
+
+export const EMPTY_FACET_FILTERS = Object.freeze(
+  Object.fromEntries(RESOURCE_FACETS.map(({ id }) => [id, FACET_FILTER_ALL]))
+);
+
+export function normalizeFacetFilterValue(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return v === FACET_FILTER_YES || v === FACET_FILTER_NO ? v : FACET_FILTER_ALL;
+}
+
+/** Facet filters from URL search params (`?deprecated=yes&forcenew=no`). */
+export function facetFiltersFromSearchParams(searchParams) {
+  return Object.fromEntries(
+    RESOURCE_FACETS.map(({ id, param }) => [
+      id,
+      normalizeFacetFilterValue(searchParams?.get(param)),
+    ])
+  );
+}
+
+/** `{ param: value }` pairs for the URL; unset facets map to "". */
+export function facetFiltersToQueryParams(facetFilters) {
+  return Object.fromEntries(
+    RESOURCE_FACETS.map(({ id, param }) => [param, normalizeFacetFilterValue(facetFilters?.[id])])
+  );
+}
+
+export function countActiveFacetFilters(facetFilters) {
+  return RESOURCE_FACETS.filter(({ id }) => facetFilters?.[id]).length;
+}
+
+/**
+ * Flagged types per facet.
+ *
+ * @param {string[]} types
+ * @param {{
+ *   classificationSets: { deprecatedTypes: Set<string>, nonExportableTypes: Set<string>, cannotBeDestroyedTypes: Set<string> },
+ *   isSingleton: (type: string) => boolean,
+ *   forceNewCatalog: object,
+ *   hasOverrideNote: (type: string) => boolean,
+ * }} context
+ * @returns {Record<string, Set<string>>} facet id -> flagged types
+ */
+export function buildResourceFacetSets(types, context) {
+  const { classificationSets, isSingleton, forceNewCatalog, hasOverrideNote } = context;
+  const predicates = {
+    deprecated: (type) => classificationSets.deprecatedTypes.has(type),
+    nonExportable: (type) => classificationSets.nonExportableTypes.has(type),
+    cannotBeDestroyed: (type) => classificationSets.cannotBeDestroyedTypes.has(type),
+    singleton: isSingleton,
+    forceNew: (type) => hasForceNewAttributes(type, forceNewCatalog),
+    overrideNote: hasOverrideNote,
+  };
+
+  return Object.fromEntries(
+    RESOURCE_FACETS.map(({ id }) => [id, new Set(types.filter((type) => predicates[id](type)))])
+  );
+}
+
+function matchesFacet(type, facetSet, value) {
+  if (!value) return true;
+  return facetSet.has(type) === (value === FACET_FILTER_YES);
+}
+
+/**
+ * @param {string} [skipFacetId] ignore this facet (used for its own count)
+ */
+export function matchesFacetFilters(type, facetSets, facetFilters, skipFacetId = "") {
+  return RESOURCE_FACETS.every(
+    ({ id }) => id === skipFacetId || matchesFacet(type, facetSets[id], facetFilters?.[id])
+  );
+}
+
+/**
+ * Per-facet counts of flagged types within `types`, each honoring every other
+ * active facet so the numbers answer "how many would I see if I switched this on".
+ *
+ * @returns {Record<string, number>}
+ */
+export function countResourceFacets(types, facetSets, facetFilters) {
+  return Object.fromEntries(
+    RESOURCE_FACETS.map(({ id }) => [
+      id,
+      types.filter(
+        (type) => facetSets[id].has(type) && matchesFacetFilters(type, facetSets, facetFilters, id)
+      ).length,
+    ])
+  );
+}
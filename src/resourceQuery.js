@@ -0,0 +1,197 @@
+import { isDivisionAwareResourceType } from "./divisionAware.js";
+import { getForceNewAttributes } from "./schemaForceNew.js";
+
+/**
+ * Structured search for the resource list.
+ *
+ * A query is whitespace-separated terms. `key:value` and `key>N` style terms
+ * filter on resource facts; everything else is free text matched against the
+ * type name (or the GUI menu path in menu path view). Values with spaces are
+ * quoted (`path:"Admin > Routing"`); a leading `-` negates a term. All terms
+ * must match.
+ */
+
+export const RESOURCE_QUERY_KEYS = [
+  { key: "deprecated", example: "deprecated:yes" },
+  { key: "exportable", example: "exportable:no" },
+  { key: "destroyable", example: "destroyable:no" },
+  { key: "division", example: "division:aware" },
+  { key: "singleton", example: "singleton:yes" },
+  { key: "depends", example: "depends:genesyscloud_routing_queue" },
+  { key: "dependents", example: "dependents>5" },
+  { key: "deps", example: "deps>=3" },
+  { key: "forcenew", example: "forcenew:name" },
+  { key: "path", example: 'path:"Admin > Routing"' },
+];
+
+const KNOWN_KEYS = new Set(RESOURCE_QUERY_KEYS.map(({ key }) => key));
+const NUMERIC_KEYS = new Set(["dependents", "deps"]);
+const TRUE_VALUES = new Set(["yes", "true", "y", "1"]);
+const FALSE_VALUES = new Set(["no", "false", "n", "0"]);
+
+// -?key(op)value where value is "quoted" or runs to the next space; or a bare word.
+const TERM_RE = /(-?)([a-z]+)(:|>=|<=|>|<|=)("([^"]*)"?|\S*)|("([^"]*)"?|\S+)/gi;
+
+function parseBoolean(value) {
+  const v = value.toLowerCase();
+  if (TRUE_VALUES.has(v)) return true;
+  if (FALSE_VALUES.has(v)) return false;
+  return null;
+}
+
+function parseTerm(negated, key, op, value) {
+  if (NUMERIC_KEYS.has(key)) {
+    const number = Number(value);
+    if (value === "" || !Number.isInteger(number)) {
+      return { error: `${key} needs a whole number, e.g. ${key}>5` };
+    }
+    return { term: { key, op: op === ":" ? "=" : op, value: number, negated } };
+  }
+
+  if (op !== ":") return { error: `${key} only supports ${key}:value` };
+  if (!value) return { error: `${key}: needs a value` };
+
+  if (key === "division") {
+    const v = value.toLowerCase();
+    const aware =
+      v === "aware" ? true : v === "not-aware" || v === "unaware" ? false : parseBoolean(v);
+    if (aware === null) return { error: "division: expects aware or not-aware" };
+    return { term: { key, value: aware, negated } };
+  }
+
+  if (key === "deprecated" || key === "exportable" || key === "destroyable" || key === "singleton") {
+    const flag = parseBoolean(value);
+    if (flag === null) return { error: `${key}: expects yes or no` };
+    return { term: { key, value: flag, negated } };
+  }
+
+  if (key === "forcenew") {
+    const flag = parseBoolean(value);
+    return { term: { key, value: flag === null ? value.toLowerCase() : flag, negated } };
+  }
+
+  return { term: { key, value: value.toLowerCase(), negated } };
+}
+
+/**
+ * @param {string} input
+ * @returns {{ terms: object[], text: string[], errors: string[] }}
+ *   `text` holds lower-cased free-text words; `errors` describe ignored terms
+ */
+export function parseResourceQuery(input) {
+  const terms = [];
+  const text = [];
+  const errors = [];
+  let hasFilters = false;
+
+  for (const match of String(input || "").matchAll(TERM_RE)) {
+    const [, negated, key, op, rawValue, quotedValue, , bareQuoted] = match;
+    if (key && KNOWN_KEYS.has(key.toLowerCase())) {
+      hasFilters = true;
+      const value = quotedValue ?? rawValue;
+      const { term, error } = parseTerm(negated === "-", key.toLowerCase(), op, value.trim());
+      if (term) terms.push(term);
+      if (error) errors.push(error);
+      continue;
+    }
+
+    if (key && op === ":") errors.push(`"${key}" is not a filter; searching for it as text`);
+    const word = (bareQuoted ?? match[0]).trim().toLowerCase();
+    if (word) text.push(word);
+  }
+
+  // Without filters, keep the plain substring search (spaces included).
+  if (!hasFilters) {
+    const plain = String(input || "").trim().toLowerCase();
+    return { terms, text: plain ? [plain] : [], errors };
+  }
+
+  return { terms, text, errors };
+}
+
+function compareNumber(actual, op, expected) {
+  if (op === ">") return actual > expected;
+  if (op === "<") return actual < expected;
+  if (op === ">=") return actual >= expected;
+  if (op === "<=") return actual <= expected;
+  return actual === expected;
+}
+
+function countOthers(set, type) {
+  if (!set) return 0;
+  return set.has(type) ? set.size - 1 : set.size;
+}
+
+/**
+ * Build a predicate for a parsed query.
+ *
+ * @param {{ terms: object[], text: string[] }} parsed
+ * @param {{
+ *   depsMap: Map<string, Set<string>>,
+ *   reverseMap: Map<string, Set<string>>,
+ *   classificationSets: { deprecatedTypes: Set<string>, nonExportableTypes: Set<string>, cannotBeDestroyedTypes: Set<string> },
+ *   knownTypes: Set<string>,
+ *   forceNewCatalog: object,
+ *   menuPath: (type: string) => string,
+ *   isSingleton: (type: string) => boolean,
+ *   matchMenuPath?: boolean,
+ * }} context
+ * @returns {(type: string) => boolean}
+ */
+export function createResourceQueryMatcher(parsed, context) {
+  const { terms, text } = parsed;
+  const {
+    depsMap,
+    reverseMap,
+    classificationSets,
+    knownTypes,
+    forceNewCatalog,
+    menuPath,
+    isSingleton,
+    matchMenuPath = false,
+  } = context;
+
+  const matchesTerm = (type, term) => {
+    switch (term.key) {
+      case "deprecated":
+        return classificationSets.deprecatedTypes.has(type) === term.value;
+      case "exportable":
+        return !classificationSets.nonExportableTypes.has(type) === term.value;
+      case "destroyable":
+        return !classificationSets.cannotBeDestroyedTypes.has(type) === term.value;
+      case "division":
+        return isDivisionAwareResourceType(type, depsMap) === term.value;
+      case "singleton":
+        return isSingleton(type) === term.value;
+      case "depends": {
+        const deps = [...(depsMap.get(type) || [])].filter((dep) => dep !== type);
+        return knownTypes.has(term.value)
+          ? deps.includes(term.value)
+          : deps.some((dep) => dep.toLowerCase().includes(term.value));
+      }
+      case "dependents":
+        return compareNumber(countOthers(reverseMap.get(type), type), term.op, term.value);
+      case "deps":
+        return compareNumber(countOthers(depsMap.get(type), type), term.op, term.value);
+      case "forcenew": {
+        const attributes = getForceNewAttributes(type, forceNewCatalog);
+        if (typeof term.value === "boolean") return attributes.length > 0 === term.value;
+        return attributes.some((attribute) => attribute.toLowerCase().includes(term.value));
+      }
+      case "path":
+        return menuPath(type).toLowerCase().includes(term.value);
+      default:
+        return true;
+    }
+  };
+
+  return (type) => {
+    for (const term of terms) {
+      if (matchesTerm(type, term) === term.negated) return false;
+    }
+    if (!text.length) return true;
+
+    const haystack = (matchMenuPath ? menuPath(type) : type).toLowerCase();
+    return text.every((word) => haystack.includes(word));
+  };
+}
@@ -0,0 +1,114 @@
+import { effectiveDependencies } from "./effectiveDependencies.js";
+import {
+  TF_EXPORT_DEPENDENCIES_INCLUDE,
+  TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE,
+  normalizeTfExportDependencyStrategy,
+} from "./tfExportOptions.js";
+
+/**
+ * How an export treats the types a resource depends on: reference them as
+ * data sources (replace_with_datasource) or export them alongside through
+ * include_filter_resources. Exported dependencies bring their own
+ * dependencies with them, so the plan walks the transitive closure.
+ */
+
+export const DEPENDENCY_EXPORTED = "exported";
+export const DEPENDENCY_DATA_SOURCE = "datasource";
+/** Only reachable through a dependency that is a data source, so not needed. */
+export const DEPENDENCY_UNUSED = "unused";
+
+function dependenciesOf(type, depsMap) {
+  return effectiveDependencies(type, [...(depsMap?.get(type) || [])]);
+}
+
+/**
+ * Every type `resourceType` depends on, directly or not, with its shortest
+ * distance (1 = direct dependency) and the type that first pulls it in.
+ *
+ * @returns {Array<{ type: string, depth: number, via: string }>} breadth-first, alphabetical per depth
+ */
+export function resolveTransitiveDependencies(resourceType, depsMap) {
+  const seen = new Map([[resourceType, { depth: 0, via: "" }]]);
+  let frontier = [resourceType];
+
+  for (let depth = 1; frontier.length; depth += 1) {
+    const next = [];
+    for (const from of frontier) {
+      for (const dep of dependenciesOf(from, depsMap).sort((a, b) => a.localeCompare(b))) {
+        if (seen.has(dep)) continue;
+        seen.set(dep, { depth, via: from });
+        next.push(dep);
+      }
+    }
+    frontier = next.sort((a, b) => a.localeCompare(b));
+  }
+
+  seen.delete(resourceType);
+  return [...seen.entries()]
+    .map(([type, { depth, via }]) => ({ type, depth, via }))
+    .sort((a, b) => a.depth - b.depth || a.type.localeCompare(b.type));
+}
+
+/**
+ * Resolve the dependency strategy for one type.
+ *
+ * - replace all (default): direct dependencies become data sources
+ * - replace outside: `exportedDependencies` reachable through exported types
+ *   are exported; whatever those exported types depend on becomes a data source
+ * - include: the whole closure is exported
+ *
+ * Types the provider cannot export are never exported; they stay data sources.
+ *
+ * @param {{ dependencyStrategy?: string, exportedDependencies?: string[] }} options
+ * @param {{ nonExportableTypes?: Set<string> }} [context]
+ * @returns {{
+ *   closure: Array<{ type: string, depth: number, via: string, state: string }>,
+ *   includeTypes: string[],
+ *   replaceTypes: string[],
+ * }}
+ */
+export function resolveTfExportDependencyPlan(
+  resourceType,
+  depsMap,
+  { dependencyStrategy, exportedDependencies = [] } = {},
+  { nonExportableTypes = new Set() } = {}
+) {
+  const strategy = normalizeTfExportDependencyStrategy(dependencyStrategy);
+  const closure = resolveTransitiveDependencies(resourceType, depsMap);
+  const wanted =
+    strategy === TF_EXPORT_DEPENDENCIES_INCLUDE
+      ? new Set(closure.map(({ type }) => type))
+      : strategy === TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE
+        ? new Set(exportedDependencies)
+        : new Set();
+
+  const exported = new Set();
+  const replaced = new Set();
+  const queue = [resourceType];
+  while (queue.length) {
+    const from = queue.shift();
+    for (const dep of dependenciesOf(from, depsMap)) {
+      if (dep === resourceType || exported.has(dep)) continue;
+      if (wanted.has(dep) && !nonExportableTypes.has(dep)) {
+        exported.add(dep);
+        queue.push(dep);
+      } else {
+        replaced.add(dep);
+      }
+    }
+  }
+
+  const sorted = (set) => [...set].sort((a, b) => a.localeCompare(b));
+  return {
+    closure: closure.map((entry) => ({
+      ...entry,
+      state: exported.has(entry.type)
+        ? DEPENDENCY_EXPORTED
+        : replaced.has(entry.type)
+          ? DEPENDENCY_DATA_SOURCE
+          : DEPENDENCY_UNUSED,
+    })),
+    includeTypes: sorted(exported),
+    replaceTypes: sorted(replaced),
+  };
+}
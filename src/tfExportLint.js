@@ -0,0 +1,394 @@
+import {
+  resolveProviderEnvVars,
+  resolveTfExportExcludeAttributesEntry,
+  resolveTfExportResourceName,
+} from "./tfExportTemplate.js";
+import { TF_EXPORT_FORMATS, validateTfExportNamePattern } from "./tfExportOptions.js";
+import { parseTfExportBlockLabelPlaceholder, quoteTfExportNameRegex } from "./tfExportNamePattern.js";
+
+/**
+ * Checks for a pasted genesyscloud_tf_export block against one provider
+ * version's data: resource types, classification, dependencies, block label
+ * placeholders, provider env vars and the exclude_attributes guidance in
+ * overrides.json. Only the attributes that matter for these checks are read;
+ * the rest of the block is left to terraform validate.
+ */
+
+export const TF_EXPORT_LINT_ERROR = "error";
+export const TF_EXPORT_LINT_WARNING = "warning";
+export const TF_EXPORT_LINT_INFO = "info";
+
+const FILTER_ATTRIBUTES = ["include_filter_resources", "exclude_filter_resources", "resource_types"];
+
+/** Blank out comments, keeping string contents and line breaks in place. */
+function stripHclComments(source) {
+  let out = "";
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '"') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== '"' && source[j] !== "\n") {
+        j += source[j] === "\\" ? 2 : 1;
+      }
+      out += source.slice(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if (ch === "#" || (ch === "/" && source[i + 1] === "/")) {
+      while (i < source.length && source[i] !== "\n") {
+        out += " ";
+        i += 1;
+      }
+      continue;
+    }
+
+    if (ch === "/" && source[i + 1] === "*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      out += source.slice(i, stop).replace(/[^\n]/g, " ");
+      i = stop;
+      continue;
+    }
+
+    out += ch;
+    i += 1;
+  }
+
+  return out;
+}
+
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index; i += 1) if (source[i] === "\n") line += 1;
+  return line;
+}
+
+/** Index of the brace closing the one at `openIndex`, or -1. */
+function findClosingBrace(source, openIndex) {
+  let depth = 0;
+  for (let i = openIndex; i < source.length; i += 1) {
+    const ch = source[i];
+    if (ch === '"') {
+      i += 1;
+      while (i < source.length && source[i] !== '"') i += source[i] === "\\" ? 2 : 1;
+      continue;
+    }
+    if (ch === "{") depth += 1;
+    if (ch === "}") {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+function readHclString(source, index) {
+  let value = "";
+  let i = index + 1;
+  while (i < source.length && source[i] !== '"') {
+    if (source[i] === "\\") {
+      const next = source[i + 1];
+      value += next === "n" ? "\n" : next === "t" ? "\t" : next;
+      i += 2;
+      continue;
+    }
+    value += source[i];
+    i += 1;
+  }
+  return { value, end: i + 1 };
+}
+
+function readHclValue(source, index) {
+  if (source[index] === '"') return readHclString(source, index);
+
+  if (source[index] === "[") {
+    const values = [];
+    let i = index + 1;
+    while (i < source.length) {
+      while (/[\s,]/.test(source[i] || "")) i += 1;
+      if (source[i] === "]" || i >= source.length) return { value: values, end: i + 1 };
+      const item = readHclValue(source, i);
+      values.push(item.value);
+      i = item.end;
+    }
+    return { value: values, end: i };
+  }
+
+  const match = /^[^\s,\]]+/.exec(source.slice(index));
+  const raw = match ? match[0] : "";
+  const value = raw === "true" ? true : raw === "false" ? false : { expression: raw };
+  return { value, end: index + raw.length };
+}
+
+/**
+ * The first genesyscloud_tf_export resource in `text`.
+ *
+ * @returns {null | {
+ *   label: string,
+ *   line: number,
+ *   attributes: Map<string, { value: unknown, line: number }>,
+ * }}
+ */
+export function parseTfExportBlock(text) {
+  const source = stripHclComments(String(text || ""));
+  const header = /resource\s+"genesyscloud_tf_export"\s+"([^"]*)"\s*\{/.exec(source);
+  if (!header) return null;
+
+  const open = header.index + header[0].length - 1;
+  const close = findClosingBrace(source, open);
+  const end = close === -1 ? source.length : close;
+  const attributes = new Map();
+  const attributePattern = /([A-Za-z_][\w-]*)\s*(=|\{)/y;
+  let i = open + 1;
+
+  while (i < end) {
+    while (i < end && /\s/.test(source[i])) i += 1;
+    if (i >= end) break;
+
+    attributePattern.lastIndex = i;
+    const match = attributePattern.exec(source);
+    if (!match) {
+      i = source.indexOf("\n", i) === -1 ? end : source.indexOf("\n", i) + 1;
+      continue;
+    }
+
+    if (match[2] === "{") {
+      const blockEnd = findClosingBrace(source, attributePattern.lastIndex - 1);
+      i = blockEnd === -1 ? end : blockEnd + 1;
+      continue;
+    }
+
+    let valueStart = attributePattern.lastIndex;
+    while (/[ \t]/.test(source[valueStart] || "")) valueStart += 1;
+    const { value, end: valueEnd } = readHclValue(source, valueStart);
+    attributes.set(match[1], { value, line: lineAt(source, match.index) });
+    i = valueEnd;
+  }
+
+  return { label: header[1], line: lineAt(source, header.index), attributes };
+}
+
+function stringList(attribute) {
+  return Array.isArray(attribute?.value)
+    ? attribute.value.filter((value) => typeof value === "string")
+    : [];
+}
+
+/** `type::regex` → { type, pattern }; plain `type` has an empty pattern. */
+function splitFilterEntry(entry) {
+  const separator = entry.indexOf("::");
+  return separator === -1
+    ? { type: entry.trim(), pattern: "" }
+    : { type: entry.slice(0, separator).trim(), pattern: entry.slice(separator + 2) };
+}
+
+/** `^literal$` with no other regex syntax → the literal, else null. */
+function literalAnchoredPattern(pattern) {
+  const match = /^\^(.*)\$$/.exec(pattern);
+  if (!match) return null;
+  const body = match[1];
+  if (/(?<!\\)[.+*?()|[\]{}^$]/.test(body)) return null;
+  return body.replace(/\\(.)/g, "$1");
+}
+
+function placeholderRegex(placeholder) {
+  const source = parseTfExportBlockLabelPlaceholder(placeholder)
+    .map((part) => ("field" in part ? ".+" : quoteTfExportNameRegex(part.literal)))
+    .join("");
+  return new RegExp(`^${source}$`, "s");
+}
+
+/**
+ * Problems with a name regex in a filter, judged against the type's block
+ * label placeholder (`<name>`, `<category>_<name>`, ...).
+ */
+function namePatternFindings(type, pattern, placeholder) {
+  const error = validateTfExportNamePattern(pattern);
+  if (error) {
+    return [{ severity: TF_EXPORT_LINT_ERROR, message: `Invalid regex for ${type}: ${error}` }];
+  }
+
+  // `(?P<name>` and `(?<name>` are named groups, not placeholders.
+  if (/(?<!\?P?)<[^<>]+>/.test(pattern)) {
+    return [
+      {
+        severity: TF_EXPORT_LINT_ERROR,
+        message: `The ${type} filter still contains a placeholder (${pattern}); replace it with the object name.`,
+      },
+    ];
+  }
+
+  const literal = literalAnchoredPattern(pattern);
+  if (literal === null) return [];
+
+  if (/_\d{6,}$/.test(literal) && /^[\w-]+$/.test(literal)) {
+    return [
+      {
+        severity: TF_EXPORT_LINT_WARNING,
+        message: `The ${type} filter ${pattern} looks like a sanitized HCL label. Filters match the raw block label, so spaces and punctuation stay and there is no hash suffix.`,
+      },
+    ];
+  }
+
+  if (placeholder && !placeholderRegex(placeholder).test(literal)) {
+    return [
+      {
+        severity: TF_EXPORT_LINT_ERROR,
+        message: `The ${type} filter ${pattern} can never match: block labels for this type look like ${placeholder}.`,
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * @param {string} text pasted configuration
+ * @param {{
+ *   allTypes: string[],
+ *   depsMap: Map<string, Set<string>>,
+ *   nonExportableTypes: Set<string>,
+ *   overrides?: object,
+ *   tfExportResourceNames?: object,
+ *   providerEnvVars?: object[],
+ * }} context data for the selected provider version
+ * @returns {{ block: ReturnType<typeof parseTfExportBlock>, findings: Array<{
+ *   severity: string, attribute: string, line: number, message: string,
+ * }> }}
+ */
+export function lintTfExportBlock(text, context) {
+  const block = parseTfExportBlock(text);
+  const findings = [];
+  if (!block) {
+    findings.push({
+      severity: TF_EXPORT_LINT_ERROR,
+      attribute: "",
+      line: 0,
+      message: 'No resource "genesyscloud_tf_export" block found.',
+    });
+    return { block, findings };
+  }
+
+  const knownTypes = new Set(context.allTypes);
+  const attr = (name) => block.attributes.get(name);
+  const add = (severity, name, message, line = attr(name)?.line ?? block.line) =>
+    findings.push({ severity, attribute: name, line, message });
+
+  const setFilters = FILTER_ATTRIBUTES.filter((name) => stringList(attr(name)).length);
+  if (setFilters.length > 1) {
+    add(
+      TF_EXPORT_LINT_ERROR,
+      setFilters[1],
+      `${setFilters.join(" and ")} cannot be used together; the provider rejects the block.`
+    );
+  }
+
+  const format = attr("export_format")?.value;
+  if (typeof format === "string" && !TF_EXPORT_FORMATS.includes(format)) {
+    add(
+      TF_EXPORT_LINT_ERROR,
+      "export_format",
+      `export_format "${format}" is not one of ${TF_EXPORT_FORMATS.join(", ")}.`
+    );
+  }
+
+  const exportedTypes = new Set();
+  for (const name of FILTER_ATTRIBUTES) {
+    for (const entry of stringList(attr(name))) {
+      const { type, pattern } = splitFilterEntry(entry);
+      if (!knownTypes.has(type)) {
+        add(TF_EXPORT_LINT_ERROR, name, `Unknown resource type ${type} for this provider version.`);
+        continue;
+      }
+      if (name !== "exclude_filter_resources") exportedTypes.add(type);
+      if (name !== "exclude_filter_resources" && context.nonExportableTypes.has(type)) {
+        add(TF_EXPORT_LINT_ERROR, name, `${type} cannot be exported; the exporter skips it.`);
+      }
+      if (name === "resource_types") continue;
+      if (!pattern) {
+        add(TF_EXPORT_LINT_WARNING, name, `${entry} has no ::name regex, so it matches every ${type}.`);
+        continue;
+      }
+      const placeholder = resolveTfExportResourceName(
+        type,
+        context.overrides,
+        context.tfExportResourceNames
+      );
+      for (const finding of namePatternFindings(type, pattern, placeholder)) {
+        add(finding.severity, name, finding.message);
+      }
+    }
+  }
+
+  const dependencyTypes = new Set(
+    [...exportedTypes].flatMap((type) => [...(context.depsMap.get(type) || [])])
+  );
+  for (const entry of stringList(attr("replace_with_datasource"))) {
+    const { type } = splitFilterEntry(entry);
+    if (!knownTypes.has(type)) {
+      add(
+        TF_EXPORT_LINT_ERROR,
+        "replace_with_datasource",
+        `Unknown resource type ${type} for this provider version.`
+      );
+    } else if (exportedTypes.size && !dependencyTypes.has(type)) {
+      add(
+        TF_EXPORT_LINT_WARNING,
+        "replace_with_datasource",
+        `${type} is not a dependency of any exported type, so this entry has no effect.`
+      );
+    }
+  }
+
+  const excluded = new Set(stringList(attr("exclude_attributes")));
+  for (const entry of excluded) {
+    const type = entry.split(".")[0];
+    if (!knownTypes.has(type)) {
+      add(TF_EXPORT_LINT_ERROR, "exclude_attributes", `Unknown resource type in ${entry}.`);
+      continue;
+    }
+    const guidance = resolveTfExportExcludeAttributesEntry(type, context.overrides);
+    const ignoreChanges =
+      guidance?.excludeAttributes.includes(entry) && guidance.ignoreChanges.length
+        ? `ignore_changes = [ ${guidance.ignoreChanges.join(", ")} ]`
+        : "a matching ignore_changes entry";
+    add(
+      TF_EXPORT_LINT_WARNING,
+      "exclude_attributes",
+      `${entry} is left out of the export. Add ${ignoreChanges} in a lifecycle block on each exported ${type}, or the next apply may clear it.`
+    );
+  }
+
+  for (const type of exportedTypes) {
+    const guidance = resolveTfExportExcludeAttributesEntry(type, context.overrides);
+    const missing = guidance?.excludeAttributes.filter((entry) => !excluded.has(entry)) ?? [];
+    if (missing.length) {
+      add(
+        TF_EXPORT_LINT_INFO,
+        "exclude_attributes",
+        `Consider excluding ${missing.join(", ")} for ${type}.`,
+        attr("exclude_attributes")?.line ?? block.line
+      );
+    }
+  }
+
+  const envVarNames = new Set();
+  for (const type of exportedTypes) {
+    for (const { name, description } of resolveProviderEnvVars(type, context.providerEnvVars)) {
+      if (envVarNames.has(name) || String(text).includes(name)) continue;
+      envVarNames.add(name);
+      add(
+        TF_EXPORT_LINT_WARNING,
+        "",
+        `${name} is not set for ${type}${description ? `: ${description}` : ""}.`,
+        block.line
+      );
+    }
+  }
+
+  return { block, findings };
+}
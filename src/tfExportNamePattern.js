@@ -0,0 +1,104 @@
+import {
+  compareTfExportVersionsAsc,
+  exportResourceNameTypesForMatching,
+  normalizeTfExportVersion,
+  toTfExportVersionLabel,
+} from "../scripts/lib/tf-export-block-label-history.mjs";
+
+/**
+ * Exact include_filter_resources regexes from real object names.
+ *
+ * The provider matches filters against the block label an exporter builds
+ * (`BlockLabel` in ResourceMeta) before it is sanitized into an HCL identifier,
+ * so the regex quotes the raw name ("Sales Queue", not "Sales_Queue"). The
+ * label shape comes from the generated placeholder for the type, e.g.
+ * `<email>` or `<category>_<name>`; each `<...>` part is one object field.
+ */
+
+/**
+ * Split a placeholder into literal text and fields:
+ * `<category>_<name>` → field "category", literal "_", field "name".
+ *
+ * @returns {Array<{ field: string } | { literal: string }>}
+ */
+export function parseTfExportBlockLabelPlaceholder(placeholder) {
+  const parts = [];
+  const pattern = /<([^<>]+)>/g;
+  const text = String(placeholder || "");
+  let last = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) parts.push({ literal: text.slice(last, match.index) });
+    parts.push({ field: match[1] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ literal: text.slice(last) });
+
+  return parts;
+}
+
+export function tfExportBlockLabelFields(placeholder) {
+  return parseTfExportBlockLabelPlaceholder(placeholder)
+    .filter((part) => "field" in part)
+    .map((part) => part.field);
+}
+
+/** Go's regexp.QuoteMeta: the same metacharacters are special in RE2 and JavaScript. */
+export function quoteTfExportNameRegex(value) {
+  return String(value).replace(/[\\.+*?()|[\]{}^$]/g, "\\$&");
+}
+
+/**
+ * Raw block label for one object, or "" until every field has a value.
+ * `values` are field values in placeholder order; they are used verbatim
+ * because the exporter does not trim names either.
+ */
+export function composeTfExportBlockLabel(placeholder, values) {
+  const parts = parseTfExportBlockLabelPlaceholder(placeholder);
+  let fieldIndex = 0;
+  let label = "";
+
+  for (const part of parts) {
+    if ("literal" in part) {
+      label += part.literal;
+      continue;
+    }
+    const value = values?.[fieldIndex++] ?? "";
+    if (!value) return "";
+    label += value;
+  }
+
+  return label;
+}
+
+/** Anchored regex for one object, or "" until every field has a value. */
+export function buildTfExportNamePattern(placeholder, values) {
+  const label = composeTfExportBlockLabel(placeholder, values);
+  return label ? `^${quoteTfExportNameRegex(label)}$` : "";
+}
+
+/**
+ * Block label changes for `resourceType` (and its aliases) from
+ * tf-export-block-label-history.json, oldest first, each marked with whether
+ * `providerVersion` ("latest" or a semver) already includes it.
+ *
+ * @returns {Array<{ version: string, before: string, after: string, applies: boolean }>}
+ */
+export function tfExportBlockLabelChangesForType(changes, resourceType, providerVersion) {
+  if (!Array.isArray(changes) || !resourceType) return [];
+
+  const types = exportResourceNameTypesForMatching(resourceType);
+  const selected = normalizeTfExportVersion(providerVersion);
+  const isLatest = !selected || selected === "latest";
+
+  return changes
+    .filter((change) => types.has((change?.resource || "").trim()))
+    .sort((a, b) => compareTfExportVersionsAsc(a.version, b.version))
+    .map((change) => ({
+      version: toTfExportVersionLabel(change.version),
+      before: change.before,
+      after: change.after,
+      applies: isLatest || compareTfExportVersionsAsc(change.version, selected) <= 0,
+    }));
+}
@@ -0,0 +1,246 @@
+/**
+ * Edits to the genesyscloud_tf_export template from the inline form. Unset
+ * fields keep the values the template has always rendered, so only edited
+ * fields end up in the URL.
+ *
+ * `namePattern`, `excludeAttributes`, `dependencyStrategy` and
+ * `exportedDependencies` belong to one resource type (`type`); they are ignored
+ * once another type is selected. `excludeAttributes` is null until edited,
+ * which means "use the overrides.json suggestion".
+ */
+
+export const TF_EXPORT_FORMAT_HCL = "hcl";
+export const TF_EXPORT_FORMAT_JSON = "json";
+export const TF_EXPORT_FORMAT_HCL_JSON = "hcl_json";
+export const TF_EXPORT_FORMATS = [
+  TF_EXPORT_FORMAT_HCL,
+  TF_EXPORT_FORMAT_JSON,
+  TF_EXPORT_FORMAT_HCL_JSON,
+];
+
+export const DEFAULT_TF_EXPORT_DIRECTORY = "./genesyscloud";
+
+/** Every dependency becomes a `type::.*` replace_with_datasource entry (the default). */
+export const TF_EXPORT_DEPENDENCIES_REPLACE_ALL = "";
+/** Export the chosen dependencies alongside; replace the rest. */
+export const TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE = "outside";
+/** Export every transitive dependency through include_filter_resources. */
+export const TF_EXPORT_DEPENDENCIES_INCLUDE = "include";
+
+const TF_EXPORT_DEPENDENCY_STRATEGIES = [
+  TF_EXPORT_DEPENDENCIES_REPLACE_ALL,
+  TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE,
+  TF_EXPORT_DEPENDENCIES_INCLUDE,
+];
+
+export function normalizeTfExportDependencyStrategy(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return TF_EXPORT_DEPENDENCY_STRATEGIES.includes(v) ? v : TF_EXPORT_DEPENDENCIES_REPLACE_ALL;
+}
+
+export const EMPTY_TF_EXPORT_OPTIONS = Object.freeze({
+  type: "",
+  directory: "",
+  namePattern: "",
+  exportFormat: "",
+  excludeAttributes: null,
+  excludeFilterResources: [],
+  splitFilesByResource: true,
+  compress: false,
+  dependencyStrategy: TF_EXPORT_DEPENDENCIES_REPLACE_ALL,
+  exportedDependencies: [],
+});
+
+const QUERY_KEY = {
+  type: "tftype",
+  directory: "tfdir",
+  namePattern: "tfname",
+  exportFormat: "tfformat",
+  excludeAttributes: "tfexclude",
+  excludeFilterResources: "tfxfilter",
+  splitFilesByResource: "tfsplit",
+  compress: "tfcompress",
+  dependencyStrategy: "tfdeps",
+  exportedDependencies: "tfdepexport",
+};
+
+/** URL query keys owned by the export template form. */
+export const TF_EXPORT_OPTION_QUERY_KEYS = Object.values(QUERY_KEY);
+
+const PER_TYPE_FIELDS = [
+  "namePattern",
+  "excludeAttributes",
+  "dependencyStrategy",
+  "exportedDependencies",
+];
+
+export function normalizeTfExportFormat(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return TF_EXPORT_FORMATS.includes(v) ? v : "";
+}
+
+/**
+ * Split form input into list entries: one per line (filter regexes may contain
+ * commas), surrounding quotes and trailing commas dropped, duplicates removed.
+ */
+export function parseTfExportListInput(text) {
+  return normalizeTfExportList(String(text || "").split("\n"));
+}
+
+function normalizeTfExportList(values) {
+  const seen = new Set();
+  for (const part of values) {
+    const value = String(part || "")
+      .trim()
+      .replace(/,$/, "")
+      .replace(/^"(.*)"$/, "$1")
+      .trim();
+    if (value) seen.add(value);
+  }
+  return [...seen];
+}
+
+export function sameTfExportList(a, b) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+/** Fields that only apply to `options.type`; cleared when `resourceType` differs. */
+export function tfExportOptionsForType(options, resourceType) {
+  if (!options || options.type === resourceType) return options;
+  const cleared = { ...options, type: resourceType };
+  for (const field of PER_TYPE_FIELDS) cleared[field] = EMPTY_TF_EXPORT_OPTIONS[field];
+  return cleared;
+}
+
+/**
+ * Export template edits from URL search params (`?tfformat=json&tfcompress=yes`).
+ * List fields repeat their key; a lone empty `tfexclude=` clears exclude_attributes.
+ */
+export function tfExportOptionsFromSearchParams(searchParams, resourceType = "") {
+  const get = (key) => searchParams?.get(QUERY_KEY[key]) ?? null;
+  const getAll = (key) => normalizeTfExportList(searchParams?.getAll(QUERY_KEY[key]) ?? []);
+  const hasExcludeAttributes = Boolean(searchParams?.has(QUERY_KEY.excludeAttributes));
+
+  const options = {
+    type: (get("type") || "").trim(),
+    directory: (get("directory") || "").trim(),
+    namePattern: (get("namePattern") || "").trim(),
+    exportFormat: normalizeTfExportFormat(get("exportFormat")),
+    excludeAttributes: hasExcludeAttributes ? getAll("excludeAttributes") : null,
+    excludeFilterResources: getAll("excludeFilterResources"),
+    splitFilesByResource: get("splitFilesByResource") !== "no",
+    compress: get("compress") === "yes",
+    dependencyStrategy: normalizeTfExportDependencyStrategy(get("dependencyStrategy")),
+    exportedDependencies: getAll("exportedDependencies"),
+  };
+
+  return resourceType ? tfExportOptionsForType(options, resourceType) : options;
+}
+
+/**
+ * `{ key: value }` pairs for the URL. null removes the key; arrays repeat it.
+ */
+export function tfExportOptionsToQueryParams(options) {
+  const o = { ...EMPTY_TF_EXPORT_OPTIONS, ...options };
+  const hasPerTypeEdits =
+    Boolean(o.namePattern) ||
+    o.excludeAttributes !== null ||
+    Boolean(o.dependencyStrategy) ||
+    o.exportedDependencies.length > 0;
+
+  return {
+    [QUERY_KEY.type]: hasPerTypeEdits && o.type ? o.type : null,
+    [QUERY_KEY.directory]: o.directory || null,
+    [QUERY_KEY.namePattern]: o.namePattern || null,
+    [QUERY_KEY.exportFormat]: normalizeTfExportFormat(o.exportFormat) || null,
+    [QUERY_KEY.excludeAttributes]:
+      o.excludeAttributes === null
+        ? null
+        : o.excludeAttributes.length
+          ? o.excludeAttributes
+          : [""],
+    [QUERY_KEY.excludeFilterResources]: o.excludeFilterResources.length
+      ? o.excludeFilterResources
+      : null,
+    [QUERY_KEY.splitFilesByResource]: o.splitFilesByResource ? null : "no",
+    [QUERY_KEY.compress]: o.compress ? "yes" : null,
+    [QUERY_KEY.dependencyStrategy]: o.dependencyStrategy || null,
+    [QUERY_KEY.exportedDependencies]:
+      o.dependencyStrategy === TF_EXPORT_DEPENDENCIES_REPLACE_OUTSIDE && o.exportedDependencies.length
+        ? o.exportedDependencies
+        : null,
+  };
+}
+
+export function countEditedTfExportOptions(options, suggestedExcludeAttributes = []) {
+  const o = { ...EMPTY_TF_EXPORT_OPTIONS, ...options };
+  return [
+    Boolean(o.directory),
+    Boolean(o.namePattern),
+    Boolean(normalizeTfExportFormat(o.exportFormat)),
+    o.excludeAttributes !== null && !sameTfExportList(o.excludeAttributes, suggestedExcludeAttributes),
+    o.excludeFilterResources.length > 0,
+    !o.splitFilesByResource,
+    o.compress,
+    Boolean(o.dependencyStrategy),
+  ].filter(Boolean).length;
+}
+
+/**
+ * Concrete attribute values for the template.
+ *
+ * @param {object} options edits from the form
+ * @param {{ suggestedExcludeAttributes?: string[] }} [context]
+ * @returns {{
+ *   directory: string,
+ *   namePattern: string,
+ *   exportFormat: string,
+ *   excludeAttributes: string[],
+ *   excludeFilterResources: string[],
+ *   splitFilesByResource: boolean,
+ *   compress: boolean,
+ *   dependencyStrategy: string,
+ *   exportedDependencies: string[],
+ * }}
+ */
+export function resolveTfExportOptions(options, { suggestedExcludeAttributes = [] } = {}) {
+  const o = { ...EMPTY_TF_EXPORT_OPTIONS, ...options };
+  return {
+    directory: o.directory || DEFAULT_TF_EXPORT_DIRECTORY,
+    namePattern: o.namePattern,
+    exportFormat: normalizeTfExportFormat(o.exportFormat) || TF_EXPORT_FORMAT_HCL,
+    excludeAttributes: o.excludeAttributes ?? suggestedExcludeAttributes,
+    excludeFilterResources: o.excludeFilterResources,
+    splitFilesByResource: o.splitFilesByResource,
+    compress: o.compress,
+    dependencyStrategy: normalizeTfExportDependencyStrategy(o.dependencyStrategy),
+    exportedDependencies: o.exportedDependencies,
+  };
+}
+
+/**
+ * Edits that apply to every type (used by the combined export block), without
+ * the per-type name pattern, exclude_attributes and dependency strategy.
+ */
+export function sharedTfExportOptions(options) {
+  const shared = { ...EMPTY_TF_EXPORT_OPTIONS, ...options };
+  for (const field of PER_TYPE_FIELDS) shared[field] = EMPTY_TF_EXPORT_OPTIONS[field];
+  return shared;
+}
+
+/**
+ * Problem with a name regex, or "". The provider compiles it with Go's RE2;
+ * JavaScript catches the common mistakes (unbalanced groups, bad escapes).
+ */
+export function validateTfExportNamePattern(pattern) {
+  if (!pattern) return "";
+  if (/\(\?(?:[=!]|<[=!])/.test(pattern)) return "Lookarounds are not supported by the provider (Go RE2).";
+  if (/\\[1-9]/.test(pattern)) return "Backreferences are not supported by the provider (Go RE2).";
+  try {
+    // Go spells named groups (?P<name>...); JavaScript only accepts (?<name>...).
+    new RegExp(pattern.replaceAll("(?P<", "(?<"));
+    return "";
+  } catch (e) {
+    return e.message;
+  }
+}
@@ -0,0 +1,133 @@
+import labProvidersTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/export/providers.tf?raw";
+import labTerraformTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/export/terraform.tf?raw";
+import labTerraformTfvars from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/export/terraform.tfvars?raw";
+import labVariablesTf from "../scripts/templates/cx-as-code-lab/CX_as_Code-Lab/export/variables.tf?raw";
+import {
+  patchProviderVersionPins,
+  renderLabReadmeProviderVersionLine,
+} from "../scripts/lib/lab-package-version.mjs";
+import { TF_EXPORT_MODE_EXPORT_STATE } from "./tfExportTemplate.js";
+import { createZipArchive } from "./zipArchive.js";
+
+/**
+ * "Download project" for the export template panels: a ready-to-apply
+ * Terraform root built from the CX as Code lab export folder, with the
+ * generated genesyscloud_tf_export block as main.tf.
+ */
+
+export const TF_EXPORT_PROJECT_ROOT = "cx-as-code-export";
+
+/** Zip filename: the type for one type, a count for a combined selection. */
+export function tfExportProjectFilename(types, versionLabel) {
+  const subject = types.length === 1 ? types[0] : `${types.length}-types`;
+  return `${TF_EXPORT_PROJECT_ROOT}-${subject}-${versionLabel}.zip`;
+}
+
+function renderProjectReadme({ types, envVars, note, providerVersion, versionLabel, mode, directory }) {
+  const isExportState = mode === TF_EXPORT_MODE_EXPORT_STATE;
+  const lines = [
+    `# CX as Code export (${versionLabel})`,
+    "",
+    `Terraform root that runs \`genesyscloud_tf_export\` for ${types.length === 1 ? "one resource type" : `${types.length} resource types`}:`,
+    "",
+    ...types.map((type) => `- \`${type}\``),
+    "",
+    providerVersion
+      ? `Provider: \`${renderLabReadmeProviderVersionLine(providerVersion)}\` (pinned in terraform.tf).`
+      : "Provider: the version pinned in terraform.tf.",
+    "",
+    "| File | Contents |",
+    "| --- | --- |",
+    "| `terraform.tf` | required_providers with the pinned genesyscloud provider |",
+    "| `providers.tf` | provider block reading OAuth credentials and region from variables |",
+    "| `variables.tf` | credential and region variables |",
+    "| `terraform.tfvars` | values for the source org; keep it out of source control |",
+    "| `main.tf` | the export block from the explorer |",
+    "",
+    "## Run the export",
+    "",
+    "1. Create an OAuth client (client credentials grant) in the source org with a role that can read every type above.",
+    "2. Fill in `terraform.tfvars`, or set `TF_VAR_genesyscloud_oauthclient_id`, `TF_VAR_genesyscloud_oauthclient_secret` and `TF_VAR_genesyscloud_region` instead.",
+  ];
+
+  if (envVars.length) {
+    lines.push(
+      "3. Export the provider settings the template calls for:",
+      "",
+      "   ```sh",
+      ...envVars.map(({ name, valueHint }) => `   export ${name}=${valueHint}`),
+      "   ```",
+      ""
+    );
+  }
+
+  lines.push(
+    `${envVars.length ? 4 : 3}. Apply:`,
+    "",
+    "   ```sh",
+    "   terraform init",
+    "   terraform apply",
+    "   ```",
+    "",
+    `The exported configuration is written to \`${directory}\`${isExportState ? " together with a terraform.tfstate for the exported resources" : ""}. ` +
+      "Applying again replaces it, so copy it elsewhere before editing.",
+    ""
+  );
+
+  if (note) {
+    lines.push("## Good to know", "", note.trim(), "");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {{
+ *   types: string[],
+ *   template: string,
+ *   envVars?: Array<{ name: string, valueHint: string }>,
+ *   note?: string,
+ *   providerVersion?: string,
+ *   versionLabel?: string,
+ *   mode?: string,
+ *   directory: string,
+ * }} project `template` is the copyable export template (env var comments
+ *   included); `providerVersion` is a bare version for the pin, and the lab
+ *   template's pin is kept when it is empty.
+ * @returns {Uint8Array}
+ */
+export function buildTfExportProjectZip({
+  types,
+  template,
+  envVars = [],
+  note = "",
+  providerVersion = "",
+  versionLabel = "unknown",
+  mode,
+  directory,
+}) {
+  const root = TF_EXPORT_PROJECT_ROOT;
+  const terraformTf = providerVersion
+    ? patchProviderVersionPins(labTerraformTf, providerVersion)
+    : labTerraformTf;
+
+  return createZipArchive([
+    {
+      path: `${root}/README.md`,
+      content: renderProjectReadme({
+        types,
+        envVars,
+        note,
+        providerVersion,
+        versionLabel,
+        mode,
+        directory,
+      }),
+    },
+    { path: `${root}/terraform.tf`, content: terraformTf },
+    { path: `${root}/providers.tf`, content: labProvidersTf },
+    { path: `${root}/variables.tf`, content: labVariablesTf },
+    { path: `${root}/terraform.tfvars`, content: labTerraformTfvars },
+    { path: `${root}/main.tf`, content: `${template.trimEnd()}\n` },
+  ]);
+}
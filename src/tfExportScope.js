@@ -0,0 +1,82 @@
+import { buildExcludeFilterResources } from "../scripts/lib/lab-export-scope.mjs";
+import { effectiveDependencies } from "./effectiveDependencies.js";
+import { resolveGuiMenuPath } from "./guiMenuPaths.js";
+
+/**
+ * "Export everything except" scopes for full-org exports.
+ *
+ * Instead of listing what to export, a full-org genesyscloud_tf_export block
+ * lists what to leave out. The user picks the types to keep; every other
+ * exportable type goes to exclude_filter_resources, except dependencies of
+ * kept types, which are exported as data sources (replace_with_datasource) so
+ * references still resolve. The exclusion rule is the one the exportall lab
+ * package uses at build time (buildExcludeFilterResources).
+ */
+
+export const TF_EXPORT_SCOPE_OTHER_SECTION = "Other";
+
+function sortTypes(types) {
+  return [...types].sort((a, b) => a.localeCompare(b));
+}
+
+/** Top-level GUI menu section for a type ("Orchestration > Architect" → "Orchestration"). */
+export function resolveTfExportScopeSection(resourceType, overrides, generatedGuiMenuPaths) {
+  const path = resolveGuiMenuPath(resourceType, overrides, generatedGuiMenuPaths);
+  return path.split(" > ")[0]?.trim() || TF_EXPORT_SCOPE_OTHER_SECTION;
+}
+
+/**
+ * Group types by top-level menu section, sections sorted by name with types
+ * that have no menu path last.
+ *
+ * @returns {Array<{ section: string, types: string[] }>}
+ */
+export function groupTfExportScopeSections(types, overrides, generatedGuiMenuPaths) {
+  const bySection = new Map();
+  for (const type of types) {
+    const section = resolveTfExportScopeSection(type, overrides, generatedGuiMenuPaths);
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push(type);
+  }
+
+  return [...bySection.entries()]
+    .sort(([a], [b]) => {
+      if (a === TF_EXPORT_SCOPE_OTHER_SECTION) return 1;
+      if (b === TF_EXPORT_SCOPE_OTHER_SECTION) return -1;
+      return a.localeCompare(b);
+    })
+    .map(([section, sectionTypes]) => ({ section, types: sortTypes(sectionTypes) }));
+}
+
+/**
+ * Resolve the lists for a full-org export that keeps `keep`.
+ *
+ * - replace: dependencies of kept types that are not kept themselves (and can
+ *   be exported), so the kept resources reference data sources instead
+ * - exclude: every other exportable type
+ * - types the provider cannot export are left out of both lists
+ *
+ * @param {{ types: Iterable<string>, keep: Iterable<string>, depsMap: Map<string, string[]>, nonExportableTypes?: Set<string> }} input
+ * @returns {{ kept: string[], exclude: string[], replace: string[] }}
+ */
+export function resolveTfExportScope({ types, keep, depsMap, nonExportableTypes = new Set() }) {
+  const exportable = sortTypes(new Set(types)).filter((type) => !nonExportableTypes.has(type));
+  const keepSet = new Set(keep);
+  const kept = exportable.filter((type) => keepSet.has(type));
+  const keptSet = new Set(kept);
+  const exportableSet = new Set(exportable);
+
+  const replaceSet = new Set();
+  for (const type of kept) {
+    for (const dependency of effectiveDependencies(type, depsMap?.get(type) || [])) {
+      const depType = dependency.trim();
+      if (!keptSet.has(depType) && exportableSet.has(depType)) replaceSet.add(depType);
+    }
+  }
+  const replace = sortTypes(replaceSet);
+
+  const notKept = exportable.filter((type) => !keptSet.has(type));
+  const exclude = buildExcludeFilterResources(notKept, replaceSet, nonExportableTypes);
+
+  return { kept, exclude, replace };
+}
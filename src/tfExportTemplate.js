@@ -1,4 +1,11 @@
 import { effectiveDependencies } from "./effectiveDependencies.js";
+import {
+  TF_EXPORT_FORMAT_HCL,
+  TF_EXPORT_FORMAT_HCL_JSON,
+  TF_EXPORT_FORMAT_JSON,
+  normalizeTfExportFormat,
+  resolveTfExportOptions,
+} from "./tfExportOptions.js";
 
 export { effectiveDependencies };
 
@@ -125,13 +132,64 @@ function formatAttributeListForProse(attributes) {
   return `${rest}, and \`${last}\``;
 }
 
+/**
+ * Files the exporter writes for an export_format: `json` writes Terraform JSON
+ * syntax (`.tf.json`), `hcl_json` writes both.
+ */
+export function tfExportConfigFileDescription(exportFormat) {
+  const format = normalizeTfExportFormat(exportFormat) || TF_EXPORT_FORMAT_HCL;
+  if (format === TF_EXPORT_FORMAT_JSON) return "JSON configuration (.tf.json)";
+  if (format === TF_EXPORT_FORMAT_HCL_JSON) return "HCL and JSON configuration (.tf and .tf.json)";
+  return "HCL configuration";
+}
+
+/** One-line description above the export template. */
+export function tfExportTemplateHint(mode, exportFormat) {
+  const format = normalizeTfExportFormat(exportFormat) || TF_EXPORT_FORMAT_HCL;
+  if (normalizeTfExportMode(mode) === TF_EXPORT_MODE_EXPORT_STATE) {
+    const config =
+      format === TF_EXPORT_FORMAT_HCL
+        ? ""
+        : ` Also writes ${tfExportConfigFileDescription(format)}.`;
+    return `Generate a Terraform state file for existing resources — brownfield adoption and import workflows.${config}`;
+  }
+  return `Generate ${tfExportConfigFileDescription(format)} for this resource, with dependency types exported as data sources.`;
+}
+
+function renderIgnoreChangesHcl(type, label, ignoreChanges) {
+  return [
+    "```",
+    `resource "${type}" "${label}" {`,
+    "  ...",
+    "  lifecycle {",
+    `    ignore_changes = ${formatTfExportIgnoreChangesList(ignoreChanges)}`,
+    "  }",
+    "  ...",
+    "}",
+    "```",
+  ];
+}
+
+/**
+ * In JSON syntax lifecycle is a nested object on the resource, and each
+ * ignore_changes entry is a string holding the attribute expression.
+ */
+function renderIgnoreChangesJson(type, label, ignoreChanges) {
+  const resource = {
+    resource: { [type]: { [label]: { lifecycle: { ignore_changes: ignoreChanges } } } },
+  };
+  return ["```json", JSON.stringify(resource, null, 2), "```"];
+}
+
 /**
  * Build the Good To Know markdown note for exclude_attributes guidance.
+ * `exportFormat` picks whether the lifecycle example is HCL, JSON or both.
  */
 export function buildTfExportExcludeAttributesNote(
   resourceType,
   { attributes, excludeAttributes, ignoreChanges },
-  resourceName = RESOURCE_NAME_PLACEHOLDER
+  resourceName = RESOURCE_NAME_PLACEHOLDER,
+  { exportFormat = TF_EXPORT_FORMAT_HCL } = {}
 ) {
   const type = (resourceType || "").trim();
   if (
@@ -149,12 +207,19 @@ export function buildTfExportExcludeAttributesNote(
       ? resourceName.trim()
       : RESOURCE_NAME_PLACEHOLDER;
 
+  const format = normalizeTfExportFormat(exportFormat) || TF_EXPORT_FORMAT_HCL;
   const excludeLine = `exclude_attributes = ${formatTfExportExcludeAttributesList(excludeAttributes)}`;
+  const lifecycleHint =
+    format === TF_EXPORT_FORMAT_JSON
+      ? "a matching `\"lifecycle\": { \"ignore_changes\": [...] }` object on each exported resource in the `.tf.json` output"
+      : format === TF_EXPORT_FORMAT_HCL_JSON
+        ? "a matching `lifecycle { ignore_changes = [...] }` block on each exported resource (in the `.tf.json` copy, a `\"lifecycle\"` object)"
+        : "a matching `lifecycle { ignore_changes = [...] }` block on each exported resource";
 
   const lines = [
     `**Good To Know:** For this resource type, consider excluding ${formatAttributeListForProse(attributes)}.`,
     "",
-    "If you use `exclude_attributes`, add a matching `lifecycle { ignore_changes = [...] }` block on each exported resource. Otherwise Terraform may plan to remove those attributes from the org on apply.",
+    `If you use \`exclude_attributes\`, add ${lifecycleHint}. Otherwise Terraform may plan to remove those attributes from the org on apply.`,
     "",
     "**In `genesyscloud_tf_export`:**",
     "```",
@@ -163,20 +228,22 @@ export function buildTfExportExcludeAttributesNote(
   ];
 
   if (Array.isArray(ignoreChanges) && ignoreChanges.length > 0) {
-    const ignoreLine = `ignore_changes = ${formatTfExportIgnoreChangesList(ignoreChanges)}`;
-    lines.push(
-      "",
-      "**On the exported resource:**",
-      "```",
-      `resource "${type}" "${label}" {`,
-      "  ...",
-      "  lifecycle {",
-      `    ${ignoreLine}`,
-      "  }",
-      "  ...",
-      "}",
-      "```"
-    );
+    if (format !== TF_EXPORT_FORMAT_JSON) {
+      lines.push(
+        "",
+        format === TF_EXPORT_FORMAT_HCL_JSON
+          ? "**On the exported resource (`.tf`):**"
+          : "**On the exported resource:**",
+        ...renderIgnoreChangesHcl(type, label, ignoreChanges)
+      );
+    }
+    if (format !== TF_EXPORT_FORMAT_HCL) {
+      lines.push(
+        "",
+        "**On the exported resource (`.tf.json`):**",
+        ...renderIgnoreChangesJson(type, label, ignoreChanges)
+      );
+    }
   }
 
   return lines.join("\n");
@@ -186,10 +253,10 @@ export function buildTfExportExcludeAttributesNote(
  * Per-type Good To Know note for the export template panel. Empty when the type
  * has no tfExportExcludeAttributes entry in overrides.json.
  */
-export function resolveTfExportNote(resourceType, overrides, resourceName) {
+export function resolveTfExportNote(resourceType, overrides, resourceName, { exportFormat } = {}) {
   const entry = resolveTfExportExcludeAttributesEntry(resourceType, overrides);
   if (!entry) return "";
-  return buildTfExportExcludeAttributesNote(resourceType, entry, resourceName);
+  return buildTfExportExcludeAttributesNote(resourceType, entry, resourceName, { exportFormat });
 }
 
 const TF_EXPORT_ATTR_WIDTH = "use_legacy_architect_flow_exporter".length;
@@ -204,73 +271,271 @@ function normalizeTfExportMode(mode) {
     : TF_EXPORT_MODE_EXPORT;
 }
 
+function normalizeTfExportResourceName(resourceName) {
+  return typeof resourceName === "string" && resourceName.trim()
+    ? resourceName.trim()
+    : RESOURCE_NAME_PLACEHOLDER;
+}
+
+function formatTfExportList(entries, { multiline = false } = {}) {
+  if (entries.length === 0) return "[]";
+  if (!multiline || entries.length === 1) {
+    return `[${entries.map((e) => JSON.stringify(e)).join(", ")}]`;
+  }
+  return `[\n${entries.map((e) => `    ${JSON.stringify(e)},`).join("\n")}\n  ]`;
+}
+
+/**
+ * `exportOptions` holds resolved form values (see resolveTfExportOptions).
+ * include_filter_resources and exclude_filter_resources are mutually exclusive
+ * in the provider, so exclude filters replace the include filter when set.
+ * Full-org blocks pass `includeFilters: null` and always write the exclude list.
+ */
+function renderTfExportBlock({
+  includeFilters,
+  replaceEntries,
+  isExportState,
+  multiline,
+  exportOptions,
+  dependencyResolution = !isExportState,
+}) {
+  const options = { ...resolveTfExportOptions(), ...exportOptions };
+  const filterLine = options.excludeFilterResources.length || !includeFilters
+    ? tfExportAttrLine(
+        "exclude_filter_resources",
+        formatTfExportList(options.excludeFilterResources, { multiline: true })
+      )
+    : tfExportAttrLine("include_filter_resources", formatTfExportList(includeFilters, { multiline }));
+
+  const body = [
+    ...(options.compress ? [tfExportAttrLine("compress", "true")] : []),
+    tfExportAttrLine("directory", JSON.stringify(options.directory)),
+    tfExportAttrLine("enable_dependency_resolution", dependencyResolution ? "true" : "false"),
+    tfExportAttrLine("export_format", JSON.stringify(options.exportFormat)),
+    tfExportAttrLine(
+      "exclude_attributes",
+      formatTfExportList(options.excludeAttributes, { multiline: true })
+    ),
+    tfExportAttrLine("include_state_file", isExportState ? "true" : "false"),
+    filterLine,
+    tfExportAttrLine("log_permission_errors", "true"),
+    tfExportAttrLine(
+      "replace_with_datasource",
+      formatTfExportList(isExportState ? [] : replaceEntries, { multiline })
+    ),
+    tfExportAttrLine("split_files_by_resource", options.splitFilesByResource ? "true" : "false"),
+    tfExportAttrLine(
+      "use_legacy_architect_flow_exporter",
+      isExportState ? "true" : "false"
+    ),
+  ].join("\n");
+
+  return `resource "genesyscloud_tf_export" "tf_export" {\n${body}\n}`;
+}
+
+function withEnvVarPreamble(block, envVars) {
+  if (!block) return "";
+
+  const preamble = (envVars || []).map(formatEnvVarComment);
+  if (preamble.length === 0) return block;
+
+  return `${preamble.join("\n")}\n\n${block}`;
+}
+
 /**
  * Build a genesyscloud_tf_export resource block for a resource type.
  *
  * - include_filter_resources: single filter for the selected type and resource name
  * - replace_with_datasource (export mode): depends-on types as datasource patterns, excluding self-deps
  * - exportstate mode: include_state_file true, no dependency resolution, empty replace_with_datasource
+ * - exportOptions: edited attribute values; a namePattern replaces the `^name$` filter
+ * - dependencyPlan: from resolveTfExportDependencyPlan; its includeTypes are added as
+ *   `type::.*` filters and its replaceTypes take the place of `dependencies`
  */
 export function buildTfExportAttributes(
   resourceType,
   dependencies,
   resourceName,
-  { mode = TF_EXPORT_MODE_EXPORT } = {}
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions, dependencyPlan } = {}
 ) {
   const type = (resourceType || "").trim();
   if (!type) return "";
 
-  const exportMode = normalizeTfExportMode(mode);
-  const isExportState = exportMode === TF_EXPORT_MODE_EXPORT_STATE;
+  const name = normalizeTfExportResourceName(resourceName);
+  const namePattern = exportOptions?.namePattern || `^${name}$`;
+  const includeTypes = dependencyPlan?.includeTypes || [];
+  const replaceTypes = dependencyPlan
+    ? dependencyPlan.replaceTypes
+    : effectiveDependencies(type, dependencies);
+
+  return renderTfExportBlock({
+    includeFilters: [`${type}::${namePattern}`, ...includeTypes.map((d) => `${d}::.*`)],
+    replaceEntries: replaceTypes.map((d) => `${d.trim()}::.*`),
+    isExportState: normalizeTfExportMode(mode) === TF_EXPORT_MODE_EXPORT_STATE,
+    multiline: includeTypes.length > 0,
+    exportOptions,
+  });
+}
 
-  const name =
-    typeof resourceName === "string" && resourceName.trim()
-      ? resourceName.trim()
-      : RESOURCE_NAME_PLACEHOLDER;
+/**
+ * Build the full copyable export template: env var shell comments, then the HCL block.
+ */
+export function buildTfExportTemplate(
+  resourceType,
+  dependencies,
+  resourceName,
+  envVars,
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions, dependencyPlan } = {}
+) {
+  return withEnvVarPreamble(
+    buildTfExportAttributes(resourceType, dependencies, resourceName, {
+      mode,
+      exportOptions,
+      dependencyPlan,
+    }),
+    envVars
+  );
+}
 
-  const replaceEntries = effectiveDependencies(type, dependencies).map(
-    (d) => `${d.trim()}::.*`
+/**
+ * Build a full-org genesyscloud_tf_export block: no include filter, every
+ * `excludeTypes` entry in exclude_filter_resources and `replaceTypes` as
+ * `type::.*` data source patterns (see resolveTfExportScope). Dependency
+ * resolution stays off, as in the exportall lab, so excluded types are not
+ * pulled back in through references.
+ */
+export function buildTfExportAllAttributes(
+  excludeTypes,
+  replaceTypes,
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions } = {}
+) {
+  return renderTfExportBlock({
+    includeFilters: null,
+    replaceEntries: (replaceTypes || []).map((type) => `${type}::.*`),
+    isExportState: normalizeTfExportMode(mode) === TF_EXPORT_MODE_EXPORT_STATE,
+    multiline: true,
+    exportOptions: { ...exportOptions, excludeFilterResources: excludeTypes || [] },
+    dependencyResolution: false,
+  });
+}
+
+/**
+ * Full-org export template with the env var preamble.
+ */
+export function buildTfExportAllTemplate(
+  excludeTypes,
+  replaceTypes,
+  envVars,
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions } = {}
+) {
+  return withEnvVarPreamble(
+    buildTfExportAllAttributes(excludeTypes, replaceTypes, { mode, exportOptions }),
+    envVars
   );
+}
 
-  const includeFilter = `["${type}::^${name}$"]`;
-  const replaceWith = isExportState
-    ? "[]"
-    : `[${replaceEntries.map((e) => JSON.stringify(e)).join(", ")}]`;
+/**
+ * Drop blank and repeated types from a combined-export selection, keeping the
+ * first occurrence. Each entry is `{ type, dependencies, resourceName }`.
+ */
+function normalizeCombinedTfExportResources(resources) {
+  const seen = new Set();
+  const out = [];
+  for (const entry of Array.isArray(resources) ? resources : []) {
+    const type = (entry?.type || "").trim();
+    if (!type || seen.has(type)) continue;
+    seen.add(type);
+    out.push({
+      type,
+      dependencies: Array.isArray(entry.dependencies) ? entry.dependencies : [],
+      resourceName: normalizeTfExportResourceName(entry.resourceName),
+    });
+  }
+  return out;
+}
 
-  const body = [
-    tfExportAttrLine("directory", '"./genesyscloud"'),
-    tfExportAttrLine("enable_dependency_resolution", isExportState ? "false" : "true"),
-    tfExportAttrLine("export_format", '"hcl"'),
-    tfExportAttrLine("exclude_attributes", "[]"),
-    tfExportAttrLine("include_state_file", isExportState ? "true" : "false"),
-    tfExportAttrLine("include_filter_resources", includeFilter),
-    tfExportAttrLine("log_permission_errors", "true"),
-    tfExportAttrLine("replace_with_datasource", replaceWith),
-    tfExportAttrLine("split_files_by_resource", "true"),
-    tfExportAttrLine(
-      "use_legacy_architect_flow_exporter",
-      isExportState ? "true" : "false"
-    ),
-  ].join("\n");
+/**
+ * Union of replace_with_datasource types for a combined export. Types that are
+ * themselves part of the selection are exported as resources, so they are left
+ * out; the result is sorted for a stable template.
+ */
+export function resolveCombinedReplaceWithDatasourceTypes(resources) {
+  const entries = normalizeCombinedTfExportResources(resources);
+  const selected = new Set(entries.map((entry) => entry.type));
+  const replaceTypes = new Set();
+
+  for (const { type, dependencies } of entries) {
+    for (const dep of effectiveDependencies(type, dependencies)) {
+      const depType = dep.trim();
+      if (!selected.has(depType)) replaceTypes.add(depType);
+    }
+  }
 
-  return `resource "genesyscloud_tf_export" "tf_export" {\n${body}\n}`;
+  return [...replaceTypes].sort((a, b) => a.localeCompare(b));
 }
 
 /**
- * Build the full copyable export template: env var shell comments, then the HCL block.
+ * Build one genesyscloud_tf_export block covering several resource types.
+ *
+ * - include_filter_resources: one `type::^name$` filter per selected type, in selection order
+ * - replace_with_datasource (export mode): merged dependencies minus the selected types
+ * - lists with more than one entry are written one per line
  */
-export function buildTfExportTemplate(
-  resourceType,
-  dependencies,
-  resourceName,
+export function buildCombinedTfExportAttributes(
+  resources,
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions } = {}
+) {
+  const entries = normalizeCombinedTfExportResources(resources);
+  if (entries.length === 0) return "";
+
+  return renderTfExportBlock({
+    includeFilters: entries.map(({ type, resourceName }) => `${type}::^${resourceName}$`),
+    replaceEntries: resolveCombinedReplaceWithDatasourceTypes(entries).map((d) => `${d}::.*`),
+    isExportState: normalizeTfExportMode(mode) === TF_EXPORT_MODE_EXPORT_STATE,
+    multiline: true,
+    exportOptions,
+  });
+}
+
+/**
+ * Combined export template with the merged env var preamble.
+ */
+export function buildCombinedTfExportTemplate(
+  resources,
   envVars,
-  { mode = TF_EXPORT_MODE_EXPORT } = {}
+  { mode = TF_EXPORT_MODE_EXPORT, exportOptions } = {}
 ) {
-  const block = buildTfExportAttributes(resourceType, dependencies, resourceName, { mode });
-  if (!block) return "";
+  return withEnvVarPreamble(
+    buildCombinedTfExportAttributes(resources, { mode, exportOptions }),
+    envVars
+  );
+}
 
-  const preamble = (envVars || []).map(formatEnvVarComment);
-  if (preamble.length === 0) return block;
+/**
+ * Merge per-type env var lists (from resolveProviderEnvVars) into one list,
+ * keeping the first entry for each name.
+ */
+export function mergeProviderEnvVars(envVarLists) {
+  const byName = new Map();
+  for (const list of Array.isArray(envVarLists) ? envVarLists : []) {
+    for (const envVar of Array.isArray(list) ? list : []) {
+      if (!envVar?.name || byName.has(envVar.name)) continue;
+      byName.set(envVar.name, envVar);
+    }
+  }
+  return [...byName.values()];
+}
 
-  return `${preamble.join("\n")}\n\n${block}`;
+/**
+ * Good To Know notes for every selected type that has a tfExportExcludeAttributes
+ * entry, one section per type.
+ */
+export function resolveCombinedTfExportNote(resources, overrides, { exportFormat } = {}) {
+  return normalizeCombinedTfExportResources(resources)
+    .map(({ type, resourceName }) => {
+      const note = resolveTfExportNote(type, overrides, resourceName, { exportFormat });
+      return note ? `**\`${type}\`**\n\n${note}` : "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
 }
@@ -0,0 +1,77 @@
+/**
+ * Line diff between the export template for one type under two provider
+ * versions. Templates are a few dozen lines, so a plain LCS table is enough.
+ */
+
+export const LINE_SAME = "same";
+export const LINE_ADDED = "added";
+export const LINE_REMOVED = "removed";
+
+function splitLines(text) {
+  return text ? String(text).split("\n") : [];
+}
+
+/**
+ * @returns {Array<{ kind: string, text: string }>} LINE_SAME / LINE_REMOVED (only in
+ *   `before`) / LINE_ADDED (only in `after`), removals listed before additions
+ */
+export function diffTemplateLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ kind: LINE_SAME, text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ kind: LINE_REMOVED, text: a[i] });
+      i += 1;
+    } else {
+      lines.push({ kind: LINE_ADDED, text: b[j] });
+      j += 1;
+    }
+  }
+  while (i < a.length) lines.push({ kind: LINE_REMOVED, text: a[i++] });
+  while (j < b.length) lines.push({ kind: LINE_ADDED, text: b[j++] });
+
+  return lines;
+}
+
+/** `{ added, removed }` line counts for a diffTemplateLines result. */
+export function countTemplateLineChanges(lines) {
+  let added = 0;
+  let removed = 0;
+  for (const line of lines) {
+    if (line.kind === LINE_ADDED) added += 1;
+    else if (line.kind === LINE_REMOVED) removed += 1;
+  }
+  return { added, removed };
+}
+
+/**
+ * What changed for one type between two versions, beyond the raw lines:
+ * the block label placeholder (which include_filter_resources regexes are
+ * matched against) and the dependencies behind replace_with_datasource.
+ *
+ * @returns {{ labelChanged: boolean, addedDeps: string[], removedDeps: string[] }}
+ */
+export function summarizeTfExportTemplateChange(before, after) {
+  const beforeDeps = new Set(before.dependencies);
+  const afterDeps = new Set(after.dependencies);
+  return {
+    labelChanged: before.resourceName !== after.resourceName,
+    addedDeps: after.dependencies.filter((dep) => !beforeDeps.has(dep)),
+    removedDeps: before.dependencies.filter((dep) => !afterDeps.has(dep)),
+  };
+}
@@ -0,0 +1,210 @@
+import { composeTfExportBlockLabel, tfExportBlockLabelFields } from "./tfExportNamePattern.js";
+
+/**
+ * Terraform 1.5+ `import` blocks (or `terraform import` commands) for existing
+ * objects of one type, labeled the way the exporter would label them: the raw
+ * block label is built from the type's placeholder (`<email>`,
+ * `<category>_<name>`, ...) and then sanitized into an HCL identifier.
+ */
+
+export const TF_IMPORT_OUTPUT_BLOCKS = "blocks";
+export const TF_IMPORT_OUTPUT_COMMANDS = "commands";
+
+const ID_HEADERS = new Set(["id", "guid", "resource id", "resource_id"]);
+
+const UNSAFE_LABEL_CHARS = /[^0-9A-Za-z_-]/gu;
+
+/** 32-bit FNV-1 over the UTF-8 bytes, as Go's hash/fnv New32. */
+function fnv1Hash32(value) {
+  let hash = 0x811c9dc5;
+  for (const byte of new TextEncoder().encode(value)) {
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+    hash = (hash ^ byte) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Block label → HCL identifier, following the provider's sanitizer: unsafe
+ * characters become "_" and, when any were replaced, a hash of the raw label
+ * is appended so names that sanitize alike stay distinct; labels that start
+ * with a digit get a "_" prefix. Characters outside the BMP count as one.
+ */
+export function sanitizeTfBlockLabel(label) {
+  const raw = String(label || "");
+  let name = raw.replace(UNSAFE_LABEL_CHARS, "_");
+  if (name !== raw) name = `${name}_${fnv1Hash32(raw)}`;
+  if (/^\d/.test(name)) name = `_${name}`;
+  return name;
+}
+
+function splitDelimitedLine(line, delimiter) {
+  const cells = [];
+  let current = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && !current.trim()) {
+      quoted = true;
+      current = "";
+    } else if (ch === delimiter) {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+
+  cells.push(quoted ? current : current.trim());
+  return cells;
+}
+
+function normalizeHeader(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_-]+/g, " ");
+}
+
+/**
+ * Rows from pasted text: one object per line as `id, field values...` in
+ * placeholder order, comma or tab separated (quoted cells may contain either).
+ * A first row starting with an `id` header maps columns by name instead.
+ *
+ * @param {string} text
+ * @param {string[]} fields placeholder fields, see tfExportBlockLabelFields
+ * @returns {{ rows: Array<{ line: number, id: string, values: string[] }>, errors: string[] }}
+ */
+export function parseTfImportRows(text, fields) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((content, index) => ({ content, line: index + 1 }))
+    .filter(({ content }) => content.trim());
+  if (!lines.length) return { rows: [], errors: [] };
+
+  const delimiter = lines[0].content.includes("\t") ? "\t" : ",";
+  let idColumn = 0;
+  let fieldColumns = fields.map((_, index) => index + 1);
+
+  const header = splitDelimitedLine(lines[0].content, delimiter).map(normalizeHeader);
+  if (ID_HEADERS.has(header[0]) || header.some((cell) => cell === "id")) {
+    idColumn = header.findIndex((cell) => ID_HEADERS.has(cell));
+    const unused = header.map((_, index) => index).filter((index) => index !== idColumn);
+    fieldColumns = fields.map((field) => {
+      const named = header.indexOf(normalizeHeader(field));
+      if (named !== -1 && named !== idColumn) {
+        unused.splice(unused.indexOf(named), 1);
+        return named;
+      }
+      return -1;
+    });
+    fieldColumns = fieldColumns.map((column) => (column === -1 ? (unused.shift() ?? -1) : column));
+    lines.shift();
+  }
+
+  const rows = [];
+  const errors = [];
+
+  for (const { content, line } of lines) {
+    const cells = splitDelimitedLine(content, delimiter);
+    const id = cells[idColumn] || "";
+    const values = fieldColumns.map((column) => (column === -1 ? "" : cells[column] || ""));
+
+    if (!id) {
+      errors.push(`Line ${line}: missing resource ID.`);
+      continue;
+    }
+    const missing = fields.filter((_, index) => !values[index]);
+    if (missing.length) {
+      errors.push(`Line ${line}: missing ${missing.join(", ")} for ${id}.`);
+      continue;
+    }
+    rows.push({ line, id, values });
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Label every row: placeholder → raw block label → HCL identifier. A label
+ * already issued gets the lowest free `_2`, `_3`, ... suffix, checked against
+ * every label issued so far (rows `Foo`, `Foo`, `Foo_2` cannot collide), so
+ * each import target is unique. The exporter resolves such collisions its own
+ * way, so these suffixed addresses will not match a later export.
+ *
+ * @returns {Array<{ id: string, blockLabel: string, label: string }>}
+ */
+export function buildTfImportEntries(placeholder, rows) {
+  const fields = tfExportBlockLabelFields(placeholder);
+  const issued = new Set();
+
+  return rows.map(({ id, values }) => {
+    const blockLabel = fields.length ? composeTfExportBlockLabel(placeholder, values) : placeholder;
+    const base = sanitizeTfBlockLabel(blockLabel);
+    let label = base;
+    for (let suffix = 2; issued.has(label); suffix += 1) label = `${base}_${suffix}`;
+    issued.add(label);
+    return { id, blockLabel, label };
+  });
+}
+
+function hclString(value) {
+  return JSON.stringify(value).replaceAll("${", "$${").replaceAll("%{", "%%{");
+}
+
+function renderResourceSkeleton(resourceType, label) {
+  return [
+    `resource "${resourceType}" "${label}" {`,
+    "  # Fill in the arguments, then run terraform plan until it shows no changes.",
+    "}",
+  ].join("\n");
+}
+
+/**
+ * `import` blocks, each followed by a skeleton resource unless `skeletons` is
+ * false (then `terraform plan -generate-config-out=...` writes the resources).
+ */
+export function renderTfImportBlocks(resourceType, entries, { skeletons = true } = {}) {
+  return entries
+    .map(({ id, blockLabel, label }) => {
+      const block = [
+        `# ${blockLabel}`,
+        "import {",
+        `  to = ${resourceType}.${label}`,
+        `  id = ${hclString(id)}`,
+        "}",
+      ].join("\n");
+      return skeletons ? `${block}\n\n${renderResourceSkeleton(resourceType, label)}` : block;
+    })
+    .join("\n\n");
+}
+
+/** Resource blocks `terraform import` needs in the configuration before it runs. */
+export function renderTfResourceSkeletons(resourceType, entries) {
+  return entries
+    .map(({ blockLabel, label }) => `# ${blockLabel}\n${renderResourceSkeleton(resourceType, label)}`)
+    .join("\n\n");
+}
+
+function shellQuote(value) {
+  return `'${String(value).replaceAll("'", `'\\''`)}'`;
+}
+
+/** `terraform import` commands for teams not on import blocks yet. */
+export function renderTfImportCommands(resourceType, entries) {
+  return entries
+    .map(({ id, label }) => `terraform import ${shellQuote(`${resourceType}.${label}`)} ${shellQuote(id)}`)
+    .join("\n");
+}
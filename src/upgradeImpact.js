@@ -0,0 +1,254 @@
+import { RELEASE_CHANGE_KIND_ORDER } from "../scripts/lib/release-notes-changes.mjs";
+import { resolveClassificationTypeSets } from "./resourceClassification.js";
+import { getForceNewAttributes, normalizeForceNewCatalog } from "./schemaForceNew.js";
+
+/**
+ * "Upgrade from vX to vY": every release-notes changes payload after `from`
+ * up to and including `to`, grouped by resource type and change kind, with
+ * the entries that can break an existing configuration flagged.
+ */
+
+/** Group key for entries without a resource (provider_configuration). */
+export const UPGRADE_IMPACT_PROVIDER = "";
+
+export const BREAKING_REMOVED = "Removed";
+export const BREAKING_FORCE_NEW = "Now forces replacement";
+export const BREAKING_DEPRECATED = "Newly deprecated";
+
+/** Same kind order as the release notes changes table. */
+export const UPGRADE_IMPACT_KIND_ORDER = RELEASE_CHANGE_KIND_ORDER;
+
+function withV(version) {
+  const bare = String(version || "").trim().replace(/^v/i, "");
+  return bare ? `v${bare}` : "";
+}
+
+/**
+ * Release-notes index entries in the upgrade range, oldest first. The index is
+ * newest first, so the range is everything above `fromVersion` down to
+ * `toVersion`; an empty list when `toVersion` is not newer.
+ */
+export function selectUpgradeReleases(index, fromVersion, toVersion) {
+  const entries = Array.isArray(index) ? index.filter((entry) => entry?.version) : [];
+  const positionOf = (version) => entries.findIndex((entry) => withV(entry.version) === withV(version));
+
+  const fromIndex = positionOf(fromVersion);
+  const toIndex = positionOf(toVersion);
+  if (fromIndex < 0 || toIndex < 0 || toIndex >= fromIndex) return [];
+
+  return entries.slice(toIndex, fromIndex).reverse();
+}
+
+/**
+ * Resource types mentioned in pasted text: one per line, comma-separated,
+ * `terraform state list` addresses or whole HCL blocks all work.
+ */
+export function parseManagedTypes(text) {
+  return new Set(String(text || "").match(/\bgenesyscloud_[a-z0-9_]+/g) || []);
+}
+
+/**
+ * Types and attributes with an `added` changes entry in the range; a config
+ * written against `from` cannot use them, so they are never breaking.
+ * Data source entries are skipped since they share names with resources.
+ */
+function addedInRange(releases) {
+  const types = new Set();
+  const attributes = new Map();
+  for (const release of releases || []) {
+    for (const change of release?.changes || []) {
+      if (change?.change !== "added" || !change.resource) continue;
+      if (String(change.kind || "").startsWith("data_source")) continue;
+      if (!change.attribute) {
+        types.add(change.resource);
+        continue;
+      }
+      if (!attributes.has(change.resource)) attributes.set(change.resource, new Set());
+      attributes.get(change.resource).add(change.attribute);
+    }
+  }
+  return { types, attributes };
+}
+
+/**
+ * Per type, attributes ForceNew in `after` but not `before`; empty unless both
+ * catalogs loaded. Only types listed in the `before` catalog count (a type
+ * missing there has no ForceNew attributes to compare against, or did not
+ * exist yet), and types or attributes added in the range are left out.
+ */
+function newForceNewAttributes(before, after, added) {
+  const beforeCatalog = normalizeForceNewCatalog(before);
+  const result = new Map();
+  for (const type of Object.keys(normalizeForceNewCatalog(after))) {
+    if (!Object.hasOwn(beforeCatalog, type) || added.types.has(type)) continue;
+    const previous = new Set(getForceNewAttributes(type, beforeCatalog));
+    const addedAttributes = added.attributes.get(type) || new Set();
+    const changed = getForceNewAttributes(type, after).filter(
+      (attribute) => !previous.has(attribute) && !addedAttributes.has(attribute)
+    );
+    if (changed.length) result.set(type, new Set(changed));
+  }
+  return result;
+}
+
+function breakingReason(entry, forceNew) {
+  if (entry.change === "removed") return BREAKING_REMOVED;
+  if (entry.attribute && forceNew.get(entry.resource)?.has(entry.attribute)) {
+    return BREAKING_FORCE_NEW;
+  }
+  if (!entry.attribute && entry.resource && /\bdeprecated\b/i.test(entry.summary || "")) {
+    return BREAKING_DEPRECATED;
+  }
+  return "";
+}
+
+function kindRank(kind) {
+  const rank = UPGRADE_IMPACT_KIND_ORDER.indexOf(kind);
+  return rank < 0 ? UPGRADE_IMPACT_KIND_ORDER.length : rank;
+}
+
+/**
+ * @param {Array<{ version: string, changes: object[] }>} releases oldest first
+ * @param {{
+ *   toVersion?: string,
+ *   managedTypes?: Set<string>,
+ *   forceNewBefore?: object,
+ *   forceNewAfter?: object,
+ *   classificationBefore?: object,
+ *   classificationAfter?: object,
+ *   overrides?: object,
+ * }} [context] schema force-new catalogs and classification documents for the
+ *   two endpoints. ForceNew attributes and deprecated types that are new at
+ *   `toVersion` but have no changes entry get one of their own; that needs
+ *   both sides, so a missing document only skips those extra entries.
+ * @returns {{
+ *   groups: Array<{
+ *     resource: string,
+ *     count: number,
+ *     breakingCount: number,
+ *     kinds: Array<{ kind: string, entries: object[] }>,
+ *   }>,
+ *   total: number,
+ *   breakingCount: number,
+ * }} provider-level group first, then types alphabetically
+ */
+export function buildUpgradeImpactReport(
+  releases,
+  {
+    toVersion = "",
+    managedTypes = new Set(),
+    forceNewBefore = {},
+    forceNewAfter = {},
+    classificationBefore = null,
+    classificationAfter = null,
+    overrides = null,
+  } = {}
+) {
+  const forceNew = newForceNewAttributes(forceNewBefore, forceNewAfter, addedInRange(releases));
+  const deprecatedBefore = resolveClassificationTypeSets(classificationBefore, overrides).deprecatedTypes;
+  const deprecatedAfter =
+    classificationBefore && classificationAfter
+      ? resolveClassificationTypeSets(classificationAfter, overrides).deprecatedTypes
+      : new Set();
+
+  const entries = [];
+  for (const release of releases || []) {
+    for (const change of release?.changes || []) {
+      if (!change) continue;
+      const entry = {
+        version: withV(release.version),
+        kind: change.kind || "",
+        resource: change.resource || UPGRADE_IMPACT_PROVIDER,
+        attribute: change.attribute || "",
+        change: change.change || "",
+        summary: change.summary || "",
+      };
+      entries.push({ ...entry, breaking: breakingReason(entry, forceNew) });
+    }
+  }
+
+  const version = withV(toVersion);
+  const flagged = (resource, attribute, reason) =>
+    entries.some(
+      (entry) =>
+        entry.resource === resource && entry.attribute === attribute && entry.breaking === reason
+    );
+
+  for (const [resource, attributes] of forceNew) {
+    for (const attribute of attributes) {
+      if (flagged(resource, attribute, BREAKING_FORCE_NEW)) continue;
+      entries.push({
+        version,
+        kind: "resource_attribute",
+        resource,
+        attribute,
+        change: "updated",
+        summary: "Now ForceNew in the provider schema: changing it destroys and recreates the resource.",
+        breaking: BREAKING_FORCE_NEW,
+      });
+    }
+  }
+  for (const resource of deprecatedAfter) {
+    if (deprecatedBefore.has(resource) || flagged(resource, "", BREAKING_DEPRECATED)) continue;
+    entries.push({
+      version,
+      kind: "resource",
+      resource,
+      attribute: "",
+      change: "updated",
+      summary: "Resource type is now deprecated.",
+      breaking: BREAKING_DEPRECATED,
+    });
+  }
+
+  const groups = new Map();
+  for (const entry of entries) {
+    if (
+      managedTypes.size &&
+      entry.resource !== UPGRADE_IMPACT_PROVIDER &&
+      !managedTypes.has(entry.resource)
+    ) {
+      continue;
+    }
+    if (!groups.has(entry.resource)) groups.set(entry.resource, new Map());
+    const kinds = groups.get(entry.resource);
+    if (!kinds.has(entry.kind)) kinds.set(entry.kind, []);
+    kinds.get(entry.kind).push(entry);
+  }
+
+  let total = 0;
+  let breakingCount = 0;
+  const result = [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([resource, kinds]) => {
+      const sortedKinds = [...kinds.entries()]
+        .sort(([a], [b]) => kindRank(a) - kindRank(b) || a.localeCompare(b))
+        .map(([kind, kindEntries]) => ({ kind, entries: kindEntries }));
+      const groupEntries = sortedKinds.flatMap((kind) => kind.entries);
+      const groupBreaking = groupEntries.filter((entry) => entry.breaking).length;
+      total += groupEntries.length;
+      breakingCount += groupBreaking;
+      return {
+        resource,
+        count: groupEntries.length,
+        breakingCount: groupBreaking,
+        kinds: sortedKinds,
+      };
+    });
+
+  return { groups: result, total, breakingCount };
+}
+
+/** Report narrowed to breaking entries, dropping kinds and groups left empty. */
+export function filterBreakingUpgradeImpact(report) {
+  const groups = report.groups
+    .map((group) => ({
+      ...group,
+      count: group.breakingCount,
+      kinds: group.kinds
+        .map((kind) => ({ ...kind, entries: kind.entries.filter((entry) => entry.breaking) }))
+        .filter((kind) => kind.entries.length),
+    }))
+    .filter((group) => group.kinds.length);
+  return { groups, total: report.breakingCount, breakingCount: report.breakingCount };
+}
@@ -0,0 +1,83 @@
+import {
+  DATA_SOURCE_TYPES_DIR,
+  DEPENDENCY_TREE_DIR,
+  RESOURCE_CLASSIFICATION_DIR,
+  SCHEMA_FORCE_NEW_DIR,
+  TF_EXPORT_RESOURCE_NAMES_DIR,
+  latestJsonUrl,
+  versionedJsonUrl,
+} from "./publicDataPaths.js";
+import { normalizeForceNewCatalog } from "./schemaForceNew.js";
+
+/**
+ * Fetchers for per-provider-version documents under public/. These load a
+ * version other than the one the main view has selected (comparisons, reports);
+ * the main view keeps its own effects in App.jsx.
+ */
+
+function versionedDataUrl(dir, version) {
+  const bare = String(version || "").trim().replace(/^v/i, "");
+  return !bare || bare === "latest" ? latestJsonUrl(dir) : versionedJsonUrl(dir, bare);
+}
+
+async function fetchVersionedJson(dir, version, label) {
+  const res = await fetch(versionedDataUrl(dir, version), { cache: "no-store" });
+  if (!res.ok) {
+    throw new Error(`Failed to fetch ${label}: ${res.status} ${res.statusText}`);
+  }
+  return res.json();
+}
+
+/** Raw dependency tree JSON (before overrides.json is applied). */
+export function fetchDependencyTree(version) {
+  return fetchVersionedJson(DEPENDENCY_TREE_DIR, version, "dependency tree");
+}
+
+/** Resource classification document, or null when the version has none. */
+export async function fetchResourceClassification(version) {
+  try {
+    return await fetchVersionedJson(
+      RESOURCE_CLASSIFICATION_DIR,
+      version,
+      "resource classification"
+    );
+  } catch {
+    return null;
+  }
+}
+
+/** Generated tf-export block label placeholders by type ({} when the version has none). */
+export async function fetchTfExportResourceNames(version) {
+  try {
+    const json = await fetchVersionedJson(
+      TF_EXPORT_RESOURCE_NAMES_DIR,
+      version,
+      "tf-export resource names"
+    );
+    return json?.tfExportResourceNames && typeof json.tfExportResourceNames === "object"
+      ? json.tfExportResourceNames
+      : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Types with a provider data source (empty when the version has no scan). */
+export async function fetchDataSourceTypes(version) {
+  try {
+    const json = await fetchVersionedJson(DATA_SOURCE_TYPES_DIR, version, "data source types");
+    return new Set(Array.isArray(json?.dataSourceTypes) ? json.dataSourceTypes : []);
+  } catch {
+    return new Set();
+  }
+}
+
+/** ForceNew attributes by type from the schema scan ({} when the version has none). */
+export async function fetchSchemaForceNew(version) {
+  try {
+    const json = await fetchVersionedJson(SCHEMA_FORCE_NEW_DIR, version, "schema force-new data");
+    return normalizeForceNewCatalog(json?.forceNewAttributes);
+  } catch {
+    return {};
+  }
+}
@@ -1,7 +1,36 @@
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import {
+  OFFLINE_BUILD_ID_PLACEHOLDER,
+  OFFLINE_LATEST_DATA_FILES,
+  OFFLINE_PRECACHE_MANIFEST,
+  OFFLINE_SERVICE_WORKER,
+} from "./scripts/lib/offline-data-paths.mjs";
+
+const OFFLINE_SHELL_FILES = ["index.html", "favicon.jpg", "app-icon.svg", "manifest.webmanifest"];
+
+function listFiles(dir, prefix) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const relative = `${prefix}/${entry.name}`;
+    return entry.isDirectory()
+      ? listFiles(path.join(dir, entry.name), relative)
+      : [relative];
+  });
+}
+
+/** Newest release notes files named by release-notes-data/latest.json. */
+function newestReleaseNotesFiles(distDir) {
+  const latestPath = path.join(distDir, "release-notes-data/latest.json");
+  if (!fs.existsSync(latestPath)) return [];
+  const latest = JSON.parse(fs.readFileSync(latestPath, "utf8"));
+  return [latest.path, latest.changes_path]
+    .filter((value) => typeof value === "string" && value)
+    .map((value) => value.replace(/^\//, ""));
+}
 
 // https://vite.dev/config/
 export default defineConfig({
@@ -15,5 +44,31 @@ export default defineConfig({
         fs.copyFileSync(indexPath, fallbackPath);
       },
     },
+    {
+      name: "offline-precache-manifest",
+      closeBundle() {
+        const distDir = path.resolve("dist");
+        const exists = (file) => fs.existsSync(path.join(distDir, file));
+        const shell = [
+          ...OFFLINE_SHELL_FILES.filter(exists),
+          ...listFiles(path.join(distDir, "assets"), "assets"),
+        ];
+        const data = [...OFFLINE_LATEST_DATA_FILES, ...newestReleaseNotesFiles(distDir)].filter(
+          exists
+        );
+        const build = crypto.createHash("sha256").update(shell.join("\n")).digest("hex").slice(0, 12);
+
+        fs.writeFileSync(
+          path.join(distDir, OFFLINE_PRECACHE_MANIFEST),
+          `${JSON.stringify({ build, shell, data }, null, 2)}\n`
+        );
+
+        const workerPath = path.join(distDir, OFFLINE_SERVICE_WORKER);
+        fs.writeFileSync(
+          workerPath,
+          fs.readFileSync(workerPath, "utf8").replaceAll(OFFLINE_BUILD_ID_PLACEHOLDER, build)
+        );
+      },
+    },
   ],
 });